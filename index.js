@@ -0,0 +1,99 @@
+// tiktok-scraper: library entry point (package.json `main`).
+//
+// The HTTP server (tiktok-api-server.js) and the CLI (tiktok-user-scraper.js) are thin consumers
+// of this module; other Node services can use it the same way, without Express:
+//
+//   const { createClient } = require('tiktok-scraper');
+//   const client = createClient();
+//   const result = await client.search('cooking', 10, { type: 'video' });
+//   await client.close();
+
+const { TikTokClient, createClient } = require('./lib/client');
+const { TikTokUserScraper, isTruncated, buildSearchPage } = require('./lib/scraper');
+const { ScraperRuntime, getDefaultRuntime, createScrapeLog, silentLogger } = require('./lib/runtime');
+const { Semaphore } = require('./lib/semaphore');
+const { launchBrowser } = require('./lib/browser-launcher');
+const { BrowserPool, createBrowserPool } = require('./lib/browser-pool');
+const { ProxyPool, createProxyPool, parseProxy } = require('./lib/proxy-pool');
+const { DEVICE_PROFILES, ProfileSelector, createProfileSelector, applyProfile } = require('./lib/device-profiles');
+const { SessionStore, createSessionStore, parseCookies } = require('./lib/sessions');
+const { SelectorRegistry, createDefaultRegistry } = require('./lib/selector-registry');
+const { SEARCH_TYPES } = require('./lib/search');
+const { ERROR_CODES, ScrapeError, classifyError, errorFields, httpStatusFor } = require('./lib/errors');
+const { manualHandler, loadInterstitialHandler, detectInterstitial } = require('./lib/interstitials');
+const { parseUsernameList } = require('./lib/batch');
+const { parseVideoInput, parseSince } = require('./lib/videos');
+const { parseCount } = require('./lib/counts');
+const { WatchScheduler, createWatchScheduler, takeSnapshot, diffSnapshots, summarizeHistory, parseInterval } = require('./lib/watcher');
+const { MemoryWatchStore, FileWatchStore, createWatchStore } = require('./lib/watch-store');
+const { EVENT_TYPES, EventBus, EventLog, createEventBus, detectEvents, parseRules } = require('./lib/events');
+const { SinkRegistry, createSinkRegistry, createSink, sinkRecords, parseSinkSpec, signPayload } = require('./lib/sinks');
+
+module.exports = {
+  // Programmatic API
+  TikTokClient,
+  createClient,
+  // Scraper core
+  TikTokUserScraper,
+  ScraperRuntime,
+  getDefaultRuntime,
+  Semaphore,
+  launchBrowser,
+  BrowserPool,
+  createBrowserPool,
+  ProxyPool,
+  createProxyPool,
+  DEVICE_PROFILES,
+  ProfileSelector,
+  createProfileSelector,
+  applyProfile,
+  SessionStore,
+  createSessionStore,
+  SelectorRegistry,
+  createDefaultRegistry,
+  manualHandler,
+  loadInterstitialHandler,
+  detectInterstitial,
+  // Export sinks
+  SinkRegistry,
+  createSinkRegistry,
+  createSink,
+  sinkRecords,
+  parseSinkSpec,
+  signPayload,
+  // Watch list
+  WatchScheduler,
+  createWatchScheduler,
+  MemoryWatchStore,
+  FileWatchStore,
+  createWatchStore,
+  takeSnapshot,
+  diffSnapshots,
+  summarizeHistory,
+  parseInterval,
+  // Change events
+  EVENT_TYPES,
+  EventBus,
+  EventLog,
+  createEventBus,
+  detectEvents,
+  parseRules,
+  // Errors
+  ERROR_CODES,
+  ScrapeError,
+  classifyError,
+  errorFields,
+  httpStatusFor,
+  // Helpers
+  SEARCH_TYPES,
+  isTruncated,
+  buildSearchPage,
+  createScrapeLog,
+  silentLogger,
+  parseUsernameList,
+  parseVideoInput,
+  parseSince,
+  parseCount,
+  parseProxy,
+  parseCookies
+};
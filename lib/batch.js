@@ -0,0 +1,78 @@
+// Batch helpers shared by POST /api/users/batch, profile jobs and the CLI --batch mode
+
+// parseUsernameList: file/body text -> unique usernames.
+// Accepts a JSON array, or one username per line / comma separated; "@" prefixes,
+// profile URLs, blank lines and "#" comments are tolerated.
+function parseUsernameList(input) {
+  let items = input;
+  if (typeof input === 'string') {
+    const text = input.trim();
+    if (text.startsWith('[')) {
+      items = JSON.parse(text);
+    } else {
+      items = text
+        .split(/\r?\n/)
+        .filter(line => !line.trim().startsWith('#'))
+        .flatMap(line => line.split(','));
+    }
+  }
+
+  const seen = new Set();
+  const usernames = [];
+  for (const item of [].concat(items || [])) {
+    const value = String(item || '').trim();
+    const fromUrl = value.match(/tiktok\.com\/@([^\/\?#]+)/);
+    const username = (fromUrl ? fromUrl[1] : value).replace(/^@/, '').trim();
+    if (!username || seen.has(username.toLowerCase())) continue;
+    seen.add(username.toLowerCase());
+    usernames.push(username);
+  }
+  return usernames;
+}
+
+// runBatch: run `worker(item)` for every item, at most `concurrency` at a time (match it to the
+// page semaphore so items still waiting can be cancelled before they start). One failing item
+// never rejects the batch: it becomes { success: false, message } in its slot. Results keep
+// input order; onResult fires in completion order (for streaming).
+async function runBatch(items, worker, options = {}) {
+  const { onResult, shouldStop } = options;
+  const concurrency = Math.max(parseInt(options.concurrency) || items.length, 1);
+  const results = new Array(items.length);
+  let next = 0;
+  let done = 0;
+
+  const runNext = async () => {
+    while (next < items.length) {
+      const index = next++;
+      const item = items[index];
+      let result;
+      if (shouldStop && shouldStop()) {
+        result = { success: false, message: 'Cancelled' };
+      } else {
+        try {
+          result = await worker(item, index);
+        } catch (err) {
+          result = { success: false, message: `Error: ${err.message}` };
+        }
+      }
+      results[index] = result;
+      done++;
+      if (onResult) onResult(result, item, { index, done, total: items.length });
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, runNext));
+  return results;
+}
+
+// summarizeBatch: { total, succeeded, failed } of runBatch results
+function summarizeBatch(results) {
+  const succeeded = results.filter(result => result && result.success).length;
+  return { total: results.length, succeeded, failed: results.length - succeeded };
+}
+
+module.exports = {
+  parseUsernameList,
+  runBatch,
+  summarizeBatch
+};
@@ -0,0 +1,84 @@
+// Chromium launcher shared by the server, the CLI and library users.
+//
+// Full puppeteer (bundled Chrome, works on Windows / dev machines) is preferred; without it
+// puppeteer-core drives @sparticuz/chromium, which is what serverless hosts like Render ship.
+// Puppeteer is resolved on the first launch, so requiring the library never starts a download
+// or fails on a machine that only uses the pure helpers.
+
+let resolved = null;
+
+// loadPuppeteer: { puppeteer, chromium } (chromium is null with full puppeteer)
+function loadPuppeteer(logger = console) {
+  if (resolved) return resolved;
+  try {
+    resolved = { puppeteer: require('puppeteer'), chromium: null };
+    logger.log('✅ Using puppeteer (Windows compatible)');
+  } catch (err) {
+    logger.log('⚠️ puppeteer not available, trying puppeteer-core');
+    try {
+      resolved = { puppeteer: require('puppeteer-core'), chromium: require('@sparticuz/chromium') };
+      logger.log('✅ Using puppeteer-core with chromium');
+    } catch (err2) {
+      logger.error('❌ Neither puppeteer nor puppeteer-core available');
+      throw err2;
+    }
+  }
+  return resolved;
+}
+
+// launchBrowser: one Chromium instance. `headless: false` opens a visible window (debugging,
+// solving captchas by hand); `executablePath` overrides the browser binary
+async function launchBrowser(options = {}) {
+  const logger = options.logger || console;
+  const { puppeteer, chromium } = loadPuppeteer(logger);
+  let launchOptions;
+
+  if (chromium) {
+    // Production mode: use sparticuz chromium (works well on Render)
+    launchOptions = {
+      headless: options.headless === false ? false : chromium.headless,
+      args: chromium.args.concat([
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-gpu',
+      ]),
+      ignoreHTTPSErrors: true,
+    };
+
+    if (options.executablePath) {
+      launchOptions.executablePath = options.executablePath;
+    } else {
+      try {
+        // executablePath may throw if not available — chromium handles it in many envs
+        launchOptions.executablePath = await chromium.executablePath();
+      } catch (err) {
+        // Fallback: leave executablePath undefined and let puppeteer-core try default
+        logger.warn('⚠️ chromium.executablePath() failed, falling back to default executablePath:', err.message);
+      }
+    }
+  } else {
+    // Development mode: use regular puppeteer
+    launchOptions = {
+      headless: options.headless !== false,
+      executablePath: options.executablePath || process.env.PUPPETEER_EXECUTABLE_PATH || undefined,
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-gpu',
+        '--disable-web-security',
+        '--disable-features=VizDisplayCompositor'
+      ],
+      ignoreHTTPSErrors: true,
+    };
+  }
+
+  logger.log('🚀 Launching browser...');
+  return puppeteer.launch(launchOptions);
+}
+
+module.exports = {
+  loadPuppeteer,
+  launchBrowser
+};
@@ -0,0 +1,245 @@
+// Browser pool.
+//
+// Keeps up to `size` Chromium instances and spreads pages over them (least busy first). A browser
+// is retired after `maxPages` pages or `maxAgeMs` of life: it takes no new pages and is closed
+// once its last page is released, so leaks never build up. A browser that disconnects without
+// being asked to (crash, OOM kill) is dropped immediately and replaced on the next acquire, or
+// right away when warm-up is on. Page slots themselves are governed by the caller (the server's
+// Semaphore); the pool only decides where a page lives.
+//
+// Pages open in the browser's default context (shared cookies) unless `isolate` is set or a
+// per-page proxy is requested, in which case every page gets its own incognito context.
+
+// Per-context options: puppeteer 22 renamed createIncognitoBrowserContext to createBrowserContext
+function createBrowserContext(browser, options) {
+  return typeof browser.createBrowserContext === 'function'
+    ? browser.createBrowserContext(options)
+    : browser.createIncognitoBrowserContext(options);
+}
+
+class BrowserPool {
+  constructor(options = {}) {
+    if (typeof options.launch !== 'function') throw new Error('BrowserPool requires a launch() function');
+    this.launch = options.launch;
+    this.size = Math.max(options.size || 1, 1);
+    this.maxPages = options.maxPages || 0; // 0 = unlimited
+    this.maxAgeMs = options.maxAgeMs || 0; // 0 = unlimited
+    this.isolate = !!options.isolate;
+    this.warm = !!options.warm;
+    this.logger = options.logger || console;
+
+    this.browsers = [];
+    this.nextId = 1;
+    this.closing = false;
+    this.counters = { launched: 0, recycled: 0, crashed: 0, launchFailures: 0, pagesOpened: 0 };
+  }
+
+  // Browser states: launching -> ready -> retiring -> closed; "live" ones count towards the size
+  live() {
+    return this.browsers.filter(entry => entry.state === 'launching' || entry.state === 'ready');
+  }
+
+  // Launch one browser; its entry is visible (state "launching") before Chromium is up so that
+  // concurrent acquires do not overshoot the pool size
+  spawn() {
+    const entry = {
+      id: this.nextId++,
+      state: 'launching',
+      browser: null,
+      launchedAt: Date.now(),
+      pagesServed: 0,
+      activePages: 0
+    };
+    entry.ready = (async () => {
+      try {
+        entry.browser = await this.launch();
+      } catch (err) {
+        this.counters.launchFailures++;
+        this.remove(entry);
+        throw err;
+      }
+      if (this.closing || entry.state !== 'launching') {
+        await entry.browser.close().catch(() => {});
+        throw new Error('Browser pool is closing');
+      }
+      entry.state = 'ready';
+      entry.launchedAt = Date.now();
+      this.counters.launched++;
+      entry.browser.on('disconnected', () => this.onDisconnected(entry));
+      this.logger.log(`✅ Browser #${entry.id} launched (${this.live().length}/${this.size})`);
+      return entry;
+    })();
+    // Callers that never await a failed warm-up launch must not crash the process
+    entry.ready.catch(() => {});
+    this.browsers.push(entry);
+    return entry;
+  }
+
+  remove(entry) {
+    entry.state = 'closed';
+    this.browsers = this.browsers.filter(other => other !== entry);
+  }
+
+  onDisconnected(entry) {
+    // Browsers we close ourselves are already removed
+    if (entry.state === 'closed') return;
+    this.remove(entry);
+    this.counters.crashed++;
+    this.logger.error(`💥 Browser #${entry.id} disconnected unexpectedly (${entry.activePages} page(s) in flight)`);
+    if (this.warm) this.replenish();
+  }
+
+  // Keep `size` browsers launched (warm-up on startup and after a crash / retirement)
+  replenish() {
+    if (this.closing) return Promise.resolve();
+    const launches = [];
+    while (this.live().length < this.size) launches.push(this.spawn().ready);
+    return Promise.allSettled(launches);
+  }
+
+  async warmUp() {
+    this.logger.log(`🔥 Warming up ${this.size} browser(s)...`);
+    const results = await this.replenish();
+    const failed = (results || []).filter(result => result.status === 'rejected');
+    if (failed.length) this.logger.error(`Browser warm-up: ${failed.length} launch(es) failed: ${failed[0].reason.message}`);
+  }
+
+  shouldRetire(entry, now = Date.now()) {
+    return (this.maxPages > 0 && entry.pagesServed >= this.maxPages) ||
+      (this.maxAgeMs > 0 && now - entry.launchedAt >= this.maxAgeMs);
+  }
+
+  retire(entry) {
+    if (entry.state !== 'ready') return;
+    entry.state = 'retiring';
+    this.counters.recycled++;
+    this.logger.log(`♻️ Recycling browser #${entry.id} after ${entry.pagesServed} page(s), ${Math.round((Date.now() - entry.launchedAt) / 60000)} min`);
+    if (entry.activePages === 0) this.closeEntry(entry);
+    if (this.warm) this.replenish();
+  }
+
+  async closeEntry(entry) {
+    this.remove(entry);
+    if (entry.browser) {
+      try {
+        await entry.browser.close();
+      } catch (e) {
+        this.logger.warn(`Error closing browser #${entry.id}: ${e.message}`);
+      }
+    }
+  }
+
+  // Browser for the next page: the least busy ready one, launching while below the pool size.
+  // The slot is reserved synchronously so that concurrent acquires spread over the pool
+  pick() {
+    const now = Date.now();
+    for (const entry of this.browsers) {
+      if (entry.state === 'ready' && (!entry.browser.isConnected() || this.shouldRetire(entry, now))) {
+        if (!entry.browser.isConnected()) this.onDisconnected(entry);
+        else this.retire(entry);
+      }
+    }
+
+    const candidates = this.live();
+    const idle = candidates.some(entry => entry.activePages === 0);
+    const entry = (!idle && candidates.length < this.size) || candidates.length === 0
+      ? this.spawn()
+      : candidates.reduce((best, other) => (other.activePages < best.activePages ? other : best));
+    entry.activePages++;
+    entry.pagesServed++;
+    return entry;
+  }
+
+  // acquire: { page, release } on a pooled browser. `proxyServer` or `isolate` (e.g. for session
+  // cookies) force a dedicated context
+  async acquire(options = {}) {
+    if (this.closing) throw new Error('Browser pool is closing');
+    const entry = this.pick();
+
+    let context = null;
+    let page;
+    try {
+      await entry.ready;
+      if (this.isolate || options.isolate || options.proxyServer) {
+        context = await createBrowserContext(entry.browser, options.proxyServer ? { proxyServer: options.proxyServer } : {});
+        page = await context.newPage();
+      } else {
+        page = await entry.browser.newPage();
+      }
+    } catch (err) {
+      if (context) await context.close().catch(() => {});
+      this.releaseSlot(entry);
+      throw err;
+    }
+    this.counters.pagesOpened++;
+    page.on('error', err => this.logger.error(`💥 Page crashed on browser #${entry.id}: ${err.message}`));
+
+    let released = false;
+    const release = async () => {
+      if (released) return;
+      released = true;
+      try {
+        await page.close();
+      } catch (e) {
+        // ignore (the browser may be gone)
+      }
+      if (context) await context.close().catch(() => {});
+      this.releaseSlot(entry);
+    };
+    return { page, release, browserId: entry.id };
+  }
+
+  releaseSlot(entry) {
+    entry.activePages = Math.max(entry.activePages - 1, 0);
+    if (entry.state === 'ready' && this.shouldRetire(entry)) this.retire(entry);
+    else if (entry.state === 'retiring' && entry.activePages === 0) this.closeEntry(entry);
+  }
+
+  async close() {
+    this.closing = true;
+    const entries = this.browsers.slice();
+    await Promise.all(entries.map(async (entry) => {
+      await entry.ready.catch(() => {});
+      await this.closeEntry(entry);
+    }));
+  }
+
+  getStats() {
+    const now = Date.now();
+    return {
+      size: this.size,
+      maxPages: this.maxPages || null,
+      maxAgeMs: this.maxAgeMs || null,
+      isolateContexts: this.isolate,
+      browsers: this.browsers.map(entry => ({
+        id: entry.id,
+        state: entry.state,
+        pid: entry.browser && entry.browser.process() ? entry.browser.process().pid : null,
+        ageMs: now - entry.launchedAt,
+        pagesServed: entry.pagesServed,
+        activePages: entry.activePages
+      })),
+      ...this.counters
+    };
+  }
+}
+
+// createBrowserPool: pool sized and tuned from BROWSER_POOL_SIZE, BROWSER_MAX_PAGES,
+// BROWSER_MAX_AGE_MS, BROWSER_ISOLATE_CONTEXTS and BROWSER_WARMUP
+function createBrowserPool(launch, env = process.env, options = {}) {
+  return new BrowserPool({
+    launch,
+    size: parseInt(env.BROWSER_POOL_SIZE) || 1,
+    maxPages: env.BROWSER_MAX_PAGES !== undefined ? parseInt(env.BROWSER_MAX_PAGES) || 0 : 200,
+    maxAgeMs: env.BROWSER_MAX_AGE_MS !== undefined ? parseInt(env.BROWSER_MAX_AGE_MS) || 0 : 30 * 60 * 1000,
+    isolate: env.BROWSER_ISOLATE_CONTEXTS === 'true' || env.BROWSER_ISOLATE_CONTEXTS === '1',
+    warm: env.BROWSER_WARMUP !== 'false' && env.BROWSER_WARMUP !== '0',
+    ...options
+  });
+}
+
+module.exports = {
+  createBrowserContext,
+  BrowserPool,
+  createBrowserPool
+};
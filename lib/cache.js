@@ -0,0 +1,286 @@
+// Response cache for the scrape routes.
+//
+// Entries are keyed by route + normalized params and live for a per-data-type TTL. With
+// stale-while-revalidate enabled, an expired entry is still served (X-Cache: STALE) for a grace
+// window while one background scrape refreshes it. Concurrent misses on the same key share a
+// single scrape. Backends: memory (default), file (one JSON file per key) or SQLite
+// (needs the optional better-sqlite3 package).
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CACHE_DIR = path.join(__dirname, '..', 'data', 'cache');
+
+// Seconds; override with CACHE_TTL_<TYPE> (e.g. CACHE_TTL_PROFILE=3600), 0 disables caching a type
+const DEFAULT_TTLS = {
+  search: 300,
+  profile: 600,
+  videos: 300,
+  followers: 600,
+  following: 600,
+  video: 600,
+  comments: 120,
+  hashtag: 600,
+  music: 600
+};
+
+// Params whose value is case-insensitive on TikTok's side
+const CASE_INSENSITIVE_PARAMS = ['query', 'username', 'tag'];
+
+// MemoryCacheStore: Map in insertion order, oldest entries evicted past maxEntries
+class MemoryCacheStore {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 1000;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    return this.entries.get(key) || null;
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  async size() {
+    return this.entries.size;
+  }
+}
+
+// FileCacheStore: one JSON file per key (hashed name) so the cache survives restarts
+class FileCacheStore {
+  constructor(options = {}) {
+    this.dir = path.resolve(options.dir || DEFAULT_CACHE_DIR);
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  fileFor(key) {
+    return path.join(this.dir, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+  }
+
+  async get(key) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.fileFor(key), 'utf8'));
+    } catch (err) {
+      return null;
+    }
+  }
+
+  async set(key, entry) {
+    const file = this.fileFor(key);
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(entry));
+    await fs.promises.rename(tmp, file);
+  }
+
+  async delete(key) {
+    await fs.promises.unlink(this.fileFor(key)).catch(() => {});
+  }
+
+  async clear() {
+    const files = await fs.promises.readdir(this.dir);
+    await Promise.all(files.filter(file => file.endsWith('.json'))
+      .map(file => fs.promises.unlink(path.join(this.dir, file)).catch(() => {})));
+  }
+
+  async size() {
+    return (await fs.promises.readdir(this.dir)).filter(file => file.endsWith('.json')).length;
+  }
+}
+
+// SqliteCacheStore: single-file store, handy when the cache directory would hold many thousand files
+class SqliteCacheStore {
+  constructor(options = {}) {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (err) {
+      throw new Error('CACHE_BACKEND=sqlite requires the better-sqlite3 package (npm install better-sqlite3)');
+    }
+    const file = path.resolve(options.file || path.join(DEFAULT_CACHE_DIR, 'cache.sqlite'));
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    this.db = new Database(file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec('CREATE TABLE IF NOT EXISTS cache (key TEXT PRIMARY KEY, entry TEXT NOT NULL, stale_until INTEGER NOT NULL)');
+    this.statements = {
+      get: this.db.prepare('SELECT entry FROM cache WHERE key = ?'),
+      set: this.db.prepare('INSERT INTO cache (key, entry, stale_until) VALUES (?, ?, ?) ON CONFLICT(key) DO UPDATE SET entry = excluded.entry, stale_until = excluded.stale_until'),
+      delete: this.db.prepare('DELETE FROM cache WHERE key = ?'),
+      prune: this.db.prepare('DELETE FROM cache WHERE stale_until < ?'),
+      clear: this.db.prepare('DELETE FROM cache'),
+      size: this.db.prepare('SELECT COUNT(*) AS count FROM cache')
+    };
+  }
+
+  async get(key) {
+    const row = this.statements.get.get(key);
+    return row ? JSON.parse(row.entry) : null;
+  }
+
+  async set(key, entry) {
+    this.statements.set.run(key, JSON.stringify(entry), entry.staleUntil);
+    // Expired rows are dropped lazily on writes
+    this.statements.prune.run(Date.now());
+  }
+
+  async delete(key) {
+    this.statements.delete.run(key);
+  }
+
+  async clear() {
+    this.statements.clear.run();
+  }
+
+  async size() {
+    return this.statements.size.get().count;
+  }
+}
+
+function createCacheStore(options = {}) {
+  const backend = options.backend || process.env.CACHE_BACKEND || 'memory';
+  if (backend === 'memory') return new MemoryCacheStore({ maxEntries: options.maxEntries || parseInt(process.env.CACHE_MAX_ENTRIES) });
+  if (backend === 'file') return new FileCacheStore({ dir: options.dir || process.env.CACHE_DIR });
+  if (backend === 'sqlite') return new SqliteCacheStore({ file: options.file || process.env.CACHE_SQLITE_FILE });
+  throw new Error(`Unknown cache backend "${backend}" (expected memory, file or sqlite)`);
+}
+
+// TTLs from DEFAULT_TTLS overridden by CACHE_TTL_<TYPE>
+function ttlsFromEnv(env = process.env) {
+  const ttls = { ...DEFAULT_TTLS };
+  for (const type of Object.keys(ttls)) {
+    const value = env[`CACHE_TTL_${type.toUpperCase()}`];
+    if (value !== undefined && value !== '' && !Number.isNaN(Number(value))) ttls[type] = Number(value);
+  }
+  return ttls;
+}
+
+// cacheKey: route + params with empty values dropped, keys sorted and case-insensitive values lowered,
+// so ?query=Dance&maxResults=5 and ?maxResults=5&query=dance share an entry
+function cacheKey(route, params = {}) {
+  const normalized = Object.keys(params)
+    .filter(name => params[name] !== undefined && params[name] !== null && params[name] !== '')
+    .sort()
+    .map(name => {
+      let value = String(params[name]).trim();
+      if (CASE_INSENSITIVE_PARAMS.includes(name)) value = value.replace(/^[@#]/, '').toLowerCase();
+      return `${name}=${encodeURIComponent(value)}`;
+    });
+  return `${route}?${normalized.join('&')}`;
+}
+
+class ResponseCache {
+  constructor(options = {}) {
+    this.store = options.store || new MemoryCacheStore();
+    this.ttls = { ...DEFAULT_TTLS, ...(options.ttls || {}) };
+    // Seconds an expired entry may still be served while it refreshes (0 = off)
+    this.staleWhileRevalidate = options.staleWhileRevalidate || 0;
+    this.logger = options.logger || console;
+    // Clock (ms), replaceable in tests
+    this.now = options.now || Date.now;
+    this.inflight = new Map();
+    this.counters = { hits: 0, stale: 0, misses: 0, bypass: 0 };
+  }
+
+  ttlFor(type) {
+    return this.ttls[type] || 0;
+  }
+
+  // Run the fetcher once per key at a time; only successful envelopes are stored
+  refresh(type, key, fetcher) {
+    if (this.inflight.has(key)) return this.inflight.get(key);
+
+    const ttl = this.ttlFor(type);
+    const promise = (async () => {
+      const value = await fetcher();
+      if (ttl > 0 && value && value.success) {
+        const now = this.now();
+        const entry = {
+          value,
+          storedAt: now,
+          expiresAt: now + ttl * 1000,
+          staleUntil: now + (ttl + this.staleWhileRevalidate) * 1000
+        };
+        await this.store.set(key, entry).catch(err => this.logger.error(`Cache write failed: ${err.message}`));
+      }
+      return value;
+    })();
+
+    this.inflight.set(key, promise);
+    promise.then(() => this.inflight.delete(key), () => this.inflight.delete(key));
+    return promise;
+  }
+
+  // wrap: { value, status: HIT | STALE | MISS | BYPASS, age, ttl } for one cacheable response
+  async wrap(type, key, fetcher, options = {}) {
+    const ttl = this.ttlFor(type);
+    if (ttl <= 0 || options.fresh) {
+      this.counters.bypass++;
+      return { value: await this.refresh(type, key, fetcher), status: 'BYPASS', age: 0, ttl };
+    }
+
+    const entry = await this.store.get(key).catch(() => null);
+    const now = this.now();
+    if (entry && now < entry.expiresAt) {
+      this.counters.hits++;
+      return { value: entry.value, status: 'HIT', age: Math.floor((now - entry.storedAt) / 1000), ttl, expiresAt: entry.expiresAt };
+    }
+    if (entry && now < entry.staleUntil) {
+      this.counters.stale++;
+      this.refresh(type, key, fetcher).catch(err => this.logger.error(`Cache revalidation failed for ${key}: ${err.message}`));
+      return { value: entry.value, status: 'STALE', age: Math.floor((now - entry.storedAt) / 1000), ttl, expiresAt: entry.expiresAt };
+    }
+
+    this.counters.misses++;
+    return { value: await this.refresh(type, key, fetcher), status: 'MISS', age: 0, ttl };
+  }
+
+  async clear() {
+    await this.store.clear();
+  }
+
+  async getStats() {
+    return {
+      backend: this.store.constructor.name,
+      entries: await this.store.size().catch(() => null),
+      staleWhileRevalidate: this.staleWhileRevalidate,
+      ttls: this.ttls,
+      ...this.counters
+    };
+  }
+}
+
+// cacheControlHeader: Cache-Control value matching a wrap() result
+function cacheControlHeader(result, staleWhileRevalidate = 0) {
+  if (!result.value || !result.value.success || result.ttl <= 0) return 'no-store';
+  const remaining = result.expiresAt
+    ? Math.max(Math.floor((result.expiresAt - Date.now()) / 1000), 0)
+    : result.ttl;
+  return staleWhileRevalidate > 0
+    ? `public, max-age=${remaining}, stale-while-revalidate=${staleWhileRevalidate}`
+    : `public, max-age=${remaining}`;
+}
+
+module.exports = {
+  DEFAULT_TTLS,
+  MemoryCacheStore,
+  FileCacheStore,
+  SqliteCacheStore,
+  createCacheStore,
+  ttlsFromEnv,
+  cacheKey,
+  ResponseCache,
+  cacheControlHeader
+};
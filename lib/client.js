@@ -0,0 +1,379 @@
+// Programmatic API: TikTokClient wraps the scraper core in the same envelopes the HTTP API
+// returns ({ success, message, duration, data | user | video, ...pagination }), with retries of
+// transient failures and batching. Methods never throw for scrape failures: `success: false`
+// carries the error `code`, `retryable` and `attempts` instead.
+//
+//   const { createClient } = require('tiktok-scraper');
+//   const client = createClient({ maxConcurrentPages: 2 });
+//   const { user } = await client.profile('tiktok');
+//   await client.close();
+
+const { TikTokUserScraper } = require('./scraper');
+const { ScraperRuntime, getDefaultRuntime } = require('./runtime');
+const { getSearchVertical } = require('./search');
+const { runBatch, summarizeBatch } = require('./batch');
+const { ScrapeError, withRetry, errorFields } = require('./errors');
+
+class TikTokClient {
+  // options: `runtime` to share browsers with other clients, otherwise ScraperRuntime options
+  // (none = the process-wide default runtime); `profile` / `session` are defaults for every call
+  constructor(options = {}) {
+    const { runtime, profile, session, ...runtimeOptions } = options;
+    this.runtime = runtime || (Object.keys(runtimeOptions).length ? new ScraperRuntime(runtimeOptions) : getDefaultRuntime());
+    this.log = this.runtime.log;
+    this.profileName = profile || null;
+    this.sessionName = session || null;
+  }
+
+  // One scraper per call; per-call profile / session win over the client defaults
+  createScraper(options = {}) {
+    return new TikTokUserScraper({
+      runtime: this.runtime,
+      profile: options.profile || this.profileName,
+      session: options.session || this.sessionName
+    });
+  }
+
+  // Transient failures (TIMEOUT, BLOCKED, CAPTCHA) are retried with exponential backoff + jitter;
+  // every attempt queues for a page slot again
+  scrapeWithRetry(label, fn) {
+    return withRetry(fn, {
+      ...this.runtime.retry,
+      onRetry: (error, attempt, wait) => this.log.error(`${label} attempt ${attempt} failed [${error.code}], retrying in ${wait}ms`)
+    });
+  }
+
+  async search(query, maxResults, options = {}) {
+    const startTime = Date.now();
+    const scraper = this.createScraper(options);
+    const type = options.type || 'user';
+    try {
+      const vertical = getSearchVertical(type);
+      const { results, hasMore, cursor, stopReason } = await this.scrapeWithRetry('Search', () => scraper.scrapeSearch(query, maxResults, options));
+      const endTime = Date.now();
+      const duration = ((endTime - startTime) / 1000).toFixed(2);
+
+      this.log.success(`Scrape completed in ${duration}s - Found ${results.length} ${vertical.label}`);
+
+      return {
+        success: true,
+        message: `Found ${results.length} ${vertical.label} in ${duration}s`,
+        duration: `${duration}s`,
+        type: vertical.type,
+        data: results,
+        hasMore,
+        cursor,
+        stopReason
+      };
+    } catch (err) {
+      const endTime = Date.now();
+      const duration = ((endTime - startTime) / 1000).toFixed(2);
+
+      this.log.error(`Scrape failed after ${duration}s [${errorFields(err).code}]: ${err.message}`);
+
+      return { 
+        success: false, 
+        ...errorFields(err),
+        message: `Error: ${err.message}`,
+        duration: `${duration}s`,
+        type,
+        data: [],
+        hasMore: false,
+        cursor: null
+      };
+    }
+  }
+
+  async profile(username, options = {}) {
+    const startTime = Date.now();
+    const scraper = this.createScraper(options);
+    try {
+      const userInfo = await this.scrapeWithRetry('Profile scrape', () => scraper.scrapeUserProfile(username));
+      const endTime = Date.now();
+      const duration = ((endTime - startTime) / 1000).toFixed(2);
+
+      this.log.success(`Profile scrape completed in ${duration}s - ${userInfo.username}`);
+
+      return {
+        success: true,
+        message: `Found user profile in ${duration}s`,
+        duration: `${duration}s`,
+        user: userInfo
+      };
+    } catch (err) {
+      const endTime = Date.now();
+      const duration = ((endTime - startTime) / 1000).toFixed(2);
+
+      this.log.error(`Profile scrape failed after ${duration}s [${errorFields(err).code}]: ${err.message}`);
+
+      return { 
+        success: false, 
+        ...errorFields(err),
+        message: `Error: ${err.message} (${duration}s)`,
+        duration: `${duration}s`,
+        user: null 
+      };
+    }
+  }
+
+  async videos(username, options = {}) {
+    const startTime = Date.now();
+    const scraper = this.createScraper(options);
+    try {
+      const { videos, hasMore, stopReason } = await this.scrapeWithRetry('Video listing', () => scraper.scrapeUserVideos(username, options));
+      const endTime = Date.now();
+      const duration = ((endTime - startTime) / 1000).toFixed(2);
+
+      this.log.success(`Video listing completed in ${duration}s - Found ${videos.length} videos`);
+
+      return {
+        success: true,
+        message: `Found ${videos.length} videos in ${duration}s`,
+        duration: `${duration}s`,
+        data: videos,
+        hasMore,
+        stopReason
+      };
+    } catch (err) {
+      const endTime = Date.now();
+      const duration = ((endTime - startTime) / 1000).toFixed(2);
+
+      this.log.error(`Video listing failed after ${duration}s [${errorFields(err).code}]: ${err.message}`);
+
+      return {
+        success: false,
+        ...errorFields(err),
+        message: `Error: ${err.message}`,
+        duration: `${duration}s`,
+        data: [],
+        hasMore: false
+      };
+    }
+  }
+
+  // type: 'followers' | 'following'
+  async followList(username, type, options = {}) {
+    const startTime = Date.now();
+    const scraper = this.createScraper(options);
+    try {
+      const { users, total, hasMore, cursor, stopReason } = await this.scrapeWithRetry(`${type} scrape`, () => scraper.scrapeFollowList(username, type, options));
+      const endTime = Date.now();
+      const duration = ((endTime - startTime) / 1000).toFixed(2);
+
+      this.log.success(`${type} scrape completed in ${duration}s - Found ${users.length} users`);
+
+      return {
+        success: true,
+        message: `Found ${users.length} ${type} in ${duration}s`,
+        duration: `${duration}s`,
+        type,
+        total,
+        data: users,
+        hasMore,
+        cursor,
+        stopReason
+      };
+    } catch (err) {
+      const endTime = Date.now();
+      const duration = ((endTime - startTime) / 1000).toFixed(2);
+
+      this.log.error(`${type} scrape failed after ${duration}s [${errorFields(err).code}]: ${err.message}`);
+
+      return {
+        success: false,
+        ...errorFields(err),
+        message: `Error: ${err.message}`,
+        duration: `${duration}s`,
+        type,
+        total: null,
+        data: [],
+        hasMore: false,
+        cursor: null
+      };
+    }
+  }
+
+  followers(username, options = {}) {
+    return this.followList(username, 'followers', options);
+  }
+
+  following(username, options = {}) {
+    return this.followList(username, 'following', options);
+  }
+
+  async video(input, options = {}) {
+    const startTime = Date.now();
+    const scraper = this.createScraper(options);
+    try {
+      const video = await this.scrapeWithRetry('Video scrape', () => scraper.scrapeVideo(input));
+      const endTime = Date.now();
+      const duration = ((endTime - startTime) / 1000).toFixed(2);
+
+      this.log.success(`Video scrape completed in ${duration}s - ${video.id}`);
+
+      return {
+        success: true,
+        message: `Found video in ${duration}s`,
+        duration: `${duration}s`,
+        video
+      };
+    } catch (err) {
+      const endTime = Date.now();
+      const duration = ((endTime - startTime) / 1000).toFixed(2);
+
+      this.log.error(`Video scrape failed after ${duration}s [${errorFields(err).code}]: ${err.message}`);
+
+      return {
+        success: false,
+        ...errorFields(err),
+        message: `Error: ${err.message} (${duration}s)`,
+        duration: `${duration}s`,
+        video: null
+      };
+    }
+  }
+
+  async comments(input, options = {}) {
+    const startTime = Date.now();
+    const scraper = this.createScraper(options);
+    try {
+      const { videoId, comments, hasMore, cursor, stopReason } = await this.scrapeWithRetry('Comment scrape', () => scraper.scrapeComments(input, options));
+      const endTime = Date.now();
+      const duration = ((endTime - startTime) / 1000).toFixed(2);
+
+      this.log.success(`Comment scrape completed in ${duration}s - Found ${comments.length} comments`);
+
+      return {
+        success: true,
+        message: `Found ${comments.length} comments in ${duration}s`,
+        duration: `${duration}s`,
+        videoId,
+        data: comments,
+        hasMore,
+        cursor,
+        stopReason
+      };
+    } catch (err) {
+      const endTime = Date.now();
+      const duration = ((endTime - startTime) / 1000).toFixed(2);
+
+      this.log.error(`Comment scrape failed after ${duration}s [${errorFields(err).code}]: ${err.message}`);
+
+      return {
+        success: false,
+        ...errorFields(err),
+        message: `Error: ${err.message}`,
+        duration: `${duration}s`,
+        data: [],
+        hasMore: false,
+        cursor: null
+      };
+    }
+  }
+
+  // kind: 'hashtag' | 'music'; the page metadata is returned under the same key
+  async videoCollection(kind, key, options = {}) {
+    const startTime = Date.now();
+    const scraper = this.createScraper(options);
+    try {
+      const result = await this.scrapeWithRetry(`${kind} scrape`, () => (kind === 'hashtag'
+        ? scraper.scrapeHashtag(key, options)
+        : scraper.scrapeMusic(key, options)));
+      const { meta, videos, hasMore, cursor, stopReason } = result;
+      const endTime = Date.now();
+      const duration = ((endTime - startTime) / 1000).toFixed(2);
+
+      if (!meta && videos.length === 0) {
+        throw new ScrapeError('NOT_FOUND', `No ${kind} page found for "${key}"`);
+      }
+
+      this.log.success(`${kind} scrape completed in ${duration}s - Found ${videos.length} videos`);
+
+      return {
+        success: true,
+        message: `Found ${videos.length} videos in ${duration}s`,
+        duration: `${duration}s`,
+        [kind]: meta,
+        data: videos,
+        hasMore,
+        cursor,
+        stopReason
+      };
+    } catch (err) {
+      const endTime = Date.now();
+      const duration = ((endTime - startTime) / 1000).toFixed(2);
+
+      this.log.error(`${kind} scrape failed after ${duration}s [${errorFields(err).code}]: ${err.message}`);
+
+      return {
+        success: false,
+        ...errorFields(err),
+        message: `Error: ${err.message}`,
+        duration: `${duration}s`,
+        [kind]: null,
+        data: [],
+        hasMore: false,
+        cursor: null
+      };
+    }
+  }
+
+  hashtag(tag, options = {}) {
+    return this.videoCollection('hashtag', tag, options);
+  }
+
+  music(musicId, options = {}) {
+    return this.videoCollection('music', musicId, options);
+  }
+
+  // Batch profile scrape: one profile() call per username, never more in flight than the semaphore has slots
+  async profiles(usernames, options = {}) {
+    const startTime = Date.now();
+    const results = await runBatch(usernames, async (username) => ({
+      username,
+      ...(await this.profile(username, { profile: options.profile, session: options.session }))
+    }), {
+      concurrency: this.runtime.semaphore.maxConcurrent,
+      shouldStop: options.shouldStop,
+      onResult: (result, username, { done, total }) => {
+        if (!result.username) result.username = username;
+        if (options.onResult) options.onResult(result);
+        if (options.onProgress) options.onProgress(done, total, `Scraped ${username}`);
+      }
+    });
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    const summary = summarizeBatch(results);
+
+    this.log.success(`Batch completed in ${duration}s - ${summary.succeeded}/${summary.total} profiles`);
+
+    return {
+      success: true,
+      message: `Found ${summary.succeeded}/${summary.total} profiles in ${duration}s`,
+      duration: `${duration}s`,
+      summary,
+      data: results
+    };
+  }
+
+  warmUp() {
+    return this.runtime.warmUp();
+  }
+
+  getStats() {
+    return this.runtime.getStats();
+  }
+
+  // close: shut the runtime's browsers; the client (and every client sharing the runtime) is done
+  close() {
+    return this.runtime.close();
+  }
+}
+
+function createClient(options = {}) {
+  return new TikTokClient(options);
+}
+
+module.exports = {
+  TikTokClient,
+  createClient
+};
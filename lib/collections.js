@@ -0,0 +1,117 @@
+// Page metadata for video collections: hashtag (challenge) pages and sound (music) pages
+
+const { countOrNull } = require('./counts');
+const { normalizeMusic } = require('./videos');
+
+function defaultScope(state) {
+  return (state && state.universal && state.universal.__DEFAULT_SCOPE__) || {};
+}
+
+function normalizeHashtagInfo(info) {
+  if (!info || !info.challenge) return null;
+  const challenge = info.challenge;
+  const stats = info.stats || {};
+  const statsV2 = info.statsV2 || {};
+  return {
+    id: String(challenge.id || ''),
+    title: challenge.title || '',
+    description: challenge.desc || '',
+    cover: challenge.coverLarger || challenge.coverMedium || challenge.profileLarger || '',
+    url: `https://www.tiktok.com/tag/${encodeURIComponent(challenge.title || '')}`,
+    stats: {
+      views: countOrNull(statsV2.viewCount, stats.viewCount),
+      videos: countOrNull(statsV2.videoCount, stats.videoCount)
+    }
+  };
+}
+
+// extractHashtagFromHydration: metadata of a /tag/<name> page, or null
+function extractHashtagFromHydration(state) {
+  const detail = defaultScope(state)['webapp.challenge-detail'];
+  if (detail && detail.challengeInfo) return normalizeHashtagInfo(detail.challengeInfo);
+  const page = state && state.sigi && state.sigi.ChallengePage;
+  if (page && page.challengeInfo) return normalizeHashtagInfo(page.challengeInfo);
+  return null;
+}
+
+function normalizeMusicInfo(info) {
+  if (!info || !info.music) return null;
+  const music = normalizeMusic(info.music);
+  const stats = info.stats || {};
+  const statsV2 = info.statsV2 || {};
+  return {
+    ...music,
+    description: info.music.description || '',
+    url: `https://www.tiktok.com/music/sound-${music.id}`,
+    stats: {
+      videos: countOrNull(statsV2.videoCount, stats.videoCount)
+    }
+  };
+}
+
+// extractMusicFromHydration: metadata of a /music/<slug>-<id> page, or null
+function extractMusicFromHydration(state) {
+  const detail = defaultScope(state)['webapp.music-detail'];
+  if (detail && detail.musicInfo) return normalizeMusicInfo(detail.musicInfo);
+  const page = state && state.sigi && state.sigi.MusicPage;
+  if (page && page.musicInfo) return normalizeMusicInfo(page.musicInfo);
+  return null;
+}
+
+// Fallbacks from text read off the rendered page
+function hashtagFromDom(raw, tag) {
+  if (!raw) return null;
+  return {
+    id: '',
+    title: (raw.title || tag || '').replace(/^#/, ''),
+    description: raw.description || '',
+    cover: raw.cover || '',
+    url: `https://www.tiktok.com/tag/${encodeURIComponent(tag)}`,
+    stats: {
+      views: countOrNull(raw.views),
+      videos: null
+    }
+  };
+}
+
+function musicFromDom(raw, id) {
+  if (!raw) return null;
+  return {
+    id: String(id),
+    title: raw.title || '',
+    author: raw.author || '',
+    original: false,
+    duration: null,
+    cover: raw.cover || '',
+    playUrl: '',
+    description: raw.description || '',
+    url: `https://www.tiktok.com/music/sound-${id}`,
+    stats: {
+      videos: countOrNull(raw.videoCount)
+    }
+  };
+}
+
+// normalizeHashtagInput: "#Dance", "dance", ".../tag/dance" -> "dance"
+function normalizeHashtagInput(input) {
+  const value = String(input || '').trim();
+  const fromUrl = value.match(/\/tag\/([^\/\?#]+)/);
+  return decodeURIComponent(fromUrl ? fromUrl[1] : value).replace(/^#/, '').trim();
+}
+
+// normalizeMusicInput: "7301234567890123456", ".../music/some-title-7301234567890123456" -> id
+function normalizeMusicInput(input) {
+  const value = String(input || '').trim();
+  if (/^\d+$/.test(value)) return value;
+  const fromUrl = value.match(/\/music\/[^\?#]*?(\d{6,})(?:[\?#]|$)/);
+  return fromUrl ? fromUrl[1] : '';
+}
+
+module.exports = {
+  extractHashtagFromHydration,
+  extractMusicFromHydration,
+  hashtagFromDom,
+  musicFromDom,
+  normalizeHashtagInput,
+  normalizeMusicInput
+};
@@ -0,0 +1,95 @@
+// Comment record normalization for the comment thread scraper
+
+const { parseCount } = require('./counts');
+
+const RELATIVE_UNITS = {
+  s: 1,
+  m: 60,
+  h: 3600,
+  d: 86400,
+  w: 604800
+};
+
+// parseCommentTime: TikTok's comment timestamps ("Just now", "5m ago", "2d ago", "11-14", "2023-11-14")
+// -> unix seconds, relative to `now` (null when the format is unknown)
+function parseCommentTime(text, now = Date.now()) {
+  const value = String(text || '').trim().toLowerCase();
+  if (!value) return null;
+
+  const nowSeconds = Math.floor(now / 1000);
+  if (/^(just now|now|vừa xong)$/.test(value)) return nowSeconds;
+
+  const relative = value.match(/^(\d+)\s*([smhdw])\b/);
+  if (relative) {
+    return nowSeconds - parseInt(relative[1], 10) * RELATIVE_UNITS[relative[2]];
+  }
+
+  const full = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (full) {
+    return Math.floor(Date.UTC(+full[1], +full[2] - 1, +full[3]) / 1000);
+  }
+
+  // Month-day without a year means the most recent such date
+  const short = value.match(/^(\d{1,2})-(\d{1,2})$/);
+  if (short) {
+    const year = new Date(now).getUTCFullYear();
+    const time = Date.UTC(year, +short[1] - 1, +short[2]);
+    return Math.floor((time > now ? Date.UTC(year - 1, +short[1] - 1, +short[2]) : time) / 1000);
+  }
+
+  return null;
+}
+
+function commentKey(comment) {
+  return `${comment.username}|${comment.text}`;
+}
+
+// normalizeComment: raw comment read from the DOM -> { username, text, likes, timestamp, replyCount, replies }
+function normalizeComment(raw, now = Date.now()) {
+  if (!raw || !raw.text) return null;
+  const createTime = parseCommentTime(raw.time, now);
+  const replies = (raw.replies || []).map(reply => normalizeComment(reply, now)).filter(Boolean);
+  const replyCount = raw.replyCount ? parseCount(raw.replyCount) : null;
+
+  return {
+    id: raw.id || null,
+    username: String(raw.username || '').replace(/^@/, ''),
+    displayName: raw.displayName || '',
+    text: raw.text,
+    likes: parseCount(raw.likes) || 0,
+    createTime,
+    timestamp: createTime ? new Date(createTime * 1000).toISOString() : null,
+    timeText: raw.time || '',
+    replyCount: replyCount !== null ? Math.max(replyCount, replies.length) : replies.length,
+    replies
+  };
+}
+
+// normalizeApiComment: /api/comment/list/ entry -> same record as normalizeComment, plus parentId for replies
+function normalizeApiComment(raw) {
+  if (!raw || !raw.text) return null;
+  const user = raw.user || {};
+  const createTime = raw.create_time || null;
+  const replies = (raw.reply_comment || []).map(normalizeApiComment).filter(Boolean);
+
+  return {
+    id: raw.cid ? String(raw.cid) : null,
+    parentId: raw.reply_id && raw.reply_id !== '0' ? String(raw.reply_id) : null,
+    username: user.unique_id || user.uniqueId || '',
+    displayName: user.nickname || '',
+    text: raw.text,
+    likes: raw.digg_count || 0,
+    createTime,
+    timestamp: createTime ? new Date(createTime * 1000).toISOString() : null,
+    timeText: '',
+    replyCount: Math.max(raw.reply_comment_total || 0, replies.length),
+    replies
+  };
+}
+
+module.exports = {
+  parseCommentTime,
+  commentKey,
+  normalizeComment,
+  normalizeApiComment
+};
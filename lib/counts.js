@@ -0,0 +1,111 @@
+// Parsing helpers for the abbreviated counters TikTok renders ("1.2M", "12,5 K", "3 456")
+
+// Magnitude suffixes keyed by lowercase token (English + the locales we see most often)
+const COUNT_SUFFIXES = {
+  k: 1e3,
+  m: 1e6,
+  b: 1e9,
+  n: 1e3,        // vi: nghìn
+  tr: 1e6,       // vi: triệu
+  t: 1e9,        // vi: tỷ
+  mil: 1e3,      // es/pt
+  mln: 1e6,      // pl/it
+  mio: 1e6,      // de
+  mrd: 1e9,      // de
+  mld: 1e9,      // pl/it
+  'тыс': 1e3,    // ru
+  'млн': 1e6,    // ru
+  'млрд': 1e9,   // ru
+  '千': 1e3,
+  '万': 1e4,
+  '萬': 1e4,
+  '億': 1e8,
+  '亿': 1e8
+};
+
+// Labels TikTok places next to the profile counters, used to find counters when data-e2e hooks are missing
+const STAT_LABELS = {
+  followers: ['Followers', 'Follower', 'Người theo dõi', 'Seguidores', 'Abonnés', 'Follower*innen', 'Подписчики', 'フォロワー', '粉丝'],
+  following: ['Following', 'Đang Follow', 'Đang theo dõi', 'Siguiendo', 'Seguindo', 'Abonnements', 'Gefolgt', 'Подписки', 'フォロー中', '关注'],
+  likes: ['Likes', 'Like', 'Thích', 'Me gusta', 'Curtidas', "J'aime", 'Gefällt mir', 'Лайки', 'いいね', '获赞']
+};
+
+const NUMBER_PATTERN = /(\d[\d.,'\s]*)\s*([^\d\s.,]+)?/;
+
+// Turn "1,234,567" / "1.234.567" / "1 234 567" / "1.2" / "1,2" into a JS number
+function normalizeNumber(raw) {
+  let str = raw.replace(/[\s']/g, '');
+  const lastDot = str.lastIndexOf('.');
+  const lastComma = str.lastIndexOf(',');
+
+  if (lastDot !== -1 && lastComma !== -1) {
+    // Both present: whichever comes last is the decimal separator
+    const decimal = lastDot > lastComma ? '.' : ',';
+    const group = decimal === '.' ? ',' : '.';
+    str = str.split(group).join('').replace(decimal, '.');
+  } else if (lastDot !== -1 || lastComma !== -1) {
+    const sep = lastDot !== -1 ? '.' : ',';
+    const parts = str.split(sep);
+    // Abbreviated counts keep one or two decimals ("1.2M", "12,5 K"), so a trailing group of three
+    // digits is a thousands separator even before a suffix ("10,000K")
+    const isGrouping = parts.length > 2 || parts[parts.length - 1].length === 3;
+    str = isGrouping ? parts.join('') : parts.join('.');
+  }
+
+  const value = parseFloat(str);
+  return Number.isFinite(value) ? value : null;
+}
+
+// CJK suffixes are written without a space before the label ("1.2万粉丝"), so match on the first character too
+function suffixMultiplier(token) {
+  if (!token) return 1;
+  const key = token.toLowerCase().replace(/\.$/, '');
+  if (COUNT_SUFFIXES[key]) return COUNT_SUFFIXES[key];
+  if (/^[\u3400-\u9fff]/.test(key) && COUNT_SUFFIXES[key[0]]) return COUNT_SUFFIXES[key[0]];
+  return 1;
+}
+
+// parseCount: "1.2M Followers" -> 1200000, "12,5 K" -> 12500, "" -> null
+function parseCount(text) {
+  if (text === null || text === undefined) return null;
+  if (typeof text === 'number') return Number.isFinite(text) ? Math.round(text) : null;
+
+  const cleaned = String(text).replace(/[\u00a0\u202f\u2009]/g, ' ').trim();
+  const match = cleaned.match(NUMBER_PATTERN);
+  if (!match) return null;
+
+  const rawNumber = match[1].trim().replace(/[.,]$/, '');
+  const multiplier = suffixMultiplier(match[2]);
+
+  const value = normalizeNumber(rawNumber);
+  if (value === null) return null;
+
+  return Math.round(value * multiplier);
+}
+
+// buildStat: keep the scraped text next to the parsed number so parsing can be audited
+function buildStat(text) {
+  const raw = typeof text === 'string' ? text.trim() : (text === null || text === undefined ? '' : String(text));
+  return {
+    count: parseCount(raw),
+    text: raw
+  };
+}
+
+// countOrNull: first value that parses as a count (numbers pass through, text goes through parseCount)
+function countOrNull(...values) {
+  for (const value of values) {
+    if (value === undefined || value === null || value === '') continue;
+    const num = typeof value === 'number' ? value : parseCount(value);
+    if (num !== null && Number.isFinite(num)) return num;
+  }
+  return null;
+}
+
+module.exports = {
+  COUNT_SUFFIXES,
+  STAT_LABELS,
+  parseCount,
+  countOrNull,
+  buildStat
+};
@@ -0,0 +1,242 @@
+// Device / fingerprint profiles.
+//
+// A profile bundles everything a page exposes about the "device": user agent (plus the matching
+// client hints), viewport, device scale factor, touch, locale, timezone and Accept-Language.
+// applyProfile() sets all of them on a page before navigation so they never contradict each
+// other (e.g. a mobile UA on a desktop-sized, touch-less viewport).
+//
+// Pages pick a profile by name, otherwise the selector hands out the next one of the rotation.
+// Extra or updated profiles can be loaded from a JSON file (DEVICE_PROFILES_FILE):
+//
+//   { "my-laptop": { "userAgent": "...", "viewport": { "width": 1280, "height": 720 }, "locale": "de-DE", "timezone": "Europe/Berlin" } }
+
+const fs = require('fs');
+const path = require('path');
+const { ScrapeError } = require('./errors');
+
+const CHROME_VERSION = '141.0.7390.78';
+const CHROME_MAJOR = CHROME_VERSION.split('.')[0];
+
+// Client hints (Sec-CH-UA*, navigator.userAgentData) matching the UA string
+function chromeMetadata({ platform, platformVersion, architecture = 'x86', model = '', mobile = false, edge = false }) {
+  const brands = [
+    { brand: edge ? 'Microsoft Edge' : 'Google Chrome', version: CHROME_MAJOR },
+    { brand: 'Not?A_Brand', version: '99' },
+    { brand: 'Chromium', version: CHROME_MAJOR }
+  ];
+  return {
+    brands,
+    fullVersionList: brands.map(entry => ({ ...entry, version: entry.brand === 'Not?A_Brand' ? '99.0.0.0' : CHROME_VERSION })),
+    fullVersion: CHROME_VERSION,
+    platform,
+    platformVersion,
+    architecture,
+    model,
+    mobile
+  };
+}
+
+const DEVICE_PROFILES = {
+  'desktop-chrome-windows': {
+    userAgent: `Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${CHROME_MAJOR}.0.0.0 Safari/537.36`,
+    userAgentMetadata: chromeMetadata({ platform: 'Windows', platformVersion: '15.0.0' }),
+    platform: 'Win32',
+    viewport: { width: 1920, height: 1080, deviceScaleFactor: 1, isMobile: false, hasTouch: false },
+    locale: 'en-US',
+    timezone: 'America/New_York',
+    acceptLanguage: 'en-US,en;q=0.9'
+  },
+  'desktop-edge-windows': {
+    userAgent: `Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${CHROME_MAJOR}.0.0.0 Safari/537.36 Edg/${CHROME_MAJOR}.0.0.0`,
+    userAgentMetadata: chromeMetadata({ platform: 'Windows', platformVersion: '15.0.0', edge: true }),
+    platform: 'Win32',
+    viewport: { width: 1536, height: 864, deviceScaleFactor: 1.25, isMobile: false, hasTouch: false },
+    locale: 'en-GB',
+    timezone: 'Europe/London',
+    acceptLanguage: 'en-GB,en;q=0.9,en-US;q=0.8'
+  },
+  'desktop-chrome-mac': {
+    userAgent: `Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${CHROME_MAJOR}.0.0.0 Safari/537.36`,
+    userAgentMetadata: chromeMetadata({ platform: 'macOS', platformVersion: '14.6.1', architecture: 'arm' }),
+    platform: 'MacIntel',
+    viewport: { width: 1440, height: 900, deviceScaleFactor: 2, isMobile: false, hasTouch: false },
+    locale: 'en-US',
+    timezone: 'America/Los_Angeles',
+    acceptLanguage: 'en-US,en;q=0.9'
+  },
+  'desktop-chrome-linux': {
+    userAgent: `Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${CHROME_MAJOR}.0.0.0 Safari/537.36`,
+    userAgentMetadata: chromeMetadata({ platform: 'Linux', platformVersion: '6.8.0' }),
+    platform: 'Linux x86_64',
+    viewport: { width: 1366, height: 768, deviceScaleFactor: 1, isMobile: false, hasTouch: false },
+    locale: 'en-US',
+    timezone: 'America/Chicago',
+    acceptLanguage: 'en-US,en;q=0.9'
+  },
+  'desktop-chrome-windows-vi': {
+    userAgent: `Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${CHROME_MAJOR}.0.0.0 Safari/537.36`,
+    userAgentMetadata: chromeMetadata({ platform: 'Windows', platformVersion: '15.0.0' }),
+    platform: 'Win32',
+    viewport: { width: 1920, height: 1080, deviceScaleFactor: 1, isMobile: false, hasTouch: false },
+    locale: 'vi-VN',
+    timezone: 'Asia/Ho_Chi_Minh',
+    acceptLanguage: 'vi-VN,vi;q=0.9,en-US;q=0.8,en;q=0.7'
+  },
+  // Mobile layout differs from desktop, so it is only used when asked for by name
+  'android-pixel-7': {
+    userAgent: `Mozilla/5.0 (Linux; Android 14; Pixel 7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${CHROME_VERSION} Mobile Safari/537.36`,
+    userAgentMetadata: chromeMetadata({ platform: 'Android', platformVersion: '14.0.0', architecture: '', model: 'Pixel 7', mobile: true }),
+    platform: 'Linux armv81',
+    viewport: { width: 412, height: 915, deviceScaleFactor: 2.625, isMobile: true, hasTouch: true },
+    locale: 'en-US',
+    timezone: 'America/New_York',
+    acceptLanguage: 'en-US,en;q=0.9',
+    rotate: false
+  }
+};
+
+const DEFAULT_PROFILE = 'desktop-chrome-windows';
+
+// normalizeProfile: fill the fields a custom profile left out, keeping them consistent with its UA
+function normalizeProfile(name, spec) {
+  if (!spec || !spec.userAgent) throw new Error(`Device profile "${name}" needs a userAgent`);
+  const mobile = /Mobile|Android|iPhone/i.test(spec.userAgent);
+  const locale = spec.locale || 'en-US';
+  const language = locale.split('-')[0];
+  return {
+    name,
+    userAgent: spec.userAgent,
+    userAgentMetadata: spec.userAgentMetadata || null,
+    platform: spec.platform || null,
+    viewport: {
+      width: mobile ? 390 : 1366,
+      height: mobile ? 844 : 768,
+      deviceScaleFactor: mobile ? 3 : 1,
+      isMobile: mobile,
+      hasTouch: mobile,
+      ...(spec.viewport || {})
+    },
+    locale,
+    timezone: spec.timezone || 'UTC',
+    acceptLanguage: spec.acceptLanguage || (language === locale ? locale : `${locale},${language};q=0.9`),
+    rotate: spec.rotate !== undefined ? !!spec.rotate : !mobile
+  };
+}
+
+// loadDeviceProfiles: built-in profiles plus (overridden by) the ones from `file`
+function loadDeviceProfiles(file) {
+  const specs = { ...DEVICE_PROFILES };
+  if (file) {
+    const loaded = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    Object.assign(specs, loaded);
+  }
+  const profiles = {};
+  for (const [name, spec] of Object.entries(specs)) profiles[name] = normalizeProfile(name, spec);
+  return profiles;
+}
+
+class ProfileSelector {
+  constructor(options = {}) {
+    this.profiles = options.profiles || loadDeviceProfiles();
+    // Fixed profile for every page (null = rotate)
+    this.fixed = options.fixed || null;
+    this.rotation = options.rotation && options.rotation.length
+      ? options.rotation
+      : Object.keys(this.profiles).filter(name => this.profiles[name].rotate);
+    this.strategy = options.strategy || 'round-robin';
+    this.cursor = 0;
+
+    for (const name of [this.fixed, ...this.rotation].filter(Boolean)) {
+      if (!this.profiles[name]) throw new Error(`Unknown device profile "${name}" (available: ${this.names().join(', ')})`);
+    }
+    if (!['round-robin', 'random'].includes(this.strategy)) {
+      throw new Error(`Unknown device profile rotation "${this.strategy}" (expected round-robin or random)`);
+    }
+  }
+
+  names() {
+    return Object.keys(this.profiles);
+  }
+
+  has(name) {
+    return Object.prototype.hasOwnProperty.call(this.profiles, name);
+  }
+
+  // pick: the named profile, else the fixed one, else the next of the rotation
+  pick(name) {
+    if (name) {
+      if (!this.has(name)) throw new ScrapeError('INVALID_INPUT', `Unknown device profile "${name}"`);
+      return this.profiles[name];
+    }
+    if (this.fixed) return this.profiles[this.fixed];
+    if (this.rotation.length === 0) return this.profiles[DEFAULT_PROFILE];
+    const index = this.strategy === 'random'
+      ? Math.floor(Math.random() * this.rotation.length)
+      : this.cursor++ % this.rotation.length;
+    return this.profiles[this.rotation[index]];
+  }
+
+  describe() {
+    return {
+      fixed: this.fixed,
+      rotation: this.rotation,
+      strategy: this.strategy,
+      profiles: Object.values(this.profiles).map(profile => ({
+        name: profile.name,
+        userAgent: profile.userAgent,
+        viewport: profile.viewport,
+        locale: profile.locale,
+        timezone: profile.timezone,
+        acceptLanguage: profile.acceptLanguage
+      }))
+    };
+  }
+}
+
+// createProfileSelector: DEVICE_PROFILE (fixed name, or "rotate"), DEVICE_PROFILE_ROTATION
+// (comma-separated names), DEVICE_PROFILE_STRATEGY (round-robin | random), DEVICE_PROFILES_FILE
+function createProfileSelector(env = process.env) {
+  const fixed = env.DEVICE_PROFILE && env.DEVICE_PROFILE !== 'rotate' ? env.DEVICE_PROFILE : null;
+  return new ProfileSelector({
+    profiles: loadDeviceProfiles(env.DEVICE_PROFILES_FILE),
+    fixed,
+    rotation: (env.DEVICE_PROFILE_ROTATION || '').split(',').map(name => name.trim()).filter(Boolean),
+    strategy: env.DEVICE_PROFILE_STRATEGY || 'round-robin'
+  });
+}
+
+// applyProfile: set every part of the profile on a page; call before the first navigation
+async function applyProfile(page, profile) {
+  await page.setUserAgent(profile.userAgent, profile.userAgentMetadata || undefined);
+  await page.setViewport(profile.viewport);
+  await page.setExtraHTTPHeaders({ 'Accept-Language': profile.acceptLanguage });
+  await page.emulateTimezone(profile.timezone);
+
+  // Intl / Date formatting locale; CDP only, so older or remote browsers may not support it
+  try {
+    const session = typeof page.createCDPSession === 'function'
+      ? await page.createCDPSession()
+      : await page.target().createCDPSession();
+    await session.send('Emulation.setLocaleOverride', { locale: profile.locale });
+  } catch (e) {
+    // ignore
+  }
+
+  const languages = profile.acceptLanguage.split(',').map(part => part.split(';')[0].trim());
+  await page.evaluateOnNewDocument((languages, platform, maxTouchPoints) => {
+    Object.defineProperty(navigator, 'language', { get: () => languages[0] });
+    Object.defineProperty(navigator, 'languages', { get: () => languages });
+    if (platform) Object.defineProperty(navigator, 'platform', { get: () => platform });
+    Object.defineProperty(navigator, 'maxTouchPoints', { get: () => maxTouchPoints });
+  }, languages, profile.platform, profile.viewport.hasTouch ? 5 : 0);
+}
+
+module.exports = {
+  DEVICE_PROFILES,
+  DEFAULT_PROFILE,
+  normalizeProfile,
+  loadDeviceProfiles,
+  ProfileSelector,
+  createProfileSelector,
+  applyProfile
+};
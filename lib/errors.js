@@ -0,0 +1,152 @@
+// Error taxonomy for scrapes: every failure is reported as one of a few codes so clients can tell
+// "this user does not exist" from "TikTok blocked us, try again later".
+
+const ERROR_CODES = {
+  NOT_FOUND: { status: 404, retryable: false, message: 'Not found' },
+  PRIVATE: { status: 403, retryable: false, message: 'Content is private' },
+  CAPTCHA: { status: 503, retryable: true, message: 'TikTok served a captcha' },
+  LOGIN_REQUIRED: { status: 503, retryable: true, message: 'TikTok demanded a login to continue' },
+  SESSION_EXPIRED: { status: 401, retryable: false, message: 'Session cookies are expired or were rejected' },
+  TIMEOUT: { status: 504, retryable: true, message: 'Page load timed out' },
+  BLOCKED: { status: 429, retryable: true, message: 'Request blocked or rate-limited by TikTok' },
+  SELECTOR_DRIFT: { status: 502, retryable: false, message: 'Page loaded but no known selector matched' },
+  // Not scrape outcomes, but every error needs a code
+  INVALID_INPUT: { status: 400, retryable: false, message: 'Invalid input' },
+  UNKNOWN: { status: 500, retryable: false, message: 'Unexpected scrape error' }
+};
+
+class ScrapeError extends Error {
+  constructor(code, message, details = {}) {
+    const info = ERROR_CODES[code] || ERROR_CODES.UNKNOWN;
+    super(message || info.message);
+    this.name = 'ScrapeError';
+    this.code = ERROR_CODES[code] ? code : 'UNKNOWN';
+    this.status = info.status;
+    this.retryable = info.retryable;
+    this.details = details;
+  }
+}
+
+// TikTok's own statusCode values in the hydration JSON of user / video pages
+const TIKTOK_STATUS_CODES = {
+  10202: 'NOT_FOUND', // user does not exist
+  10221: 'NOT_FOUND', // user banned
+  10222: 'PRIVATE', // private account
+  10204: 'NOT_FOUND', // video does not exist / removed
+  10216: 'PRIVATE' // private video
+};
+
+// Notices TikTok renders instead of content (English and Vietnamese UI)
+const PAGE_TEXT_MARKERS = [
+  { code: 'NOT_FOUND', pattern: /couldn['’]t find this (account|hashtag|sound|page)|không thể tìm thấy (tài khoản|hashtag|âm thanh)|video (is )?currently unavailable|video hiện không khả dụng|page not available/i },
+  { code: 'PRIVATE', pattern: /this account is private|tài khoản này là riêng tư|this video is private|video này ở chế độ riêng tư/i },
+  { code: 'PRIVATE', pattern: /(follower|following) list is private|(hidden|private) (their )?(followers|following) list|danh sách (người theo dõi|đang follow|follower|following) (này )?(là )?riêng tư/i }
+];
+
+// errorFromPageText: visible page text -> ScrapeError for a known TikTok notice, else null
+function errorFromPageText(text) {
+  const marker = PAGE_TEXT_MARKERS.find(entry => entry.pattern.test(text || ''));
+  return marker ? new ScrapeError(marker.code, `${ERROR_CODES[marker.code].message} (page notice)`) : null;
+}
+
+// classifyError: any thrown value -> ScrapeError (ScrapeErrors pass through untouched). Only
+// transport failures are read from the message; bad input is thrown as ScrapeError('INVALID_INPUT'),
+// since Chrome's own messages (net::ERR_INVALID_RESPONSE...) say "invalid" too
+function classifyError(err) {
+  if (err instanceof ScrapeError) return err;
+  const message = (err && err.message) || String(err);
+
+  let code = 'UNKNOWN';
+  if ((err && err.name === 'TimeoutError') || /timeout|timed out/i.test(message)) {
+    code = 'TIMEOUT';
+  } else if (/captcha/i.test(message)) {
+    code = 'CAPTCHA';
+  } else if (/net::ERR_(CONNECTION|TUNNEL|PROXY|EMPTY_RESPONSE|SOCKS|HTTP2|ABORTED|NETWORK)|\b(403|429)\b|rate.?limit/i.test(message)) {
+    code = 'BLOCKED';
+  }
+  const error = new ScrapeError(code, message);
+  error.cause = err;
+  return error;
+}
+
+// errorFromResponse: navigation response -> ScrapeError for HTTP-level failures, else null
+function errorFromResponse(response) {
+  if (!response) return null;
+  const status = response.status();
+  if (status === 404) return new ScrapeError('NOT_FOUND', `TikTok answered HTTP ${status}`);
+  if (status === 403 || status === 429) return new ScrapeError('BLOCKED', `TikTok answered HTTP ${status}`);
+  if (status >= 500) return new ScrapeError('BLOCKED', `TikTok answered HTTP ${status}`);
+  return null;
+}
+
+// errorFromHydration: TikTok statusCode of a user/video detail page -> ScrapeError, else null
+function errorFromHydration(state, detailKey) {
+  const scope = (state && state.universal && state.universal.__DEFAULT_SCOPE__) || {};
+  const detail = scope[detailKey];
+  const statusCode = detail && Number(detail.statusCode);
+  if (!statusCode) return null;
+  const code = TIKTOK_STATUS_CODES[statusCode];
+  return code ? new ScrapeError(code, `${ERROR_CODES[code].message} (TikTok status ${statusCode})`, { statusCode }) : null;
+}
+
+function retryOptionsFromEnv(env = process.env) {
+  return {
+    maxAttempts: Math.max(parseInt(env.RETRY_MAX_ATTEMPTS) || 3, 1),
+    baseDelay: parseInt(env.RETRY_BASE_DELAY_MS) || 1000,
+    maxDelay: parseInt(env.RETRY_MAX_DELAY_MS) || 15000
+  };
+}
+
+// Exponential backoff with full jitter: random delay in [0, min(maxDelay, baseDelay * 2^attempt)]
+function backoffDelay(attempt, { baseDelay, maxDelay }, random = Math.random) {
+  return Math.floor(random() * Math.min(maxDelay, baseDelay * 2 ** attempt));
+}
+
+// withRetry: run fn until it succeeds, throws a non-retryable error or maxAttempts is reached.
+// The final error carries `attempts`
+async function withRetry(fn, options = {}) {
+  const settings = { ...retryOptionsFromEnv(), ...options };
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      const error = classifyError(err);
+      error.attempts = attempt;
+      if (!error.retryable || attempt >= settings.maxAttempts) throw error;
+
+      const wait = backoffDelay(attempt - 1, settings);
+      if (settings.onRetry) settings.onRetry(error, attempt, wait);
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  }
+}
+
+// errorFields: the envelope fields describing a failure
+function errorFields(err) {
+  const error = classifyError(err);
+  return {
+    code: error.code,
+    retryable: error.retryable,
+    attempts: error.attempts || 1
+  };
+}
+
+// httpStatusFor: HTTP status of a response envelope
+function httpStatusFor(envelope) {
+  if (!envelope || envelope.success !== false) return 200;
+  return (ERROR_CODES[envelope.code] || ERROR_CODES.UNKNOWN).status;
+}
+
+module.exports = {
+  ERROR_CODES,
+  ScrapeError,
+  classifyError,
+  errorFromResponse,
+  errorFromHydration,
+  errorFromPageText,
+  retryOptionsFromEnv,
+  backoffDelay,
+  withRetry,
+  errorFields,
+  httpStatusFor
+};
@@ -0,0 +1,352 @@
+// Change events of watched accounts: rules turn the delta of a new snapshot into events (bio edited,
+// avatar changed, verified flipped, follower count crossing a threshold, new video...), which are
+// appended to a replayable event log, pushed to Server-Sent Events subscribers and POSTed to signed
+// webhooks.
+//
+// Rules are plain strings for change events ("bio", "avatar", "verified", "video"...) or threshold
+// objects ({ "type": "threshold", "metric": "followers", "value": 1000000, "direction": "up" }).
+// Every event gets a sequence number (`seq`, the SSE event id, used to replay from a point) and a
+// uuid (`id`, sent as the webhook delivery id so receivers can drop duplicates of replays).
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { postSigned } = require('./sinks');
+const { watchKey } = require('./watch-store');
+
+const DEFAULT_EVENT_FILE = path.join(__dirname, '..', 'data', 'events', 'events.jsonl');
+
+// Change rules -> event type; the snapshot field they watch is in CHANGE_FIELDS
+const CHANGE_EVENTS = {
+  bio: 'bio.changed',
+  displayName: 'displayName.changed',
+  avatar: 'avatar.changed',
+  verified: 'verified.changed',
+  private: 'private.changed'
+};
+const CHANGE_FIELDS = { bio: 'bio', displayName: 'displayName', avatar: 'avatarId', verified: 'verified', private: 'privateAccount' };
+
+const EVENT_TYPES = [...Object.values(CHANGE_EVENTS), 'video.new', 'threshold.crossed'];
+const THRESHOLD_METRICS = ['followers', 'following', 'likes', 'videoCount'];
+const THRESHOLD_DIRECTIONS = ['up', 'down', 'both'];
+
+// Rules used when a watch has none of its own
+const DEFAULT_RULES = [...Object.keys(CHANGE_EVENTS), 'video'];
+
+// parseRule: "bio" | "bio.changed" | "video" | { type: 'threshold', metric, value, direction } -> rule
+function parseRule(input) {
+  if (typeof input === 'string') {
+    const name = input.trim();
+    const change = Object.keys(CHANGE_EVENTS).find(key => key === name || CHANGE_EVENTS[key] === name);
+    if (change) return { type: 'change', field: change };
+    if (name === 'video' || name === 'video.new') return { type: 'video' };
+    throw new Error(`Unknown rule "${name}" (expected ${DEFAULT_RULES.join(', ')} or a threshold object)`);
+  }
+  if (input && input.type === 'threshold') {
+    const value = Number(input.value);
+    const direction = input.direction || 'up';
+    if (!THRESHOLD_METRICS.includes(input.metric)) throw new Error(`Threshold metric must be one of ${THRESHOLD_METRICS.join(', ')}`);
+    if (!Number.isFinite(value)) throw new Error('Threshold value must be a number');
+    if (!THRESHOLD_DIRECTIONS.includes(direction)) throw new Error(`Threshold direction must be one of ${THRESHOLD_DIRECTIONS.join(', ')}`);
+    return { type: 'threshold', metric: input.metric, value, direction };
+  }
+  if (input && typeof input.type === 'string') return parseRule(input.type);
+  throw new Error(`Invalid rule ${JSON.stringify(input)}`);
+}
+
+// parseRules: JSON array text, comma list or array -> rules
+function parseRules(input) {
+  let items = input;
+  if (typeof input === 'string') {
+    const text = input.trim();
+    items = text.startsWith('[') ? JSON.parse(text) : text.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  if (!Array.isArray(items)) throw new Error('Rules must be a list');
+  return items.map(parseRule);
+}
+
+// detectEvents: snapshot (with its delta) + rules -> [{ type, username, data }]. The first snapshot
+// of an account has no delta and therefore no events
+function detectEvents(snapshot, rules) {
+  const delta = snapshot.delta;
+  if (!delta) return [];
+  const events = [];
+  const emit = (type, data) => events.push({ type, username: snapshot.username, data });
+
+  for (const rule of rules) {
+    if (rule.type === 'change') {
+      const change = delta.changed && delta.changed[CHANGE_FIELDS[rule.field]];
+      if (!change) continue;
+      const data = { from: change.from, to: change.to };
+      if (rule.field === 'avatar') data.avatar = snapshot.avatar;
+      emit(CHANGE_EVENTS[rule.field], data);
+    } else if (rule.type === 'video') {
+      if (delta.newVideos > 0) emit('video.new', { count: delta.newVideos, videoIds: delta.newVideoIds || [] });
+    } else if (rule.type === 'threshold') {
+      const current = snapshot[rule.metric];
+      const change = delta[rule.metric];
+      if (typeof current !== 'number' || typeof change !== 'number') continue;
+      const previous = current - change;
+      const up = previous < rule.value && current >= rule.value;
+      const down = previous >= rule.value && current < rule.value;
+      if ((up && rule.direction !== 'down') || (down && rule.direction !== 'up')) {
+        emit('threshold.crossed', { metric: rule.metric, value: rule.value, direction: up ? 'up' : 'down', from: previous, to: current });
+      }
+    }
+  }
+  return events;
+}
+
+// Does an event pass a { usernames, types } filter (empty lists match everything). Usernames are
+// compared as watch keys (case and a leading @ ignored) whether they come from a query, a
+// subscriber or a webhook config
+function matchesFilter(event, filter = {}) {
+  if (filter.usernames && filter.usernames.length
+    && !filter.usernames.some(username => watchKey(username) === watchKey(event.username))) return false;
+  if (filter.types && filter.types.length && !filter.types.includes(event.type)) return false;
+  return true;
+}
+
+// EventLog: the newest maxEvents events in memory, optionally mirrored to a JSONL file that is
+// appended on every event, compacted once it grows past maxEvents and read back on startup
+class EventLog {
+  constructor(options = {}) {
+    this.file = options.file ? path.resolve(options.file) : null;
+    this.maxEvents = options.maxEvents || 10000;
+    this.logger = options.logger || console;
+    this.events = this.file ? this.load() : [];
+    this.lineCount = this.events.length;
+    this.lastSeq = this.events.length ? this.events[this.events.length - 1].seq : 0;
+    this.writes = Promise.resolve();
+  }
+
+  load() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    try {
+      // A crash mid-append can leave a torn last line; skip anything unparsable
+      return fs.readFileSync(this.file, 'utf8').split('\n').filter(Boolean).flatMap(line => {
+        try {
+          return [JSON.parse(line)];
+        } catch (err) {
+          return [];
+        }
+      }).slice(-this.maxEvents);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      return [];
+    }
+  }
+
+  // append: number and store events; the in-memory log is updated synchronously so a replay
+  // followed by a subscription never misses one
+  append(items) {
+    const now = new Date().toISOString();
+    const events = items.map(item => ({
+      seq: ++this.lastSeq,
+      id: crypto.randomUUID(),
+      createdAt: now,
+      ...item
+    }));
+    this.events.push(...events);
+    if (this.events.length > this.maxEvents) this.events.splice(0, this.events.length - this.maxEvents);
+    if (this.file && events.length) this.persist(events);
+    return events;
+  }
+
+  persist(events) {
+    const run = this.writes.then(async () => {
+      await fs.promises.appendFile(this.file, events.map(event => JSON.stringify(event) + '\n').join(''));
+      this.lineCount += events.length;
+      if (this.lineCount > this.maxEvents * 1.1) {
+        const tmp = `${this.file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmp, this.events.map(event => JSON.stringify(event) + '\n').join(''));
+        await fs.promises.rename(tmp, this.file);
+        this.lineCount = this.events.length;
+      }
+    });
+    this.writes = run.catch(err => this.logger.error(`❌ Event log write failed: ${err.message}`));
+  }
+
+  // list: events after sequence `after` and / or since time `since`, matching the filter, oldest first
+  list({ after = 0, since = null, usernames, types, limit } = {}) {
+    const from = since ? new Date(since).getTime() : -Infinity;
+    const selected = this.events.filter(event => event.seq > after
+      && new Date(event.createdAt).getTime() >= from
+      && matchesFilter(event, { usernames, types }));
+    return limit ? selected.slice(0, limit) : selected;
+  }
+
+  async close() {
+    await this.writes;
+  }
+}
+
+// Webhook specs: JSON object { name: url | { url, secret, types, usernames } } or "name=url,name2=url2"
+function webhookSpecsFromEnv(env = process.env) {
+  const text = String(env.EVENT_WEBHOOKS || '').trim();
+  if (!text) return {};
+  if (text.startsWith('{')) return JSON.parse(text);
+  const specs = {};
+  for (const entry of text.split(',').map(part => part.trim()).filter(Boolean)) {
+    const index = entry.indexOf('=');
+    if (index <= 0) throw new Error(`Invalid EVENT_WEBHOOKS entry "${entry}" (expected name=url)`);
+    specs[entry.slice(0, index).trim()] = entry.slice(index + 1).trim();
+  }
+  return specs;
+}
+
+class EventBus {
+  // options: log (EventLog), webhooks ({ name: spec }), webhookSecret (for specs without one),
+  // rules (default rules of watches without their own), logger
+  constructor(options = {}) {
+    this.log = options.log || new EventLog();
+    this.logger = options.logger || console;
+    this.rules = options.rules || DEFAULT_RULES.map(parseRule);
+    this.subscribers = new Set();
+    this.webhooks = new Map();
+    for (const [name, spec] of Object.entries(options.webhooks || {})) {
+      const config = typeof spec === 'string' ? { url: spec } : { ...spec };
+      if (!/^https?:\/\//i.test(config.url || '')) throw new Error(`Event webhook "${name}" needs an http(s) url`);
+      for (const type of config.types || []) {
+        if (!EVENT_TYPES.includes(type)) throw new Error(`Event webhook "${name}": unknown event type "${type}"`);
+      }
+      config.secret = config.secret || options.webhookSecret || null;
+      // Deliveries of one webhook run in order, so receivers see events in sequence
+      this.webhooks.set(name, { name, config, queue: Promise.resolve(), delivered: 0, failed: 0, lastError: null });
+    }
+  }
+
+  // process: events of a fresh snapshot under the watch's rules (or the defaults), published
+  process(watch, snapshot) {
+    const events = detectEvents(snapshot, watch.rules || this.rules)
+      .map(event => ({ ...event, username: watch.username, snapshotAt: snapshot.scrapedAt }));
+    return events.length ? this.publish(events) : [];
+  }
+
+  // publish: log, notify SSE subscribers and queue webhook deliveries; returns the logged events
+  publish(items) {
+    const events = this.log.append(items);
+    for (const event of events) {
+      this.logger.log(`🔔 Event #${event.seq} ${event.type} @${event.username}`);
+      for (const subscriber of this.subscribers) {
+        if (!matchesFilter(event, subscriber.filter)) continue;
+        try {
+          subscriber.listener(event);
+        } catch (err) {
+          this.logger.error(`❌ Event subscriber failed: ${err.message}`);
+        }
+      }
+    }
+    this.dispatch(events);
+    return events;
+  }
+
+  // subscribe: listener(event) for every new event matching the filter; returns unsubscribe
+  subscribe(listener, filter = {}) {
+    const subscriber = { listener, filter };
+    this.subscribers.add(subscriber);
+    return () => this.subscribers.delete(subscriber);
+  }
+
+  // dispatch: POST events to the webhooks whose types / usernames match (all webhooks, or `names`)
+  dispatch(events, names = null) {
+    const deliveries = [];
+    for (const hook of this.webhooks.values()) {
+      if (names && !names.includes(hook.name)) continue;
+      const matching = events.filter(event => matchesFilter(event, { types: hook.config.types, usernames: hook.config.usernames }));
+      for (const event of matching) {
+        const delivery = hook.queue.then(() => this.deliver(hook, event));
+        hook.queue = delivery;
+        deliveries.push(delivery);
+      }
+    }
+    return Promise.all(deliveries);
+  }
+
+  // deliver: one signed POST (with retries); failures are logged and counted, never thrown, the
+  // event stays in the log for a replay
+  async deliver(hook, event) {
+    try {
+      await postSigned(hook.config.url, event, {
+        event: event.type,
+        deliveryId: event.id,
+        secret: hook.config.secret,
+        headers: hook.config.headers,
+        maxAttempts: hook.config.retries !== undefined ? parseInt(hook.config.retries) + 1 : undefined,
+        timeout: hook.config.timeout,
+        logger: this.logger
+      });
+      hook.delivered++;
+      return { webhook: hook.name, seq: event.seq, success: true };
+    } catch (err) {
+      hook.failed++;
+      hook.lastError = { seq: event.seq, message: err.message, at: new Date().toISOString() };
+      this.logger.error(`❌ Event #${event.seq} to webhook "${hook.name}" failed: ${err.message}`);
+      return { webhook: hook.name, seq: event.seq, success: false, error: err.message };
+    }
+  }
+
+  // replay: send logged events again (after a receiver outage); same ids, so receivers can dedupe
+  replay(query = {}, names = null) {
+    const events = this.log.list(query);
+    return { events, deliveries: this.dispatch(events, names) };
+  }
+
+  describeWebhooks() {
+    return Array.from(this.webhooks.values()).map(({ name, config, delivered, failed, lastError }) => ({
+      name,
+      url: config.url.replace(/\/\/[^@/]*@/, '//***@'),
+      signed: !!config.secret,
+      types: config.types || null,
+      usernames: config.usernames || null,
+      delivered,
+      failed,
+      lastError
+    }));
+  }
+
+  getStats() {
+    return {
+      events: this.log.events.length,
+      lastSeq: this.log.lastSeq,
+      subscribers: this.subscribers.size,
+      webhooks: this.describeWebhooks().map(({ name, delivered, failed }) => ({ name, delivered, failed }))
+    };
+  }
+
+  // close: flush the log; webhook deliveries still retrying are dropped (replay them later)
+  async close() {
+    await this.log.close();
+  }
+}
+
+// createEventBus: log from EVENT_LOG (memory|file, memory unless set so that loading the library
+// writes nothing to disk), EVENT_LOG_FILE and EVENT_LOG_MAX; default rules from EVENT_RULES;
+// webhooks from EVENT_WEBHOOKS signed with EVENT_WEBHOOK_SECRET
+function createEventBus(env = process.env, options = {}) {
+  const type = env.EVENT_LOG || 'memory';
+  if (!['file', 'memory'].includes(type)) throw new Error(`Unknown event log "${type}" (expected file or memory)`);
+  return new EventBus({
+    log: new EventLog({
+      file: type === 'file' ? env.EVENT_LOG_FILE || DEFAULT_EVENT_FILE : null,
+      maxEvents: parseInt(env.EVENT_LOG_MAX) || undefined,
+      logger: options.logger
+    }),
+    rules: env.EVENT_RULES ? parseRules(env.EVENT_RULES) : undefined,
+    webhooks: webhookSpecsFromEnv(env),
+    webhookSecret: env.EVENT_WEBHOOK_SECRET,
+    ...options
+  });
+}
+
+module.exports = {
+  EVENT_TYPES,
+  DEFAULT_RULES,
+  parseRule,
+  parseRules,
+  detectEvents,
+  matchesFilter,
+  EventLog,
+  EventBus,
+  createEventBus
+};
@@ -0,0 +1,71 @@
+// Follower / following list records.
+//
+// Both lists live in a modal on the profile page that TikTok fills from /api/user/list/
+// (scene 67 = followers, scene 21 = following) and only shows to logged-in browsers. Records from
+// the intercepted payloads and from the rendered modal share one shape:
+//   { username, nickname, avatar, verified, id, secUid, source }
+
+const { normalizeUser } = require('./hydration');
+const { ScrapeError } = require('./errors');
+
+const FOLLOW_LISTS = {
+  followers: { kind: 'followers', label: 'followers', openField: 'openFollowers', countField: 'followers' },
+  following: { kind: 'following', label: 'following', openField: 'openFollowing', countField: 'following' }
+};
+
+function getFollowList(type) {
+  const list = FOLLOW_LISTS[type];
+  if (!list) throw new ScrapeError('INVALID_INPUT', `Unknown follow list "${type}" (expected followers or following)`);
+  return list;
+}
+
+// normalizeApiFollowUser: one userList entry ({ user, stats }) -> follow record
+function normalizeApiFollowUser(entry) {
+  const user = normalizeUser(entry && (entry.user || entry.user_info || entry), (entry && entry.stats) || {});
+  if (!user) return null;
+  return {
+    username: user.username,
+    nickname: user.displayName || user.username,
+    avatar: user.avatar,
+    verified: user.verified,
+    id: user.id || null,
+    secUid: user.secUid || null,
+    source: 'api'
+  };
+}
+
+// extractApiFollowUsers: /api/user/list/ payloads -> follow records, payload order
+function extractApiFollowUsers(bodies) {
+  const users = [];
+  for (const body of bodies) {
+    for (const entry of (body && (body.userList || body.user_list)) || []) {
+      const user = normalizeApiFollowUser(entry);
+      if (user) users.push(user);
+    }
+  }
+  return users;
+}
+
+// followUserFromDom: raw modal item ({ href, nickname, avatar, verified }) -> follow record
+function followUserFromDom(raw) {
+  const match = String((raw && raw.href) || '').match(/\/@([^\/\?#]+)/);
+  if (!match) return null;
+  const username = decodeURIComponent(match[1]);
+  return {
+    username,
+    nickname: (raw.nickname || '').trim() || username,
+    avatar: raw.avatar || '',
+    verified: !!raw.verified,
+    id: null,
+    secUid: null,
+    source: 'dom'
+  };
+}
+
+module.exports = {
+  FOLLOW_LISTS,
+  getFollowList,
+  normalizeApiFollowUser,
+  extractApiFollowUsers,
+  followUserFromDom
+};
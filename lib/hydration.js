@@ -0,0 +1,192 @@
+// Readers for the state TikTok embeds in its pages:
+//   <script id="__UNIVERSAL_DATA_FOR_REHYDRATION__"> (current web app)
+//   <script id="SIGI_STATE">                        (older web app, still served in some regions)
+// Everything here is plain Node code so it can run against page content or saved HTML fixtures.
+
+const HYDRATION_SCRIPT_IDS = ['__UNIVERSAL_DATA_FOR_REHYDRATION__', 'SIGI_STATE'];
+
+function safeJsonParse(text) {
+  if (!text || typeof text !== 'string') return null;
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    return null;
+  }
+}
+
+// Pull the raw JSON text of one hydration script out of an HTML document
+function findScriptText(html, id) {
+  const pattern = new RegExp(`<script[^>]*id=["']${id}["'][^>]*>([\\s\\S]*?)</script>`, 'i');
+  const match = html.match(pattern);
+  return match ? match[1] : null;
+}
+
+// parseHydrationScripts: { universal, sigi } from the raw script contents (either may be null)
+function parseHydrationScripts(scripts = {}) {
+  return {
+    universal: safeJsonParse(scripts.__UNIVERSAL_DATA_FOR_REHYDRATION__),
+    sigi: safeJsonParse(scripts.SIGI_STATE)
+  };
+}
+
+// extractHydrationFromHtml: same result as readHydrationFromPage, for saved HTML
+function extractHydrationFromHtml(html) {
+  const scripts = {};
+  for (const id of HYDRATION_SCRIPT_IDS) {
+    scripts[id] = findScriptText(html || '', id);
+  }
+  return parseHydrationScripts(scripts);
+}
+
+// readHydrationFromPage: read the scripts in the live page, parse them on the Node side
+async function readHydrationFromPage(page) {
+  const scripts = await page.evaluate((ids) => {
+    const out = {};
+    ids.forEach(id => {
+      const el = document.getElementById(id);
+      out[id] = el ? el.textContent : null;
+    });
+    return out;
+  }, HYDRATION_SCRIPT_IDS);
+  return parseHydrationScripts(scripts);
+}
+
+function hasHydration(state) {
+  return !!(state && (state.universal || state.sigi));
+}
+
+// Scope holding the per-route data in the universal blob
+function defaultScope(state) {
+  return (state && state.universal && state.universal.__DEFAULT_SCOPE__) || {};
+}
+
+function pickAvatar(user) {
+  return user.avatarLarger || user.avatarMedium || user.avatarThumb ||
+    (user.avatar_larger && user.avatar_larger.url_list && user.avatar_larger.url_list[0]) ||
+    (user.avatar_thumb && user.avatar_thumb.url_list && user.avatar_thumb.url_list[0]) || '';
+}
+
+// Normalize the user/stats shapes used by both blobs (camelCase web and snake_case API variants)
+function normalizeUser(user, stats = {}) {
+  if (!user) return null;
+  const username = user.uniqueId || user.unique_id || '';
+  if (!username) return null;
+
+  return {
+    id: user.id || user.uid || '',
+    secUid: user.secUid || user.sec_uid || '',
+    username,
+    displayName: user.nickname || '',
+    bio: user.signature || '',
+    avatar: pickAvatar(user),
+    verified: !!(user.verified || (user.custom_verify && user.custom_verify.length > 0)),
+    privateAccount: !!(user.privateAccount || user.secret),
+    followers: stats.followerCount !== undefined ? stats.followerCount : user.follower_count,
+    following: stats.followingCount !== undefined ? stats.followingCount : user.following_count,
+    likes: stats.heartCount !== undefined ? stats.heartCount
+      : (stats.heart !== undefined ? stats.heart : user.total_favorited),
+    videoCount: stats.videoCount !== undefined ? stats.videoCount : user.aweme_count
+  };
+}
+
+// extractProfileFromHydration: normalized profile for the user page, or null if the blob has none
+function extractProfileFromHydration(state, username) {
+  const userDetail = defaultScope(state)['webapp.user-detail'];
+  if (userDetail && userDetail.userInfo && userDetail.userInfo.user) {
+    const profile = normalizeUser(userDetail.userInfo.user, userDetail.userInfo.stats || {});
+    if (profile) return profile;
+  }
+
+  const userModule = state && state.sigi && state.sigi.UserModule;
+  if (userModule && userModule.users) {
+    const key = Object.keys(userModule.users).find(name =>
+      !username || name.toLowerCase() === String(username).toLowerCase()
+    );
+    if (key) {
+      return normalizeUser(userModule.users[key], (userModule.stats || {})[key] || {});
+    }
+  }
+
+  return null;
+}
+
+// Depth-first walk collecting anything that looks like a user record
+function collectUserRecords(node, out, depth = 0) {
+  if (!node || typeof node !== 'object' || depth > 12) return;
+
+  if (Array.isArray(node)) {
+    node.forEach(child => collectUserRecords(child, out, depth + 1));
+    return;
+  }
+
+  if ((node.uniqueId || node.unique_id) && node.nickname !== undefined) {
+    out.push(node);
+    return;
+  }
+
+  // Search API shape: { user_info: {...}, ... } / { user: {...}, stats: {...} }
+  if (node.user_info && typeof node.user_info === 'object') {
+    out.push(node.user_info);
+    return;
+  }
+
+  for (const value of Object.values(node)) {
+    collectUserRecords(value, out, depth + 1);
+  }
+}
+
+// extractSearchUsersFromHydration: [{ username, name, img }] in page order, deduplicated
+function extractSearchUsersFromHydration(state) {
+  const records = [];
+  if (state && state.universal) collectUserRecords(defaultScope(state), records);
+  if (state && state.sigi && state.sigi.UserModule && state.sigi.UserModule.users) {
+    collectUserRecords(Object.values(state.sigi.UserModule.users), records);
+  }
+
+  const seen = new Set();
+  const users = [];
+  for (const record of records) {
+    const user = normalizeUser(record);
+    if (!user || seen.has(user.username)) continue;
+    seen.add(user.username);
+    users.push({
+      username: user.username,
+      img: user.avatar,
+      name: user.displayName || user.username
+    });
+  }
+  return users;
+}
+
+// mergeExtracted: take each field from the hydration record when it has one, else from the DOM,
+// recording which strategy produced it ('hydration' | 'dom' | 'none')
+function mergeExtracted(hydrated, dom, fields) {
+  const data = {};
+  const sources = {};
+  for (const field of fields) {
+    const fromHydration = hydrated ? hydrated[field] : undefined;
+    const fromDom = dom ? dom[field] : undefined;
+    if (fromHydration !== undefined && fromHydration !== null) {
+      data[field] = fromHydration;
+      sources[field] = 'hydration';
+    } else if (fromDom !== undefined && fromDom !== null && fromDom !== '') {
+      data[field] = fromDom;
+      sources[field] = 'dom';
+    } else {
+      data[field] = fromDom !== undefined ? fromDom : null;
+      sources[field] = 'none';
+    }
+  }
+  return { data, sources };
+}
+
+module.exports = {
+  HYDRATION_SCRIPT_IDS,
+  extractHydrationFromHtml,
+  readHydrationFromPage,
+  hasHydration,
+  normalizeUser,
+  extractProfileFromHydration,
+  extractSearchUsersFromHydration,
+  mergeExtracted
+};
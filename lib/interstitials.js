@@ -0,0 +1,124 @@
+// Captcha and login-wall detection.
+//
+// TikTok answers suspicious traffic with a slider/rotate captcha or a "Log in to continue" modal
+// laid over the page. Scrapers check for both right after navigation and again before blaming
+// missing content on the selectors. A handler can be plugged in to get past them:
+//
+//   async function handler({ type, selector, url, page, attempt }) -> true when solved
+//
+// e.g. a captcha-solving service, or the built-in "manual" handler that waits for a person to
+// solve it in a visible (HEADLESS=false) browser. Selectors live in the `interstitial` scope of
+// the selector registry; the detection runs unchanged against local fixture pages
+// (page.setContent / file:// URLs).
+
+const path = require('path');
+const { ScrapeError } = require('./errors');
+
+const INTERSTITIAL_TYPES = ['captcha', 'login'];
+
+// Text fallbacks for when the selectors drift; login text only counts inside a dialog,
+// since every logged-out page has "Log in" buttons
+const INTERSTITIAL_TEXT = {
+  captcha: /drag the (slider|puzzle)|verify to continue|kéo thanh trượt|xác minh để tiếp tục|select 2 objects/i,
+  login: /log in to (continue|tiktok|follow|see)|đăng nhập (để tiếp tục|vào tiktok)/i
+};
+
+// detectInterstitial: { type, selector } of the first visible interstitial, or null
+async function detectInterstitial(page, fields = {}) {
+  const selectors = {};
+  for (const type of INTERSTITIAL_TYPES) {
+    selectors[type] = (fields[type] || []).map(entry => (typeof entry === 'string' ? entry : entry.selector));
+  }
+  const textPatterns = {};
+  for (const type of INTERSTITIAL_TYPES) textPatterns[type] = INTERSTITIAL_TEXT[type].source;
+
+  return page.evaluate((types, selectors, textPatterns) => {
+    const visible = (el) => {
+      const style = window.getComputedStyle(el);
+      const rect = el.getBoundingClientRect();
+      return style.display !== 'none' && style.visibility !== 'hidden' && rect.width > 0 && rect.height > 0;
+    };
+
+    for (const type of types) {
+      for (const selector of selectors[type]) {
+        let el = null;
+        try {
+          el = document.querySelector(selector);
+        } catch (e) {
+          continue; // an invalid override selector must not break detection
+        }
+        if (el && visible(el)) return { type, selector };
+      }
+    }
+
+    const pattern = (type) => new RegExp(textPatterns[type], 'i');
+    const dialogs = Array.from(document.querySelectorAll('[role="dialog"], [aria-modal="true"]')).filter(visible);
+    if (dialogs.some(dialog => pattern('captcha').test(dialog.innerText))) return { type: 'captcha', selector: 'text' };
+    if (dialogs.some(dialog => pattern('login').test(dialog.innerText))) return { type: 'login', selector: 'text' };
+    return null;
+  }, INTERSTITIAL_TYPES, selectors, textPatterns).catch(() => null);
+}
+
+function interstitialError(found, url) {
+  const code = found.type === 'captcha' ? 'CAPTCHA' : 'LOGIN_REQUIRED';
+  const what = found.type === 'captcha' ? 'captcha' : 'login wall';
+  return new ScrapeError(code, `TikTok showed a ${what} on ${url || 'the page'}`, { interstitial: found.type, selector: found.selector });
+}
+
+// Built-in handler: wait for someone to clear the interstitial in a visible browser
+function manualHandler(options = {}) {
+  const timeout = options.timeout || 120000;
+  const pollInterval = options.pollInterval || 2000;
+  const logger = options.logger || console;
+
+  return async ({ type, url, page, fields }) => {
+    logger.log(`🙋 ${type} on ${url} - waiting up to ${Math.round(timeout / 1000)}s for manual resolution`);
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, pollInterval));
+      if (!(await detectInterstitial(page, fields))) return true;
+    }
+    return false;
+  };
+}
+
+// loadInterstitialHandler: INTERSTITIAL_HANDLER=manual or a path to a module exporting the handler
+// (a function, or an object with handle()); null when unset
+function loadInterstitialHandler(spec = process.env.INTERSTITIAL_HANDLER, options = {}) {
+  if (!spec) return null;
+  if (spec === 'manual') {
+    return manualHandler({ timeout: parseInt(process.env.INTERSTITIAL_MANUAL_TIMEOUT_MS) || 120000, ...options });
+  }
+  const loaded = require(path.resolve(spec));
+  const handler = typeof loaded === 'function' ? loaded : loaded && loaded.handle && loaded.handle.bind(loaded);
+  if (!handler) throw new Error(`Interstitial handler ${spec} must export a function or { handle }`);
+  return handler;
+}
+
+// resolveInterstitial: let the handler try (up to maxAttempts), true once the page is clear
+async function resolveInterstitial(page, found, handler, options = {}) {
+  if (!handler) return false;
+  const maxAttempts = options.maxAttempts || 1;
+  let current = found;
+  for (let attempt = 1; current && attempt <= maxAttempts; attempt++) {
+    let solved = false;
+    try {
+      solved = await handler({ ...current, url: page.url(), page, fields: options.fields, attempt });
+    } catch (err) {
+      if (options.logger) options.logger.error(`Interstitial handler failed: ${err.message}`);
+      return false;
+    }
+    if (!solved) return false;
+    current = await detectInterstitial(page, options.fields);
+  }
+  return !current;
+}
+
+module.exports = {
+  INTERSTITIAL_TYPES,
+  detectInterstitial,
+  interstitialError,
+  manualHandler,
+  loadInterstitialHandler,
+  resolveInterstitial
+};
@@ -0,0 +1,93 @@
+// Storage backends for the async job API.
+// Both stores share one async interface (get / save / list / delete) so the job manager
+// does not care where jobs live; pick one with JOB_STORE=memory|file.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_JOB_DIR = path.join(__dirname, '..', 'data', 'jobs');
+
+// MemoryJobStore: default, jobs are lost on restart
+class MemoryJobStore {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  async get(id) {
+    const job = this.jobs.get(id);
+    return job ? { ...job } : null;
+  }
+
+  async save(job) {
+    this.jobs.set(job.id, { ...job });
+    return job;
+  }
+
+  async list() {
+    return Array.from(this.jobs.values()).map(job => ({ ...job }));
+  }
+
+  async delete(id) {
+    return this.jobs.delete(id);
+  }
+}
+
+// FileJobStore: one JSON file per job, survives restarts and is readable by other processes
+class FileJobStore {
+  constructor(options = {}) {
+    this.dir = path.resolve(options.dir || DEFAULT_JOB_DIR);
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  fileFor(id) {
+    // Job ids are generated server-side, but never let a crafted id escape the directory
+    return path.join(this.dir, `${String(id).replace(/[^A-Za-z0-9_-]/g, '')}.json`);
+  }
+
+  async get(id) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.fileFor(id), 'utf8'));
+    } catch (err) {
+      return null;
+    }
+  }
+
+  async save(job) {
+    const file = this.fileFor(job.id);
+    // Write-then-rename so a reader never sees a half-written job
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(job));
+    await fs.promises.rename(tmp, file);
+    return job;
+  }
+
+  async list() {
+    const files = (await fs.promises.readdir(this.dir)).filter(file => file.endsWith('.json'));
+    const jobs = await Promise.all(files.map(file => this.get(path.basename(file, '.json'))));
+    return jobs.filter(Boolean);
+  }
+
+  async delete(id) {
+    try {
+      await fs.promises.unlink(this.fileFor(id));
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+}
+
+// createJobStore: backend from JOB_STORE (memory|file) and JOB_STORE_DIR
+function createJobStore(options = {}) {
+  const type = options.type || process.env.JOB_STORE || 'memory';
+  if (type === 'memory') return new MemoryJobStore();
+  if (type === 'file') return new FileJobStore({ dir: options.dir || process.env.JOB_STORE_DIR });
+  throw new Error(`Unknown job store "${type}" (expected memory or file)`);
+}
+
+module.exports = {
+  DEFAULT_JOB_DIR,
+  MemoryJobStore,
+  FileJobStore,
+  createJobStore
+};
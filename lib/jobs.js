@@ -0,0 +1,191 @@
+// Async job runner: accepts a scrape spec, runs it in the background and keeps
+// status / progress / result in a pluggable store so clients can poll instead of
+// holding an HTTP connection open while Puppeteer works.
+//
+// Runners are plain async functions `(params, context) => result` registered per job type.
+// `context.reportProgress(current, total, message)` updates progress, `context.isCancelled()`
+// tells long scrolls to stop early (they keep the partial result).
+
+const crypto = require('crypto');
+const { MemoryJobStore } = require('./job-store');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+class JobManager {
+  constructor(options = {}) {
+    this.store = options.store || new MemoryJobStore();
+    this.runners = options.runners || {};
+    this.logger = options.logger || console;
+    // Finished jobs are dropped from the store after this long
+    this.ttl = options.ttl !== undefined ? options.ttl : 60 * 60 * 1000;
+    this.cancelled = new Set(); // ids of running jobs asked to stop
+    this.running = new Set();
+    this.writes = new Map(); // id -> tail of that job's update chain
+    this.ready = this.recoverInterrupted();
+  }
+
+  get types() {
+    return Object.keys(this.runners);
+  }
+
+  // Jobs left queued/running by a previous process (file store) can never finish
+  async recoverInterrupted() {
+    for (const job of await this.store.list()) {
+      if (!FINISHED_STATUSES.includes(job.status)) {
+        await this.store.save({
+          ...job,
+          status: 'failed',
+          error: 'Interrupted by server restart',
+          finishedAt: new Date().toISOString()
+        });
+      }
+    }
+  }
+
+  // Updates of one job are chained so a late progress report can never overwrite the final status
+  update(id, changes) {
+    const write = (this.writes.get(id) || Promise.resolve()).then(async () => {
+      const job = await this.store.get(id);
+      if (!job) return null;
+      const updated = { ...job, ...changes, updatedAt: new Date().toISOString() };
+      await this.store.save(updated);
+      return updated;
+    });
+    const tail = write.catch(() => {});
+    this.writes.set(id, tail);
+    tail.then(() => {
+      if (this.writes.get(id) === tail) this.writes.delete(id);
+    });
+    return write;
+  }
+
+  // create: validate the spec, store it as queued and start it in the background
+  async create(spec = {}) {
+    await this.ready;
+    const { type, params = {} } = spec;
+    if (!Object.prototype.hasOwnProperty.call(this.runners, type)) {
+      throw new Error(`Unknown job type "${type}" (expected one of: ${this.types.join(', ')})`);
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      params,
+      status: 'queued',
+      progress: { current: 0, total: null, message: 'Queued' },
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null
+    };
+    await this.store.save(job);
+    this.logger.log(`🧾 Job ${job.id} queued (${type})`);
+
+    setImmediate(() => this.run(job.id));
+    return job;
+  }
+
+  // run: everything, including the store reads and writes, sits inside the try so that a store
+  // failure marks the job failed instead of becoming an unhandled rejection of setImmediate
+  async run(id) {
+    try {
+      const job = await this.store.get(id);
+      if (!job || job.status !== 'queued') return;
+
+      this.running.add(id);
+      await this.update(id, { status: 'running', startedAt: new Date().toISOString() });
+
+      const context = {
+        jobId: id,
+        isCancelled: () => this.cancelled.has(id),
+        reportProgress: (current, total = null, message = '') => {
+          if (this.cancelled.has(id)) return;
+          this.update(id, { progress: { current, total, message } }).catch(() => {});
+        }
+      };
+
+      const result = await this.runners[job.type](job.params, context);
+      if (this.cancelled.has(id)) {
+        await this.finish(id, { status: 'cancelled', result });
+      } else if (result && result.success === false) {
+        await this.finish(id, { status: 'failed', result, error: result.message || 'Scrape failed' });
+      } else {
+        await this.finish(id, { status: 'completed', result });
+      }
+    } catch (err) {
+      this.logger.error(`❌ Job ${id} failed: ${err.message}`);
+      try {
+        await this.finish(id, { status: this.cancelled.has(id) ? 'cancelled' : 'failed', error: err.message });
+      } catch (finishErr) {
+        this.logger.error(`❌ Job ${id} could not be marked failed: ${finishErr.message}`);
+      }
+    } finally {
+      this.running.delete(id);
+      this.cancelled.delete(id);
+    }
+  }
+
+  async finish(id, changes) {
+    const job = await this.update(id, { ...changes, finishedAt: new Date().toISOString() });
+    if (job) this.logger.log(`🧾 Job ${id} ${job.status}`);
+    return job;
+  }
+
+  async get(id) {
+    await this.ready;
+    return this.store.get(id);
+  }
+
+  async list(filter = {}) {
+    await this.ready;
+    const jobs = await this.store.list();
+    return jobs
+      .filter(job => !filter.status || job.status === filter.status)
+      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+  }
+
+  // cancel: queued jobs stop immediately, running jobs at their next isCancelled() check
+  async cancel(id) {
+    const job = await this.get(id);
+    if (!job) return null;
+    if (FINISHED_STATUSES.includes(job.status)) return job;
+
+    if (job.status === 'queued' && !this.running.has(id)) {
+      return this.finish(id, { status: 'cancelled' });
+    }
+    this.cancelled.add(id);
+    return this.update(id, { progress: { ...job.progress, message: 'Cancelling' } });
+  }
+
+  // prune: drop finished jobs older than the TTL
+  async prune(now = Date.now()) {
+    if (!this.ttl) return 0;
+    let removed = 0;
+    for (const job of await this.store.list()) {
+      if (FINISHED_STATUSES.includes(job.status) && job.finishedAt && now - Date.parse(job.finishedAt) > this.ttl) {
+        await this.store.delete(job.id);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  async getStats() {
+    const stats = {};
+    for (const status of JOB_STATUSES) stats[status] = 0;
+    for (const job of await this.store.list()) {
+      if (stats[job.status] !== undefined) stats[job.status]++;
+    }
+    return stats;
+  }
+}
+
+module.exports = {
+  JOB_STATUSES,
+  FINISHED_STATUSES,
+  JobManager
+};
@@ -0,0 +1,100 @@
+// Structured output for the CLI: records -> json | jsonl | csv | table text.
+//
+// `fields` picks and orders the columns with dot paths ("stats.views", "user.followers"). json and
+// jsonl keep whole records unless fields are given; csv and table need flat columns, so without
+// `fields` they use the caller's default columns (or every top-level scalar of the first record).
+
+const OUTPUT_FORMATS = ['json', 'jsonl', 'csv', 'table'];
+
+// Formats inferred from an --output file name when no format is given
+const FORMAT_EXTENSIONS = { '.json': 'json', '.jsonl': 'jsonl', '.ndjson': 'jsonl', '.csv': 'csv', '.txt': 'table' };
+
+// parseFields: "a,b.c, d" -> ['a', 'b.c', 'd'] (null when empty)
+function parseFields(text) {
+  const fields = String(text || '').split(',').map(field => field.trim()).filter(Boolean);
+  return fields.length ? fields : null;
+}
+
+function getPath(record, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), record);
+}
+
+// selectFields: record -> { [path]: value } in field order, null for missing paths
+function selectFields(record, fields) {
+  const selected = {};
+  for (const field of fields) {
+    const value = getPath(record, field);
+    selected[field] = value === undefined ? null : value;
+  }
+  return selected;
+}
+
+// Flat text for one csv / table cell: lists of scalars are space-joined, objects stay JSON
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value) && value.every(item => item === null || typeof item !== 'object')) return value.join(' ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function csvEscape(text) {
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function scalarFields(record) {
+  return Object.keys(record || {}).filter(key => record[key] === null || typeof record[key] !== 'object');
+}
+
+// csvRow: one CSV line (no newline) with the record's values for `fields`; csvRow(null, fields) is the header
+function csvRow(record, fields) {
+  return fields.map(field => csvEscape(record ? cellText(getPath(record, field)) : field)).join(',');
+}
+
+function formatCsv(records, fields) {
+  return [csvRow(null, fields), ...records.map(record => csvRow(record, fields))].join('\n') + '\n';
+}
+
+// Aligned plain-text columns; long cells are cut at maxWidth
+function formatTable(records, fields, maxWidth = 40) {
+  const clip = text => {
+    const flat = text.replace(/\s+/g, ' ');
+    return flat.length > maxWidth ? `${flat.slice(0, maxWidth - 1)}…` : flat;
+  };
+  const rows = records.map(record => fields.map(field => clip(cellText(getPath(record, field)))));
+  const widths = fields.map((field, i) => Math.max(field.length, ...rows.map(row => row[i].length)));
+  const line = cells => cells.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+  return [line(fields), line(widths.map(width => '-'.repeat(width))), ...rows.map(line)].join('\n') + '\n';
+}
+
+// formatRecords: records -> text in `format`; `defaultFields` are the csv / table columns when
+// no `fields` were asked for
+function formatRecords(records, format, { fields = null, defaultFields = null } = {}) {
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`Unknown output format "${format}" (expected ${OUTPUT_FORMATS.join(', ')})`);
+  }
+  const list = records || [];
+  if (format === 'json') {
+    return JSON.stringify(fields ? list.map(record => selectFields(record, fields)) : list, null, 2) + '\n';
+  }
+  if (format === 'jsonl') {
+    return list.map(record => JSON.stringify(fields ? selectFields(record, fields) : record) + '\n').join('');
+  }
+  const columns = fields || defaultFields || scalarFields(list[0]);
+  if (columns.length === 0) return '';
+  return format === 'csv' ? formatCsv(list, columns) : formatTable(list, columns);
+}
+
+// formatForFile: format implied by a file extension, else null
+function formatForFile(file) {
+  const match = String(file || '').toLowerCase().match(/\.[a-z]+$/);
+  return match ? FORMAT_EXTENSIONS[match[0]] || null : null;
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  parseFields,
+  selectFields,
+  csvRow,
+  formatRecords,
+  formatForFile
+};
@@ -0,0 +1,155 @@
+// Captures the JSON payloads TikTok pages fetch from their internal /api/ endpoints.
+// Attach before page.goto(); scrapers read the captured payloads as their primary data source
+// and only fall back to hydration JSON / DOM walking for what the API did not deliver.
+
+const { normalizeUser } = require('./hydration');
+const { normalizeVideoItem } = require('./videos');
+const { normalizeApiComment } = require('./comments');
+
+// Order matters: the first matching pattern wins (comment replies before comment lists)
+const API_ENDPOINTS = [
+  { kind: 'searchUsers', pattern: /\/api\/search\/user\/full\// },
+  { kind: 'searchVideos', pattern: /\/api\/search\/item\/full\// },
+  { kind: 'searchGeneral', pattern: /\/api\/search\/general\/full\// },
+  { kind: 'postItems', pattern: /\/api\/post\/item_list\// },
+  { kind: 'challengeItems', pattern: /\/api\/challenge\/item_list\// },
+  { kind: 'musicItems', pattern: /\/api\/music\/item_list\// },
+  { kind: 'commentReplies', pattern: /\/api\/comment\/list\/reply\// },
+  { kind: 'comments', pattern: /\/api\/comment\/list\// },
+  { kind: 'followers', pattern: /\/api\/user\/list\/.*[?&]scene=67(&|$)/ },
+  { kind: 'following', pattern: /\/api\/user\/list\/.*[?&]scene=21(&|$)/ }
+];
+
+function endpointKind(url) {
+  const endpoint = API_ENDPOINTS.find(entry => entry.pattern.test(url));
+  return endpoint ? endpoint.kind : null;
+}
+
+class ResponseInterceptor {
+  constructor(page, options = {}) {
+    this.page = page;
+    this.logger = options.logger || null;
+    this.payloads = [];
+    this.waiters = [];
+    this.handler = (response) => this.handleResponse(response);
+  }
+
+  start() {
+    this.page.on('response', this.handler);
+    return this;
+  }
+
+  stop() {
+    this.page.off('response', this.handler);
+  }
+
+  async handleResponse(response) {
+    const url = response.url();
+    const kind = endpointKind(url);
+    if (!kind) return;
+
+    try {
+      if (response.request().method() === 'OPTIONS' || response.status() !== 200) return;
+      const body = await response.json();
+      this.payloads.push({ kind, url, body, receivedAt: Date.now() });
+      if (this.logger) this.logger(`Captured ${kind} payload`);
+      this.waiters = this.waiters.filter(waiter => {
+        if (!waiter.kinds.includes(kind)) return true;
+        waiter.resolve(true);
+        return false;
+      });
+    } catch (err) {
+      // Empty or non-JSON bodies (blocked / unsigned requests) are simply not captured
+    }
+  }
+
+  // get: captured payload bodies of the given kind(s), in arrival order
+  get(kinds) {
+    const wanted = [].concat(kinds);
+    return this.payloads.filter(payload => wanted.includes(payload.kind)).map(payload => payload.body);
+  }
+
+  // waitFor: resolves true once a payload of one of the kinds is captured, false after the timeout
+  waitFor(kinds, timeout = 5000) {
+    const wanted = [].concat(kinds);
+    if (this.payloads.some(payload => wanted.includes(payload.kind))) return Promise.resolve(true);
+    return new Promise((resolve) => {
+      const waiter = { kinds: wanted, resolve };
+      this.waiters.push(waiter);
+      setTimeout(() => {
+        this.waiters = this.waiters.filter(entry => entry !== waiter);
+        resolve(false);
+      }, timeout);
+    });
+  }
+
+  // Last payload's has_more flag for the kind(s), null when nothing was captured
+  hasMore(kinds) {
+    const bodies = this.get(kinds);
+    if (!bodies.length) return null;
+    const last = bodies[bodies.length - 1];
+    return !!(last.has_more || last.hasMore);
+  }
+}
+
+// extractApiUsers: search user payloads -> search result users (richer than the DOM: followers, verified, bio)
+function extractApiUsers(bodies) {
+  const users = [];
+  for (const body of bodies) {
+    if (!body) continue;
+    const entries = []
+      .concat(body.user_list || body.userList || [])
+      .concat((Array.isArray(body.data) ? body.data : []).flatMap(entry => (entry && entry.user_list) || []));
+    for (const entry of entries) {
+      const user = normalizeUser(entry.user_info || entry.user || entry, entry.stats || {});
+      if (!user) continue;
+      users.push({
+        username: user.username,
+        img: user.avatar,
+        name: user.displayName || user.username,
+        id: user.id,
+        bio: user.bio,
+        verified: user.verified,
+        followers: user.followers !== undefined ? user.followers : null
+      });
+    }
+  }
+  return users;
+}
+
+// extractApiVideos: item list / search payloads -> common video records
+function extractApiVideos(bodies, fallbackUsername) {
+  const videos = [];
+  for (const body of bodies) {
+    if (!body) continue;
+    const items = []
+      .concat(body.itemList || body.item_list || body.aweme_list || [])
+      // General search mixes result types; type 1 entries are videos
+      .concat((Array.isArray(body.data) ? body.data : []).filter(entry => entry && entry.item).map(entry => entry.item));
+    for (const item of items) {
+      const video = normalizeVideoItem(item, fallbackUsername);
+      if (video) videos.push(video);
+    }
+  }
+  return videos;
+}
+
+// extractApiComments: comment / reply payloads -> comment records (replies carry parentId)
+function extractApiComments(bodies) {
+  const comments = [];
+  for (const body of bodies) {
+    for (const raw of (body && body.comments) || []) {
+      const comment = normalizeApiComment(raw);
+      if (comment) comments.push(comment);
+    }
+  }
+  return comments;
+}
+
+module.exports = {
+  API_ENDPOINTS,
+  ResponseInterceptor,
+  extractApiUsers,
+  extractApiVideos,
+  extractApiComments
+};
@@ -0,0 +1,119 @@
+// Everything a scraper needs besides the page logic: the browser pool, the page semaphore, proxies,
+// device profiles, sessions, selectors, the interstitial handler, limits and logging.
+//
+// One runtime is one set of browsers. The server and the CLI each run on the process-wide default
+// runtime (configured from the environment); library users can build their own with explicit
+// options, e.g. a second runtime with a different concurrency or proxy list in the same process.
+
+const { Semaphore } = require('./semaphore');
+const { launchBrowser } = require('./browser-launcher');
+const { createBrowserPool } = require('./browser-pool');
+const { createProxyPool, closeProxyRelays } = require('./proxy-pool');
+const { createProfileSelector } = require('./device-profiles');
+const { createSessionStore } = require('./sessions');
+const { createDefaultRegistry } = require('./selector-registry');
+const { loadInterstitialHandler } = require('./interstitials');
+const { retryOptionsFromEnv } = require('./errors');
+
+// Scrape log on top of a console-like logger ({ log, warn, error })
+function createScrapeLog(logger = console) {
+  return {
+    scrape: (msg, data = '') => logger.log(`[SCRAPE] ${new Date().toLocaleTimeString()} - ${msg}`, data),
+    error: (msg, data = '') => logger.error(`[ERROR] ${new Date().toLocaleTimeString()} - ${msg}`, data),
+    success: (msg, data = '') => logger.log(`[SUCCESS] ${new Date().toLocaleTimeString()} - ${msg}`, data)
+  };
+}
+
+// Logger that drops everything (quiet CLI runs, library users with their own logging)
+const silentLogger = { log: () => {}, warn: () => {}, error: () => {} };
+
+class ScraperRuntime {
+  // options: env (default process.env), logger, maxConcurrentPages, headless, executablePath,
+  // timeout (page load, ms), or ready-made browserPool / proxyPool / deviceProfiles / sessionStore /
+  // selectorRegistry / interstitialHandler instances
+  constructor(options = {}) {
+    const env = options.env || process.env;
+    this.logger = options.logger || console;
+    this.log = createScrapeLog(this.logger);
+
+    this.semaphore = new Semaphore(options.maxConcurrentPages || parseInt(env.MAX_CONCURRENT_PAGES) || 5);
+    this.browserPool = options.browserPool || createBrowserPool(() => launchBrowser({
+      headless: options.headless,
+      executablePath: options.executablePath,
+      logger: this.logger
+    }), env, { logger: this.logger });
+    // Outbound proxies (PROXY_LIST / PROXY_FILE); empty pool = direct connection
+    this.proxyPool = options.proxyPool || createProxyPool(env, { logger: this.logger });
+    // Device profiles (UA, viewport, locale, timezone...): DEVICE_PROFILE pins one, otherwise they rotate
+    this.deviceProfiles = options.deviceProfiles || createProfileSelector(env);
+    // Logged-in sessions from imported cookies (SESSION_DIR / SESSION_COOKIES)
+    this.sessionStore = options.sessionStore || createSessionStore(env, { logger: this.logger });
+    // Versioned DOM selector sets, hot-reloaded from config/selectors.json and SELECTORS_CONFIG
+    this.selectorRegistry = options.selectorRegistry || createDefaultRegistry(env, { logger: this.logger });
+    // Optional captcha / login-wall handler (INTERSTITIAL_HANDLER=manual or a module path)
+    this.interstitialHandler = options.interstitialHandler !== undefined
+      ? options.interstitialHandler
+      : loadInterstitialHandler(env.INTERSTITIAL_HANDLER);
+
+    this.limits = {
+      timeout: options.timeout || 30000,
+      // Scroll pagination limits (time budget overridable per request through `timeBudget`, up to maxTimeBudget)
+      scrollTimeBudget: parseInt(env.SCROLL_TIME_BUDGET_MS) || 30000,
+      maxTimeBudget: parseInt(env.MAX_TIME_BUDGET_MS) || 120000,
+      scrollWait: parseInt(env.SCROLL_WAIT_MS) || 1500,
+      maxSearchResults: parseInt(env.MAX_SEARCH_RESULTS) || 200,
+      maxVideos: parseInt(env.MAX_VIDEO_LIMIT) || 500,
+      maxComments: parseInt(env.MAX_COMMENT_LIMIT) || 1000,
+      maxFollows: parseInt(env.MAX_FOLLOW_LIMIT) || 2000,
+      interstitialAttempts: parseInt(env.INTERSTITIAL_HANDLER_ATTEMPTS) || 2
+    };
+    // Retry policy of the client wrappers (RETRY_MAX_ATTEMPTS, RETRY_BASE_DELAY_MS, RETRY_MAX_DELAY_MS)
+    this.retry = retryOptionsFromEnv(env);
+
+    // page -> { proxy, session, release, failed, sessionExpired } for every page handed out by openPage()
+    this.pageStates = new WeakMap();
+  }
+
+  setInterstitialHandler(handler) {
+    this.interstitialHandler = handler || null;
+  }
+
+  warmUp() {
+    return this.browserPool.warmUp();
+  }
+
+  getStats() {
+    return {
+      browserStatus: this.browserPool.live().length > 0 ? 'Active' : 'Not Initialized',
+      browserPool: this.browserPool.getStats(),
+      semaphoreStats: this.semaphore.getStats(),
+      proxyStats: this.proxyPool.getStats(),
+      sessions: this.sessionStore.describe().map(({ name, status, account }) => ({ name, status, account }))
+    };
+  }
+
+  // close: shut every browser of the pool and the SOCKS relays
+  async close() {
+    try {
+      await this.browserPool.close();
+    } catch (e) {
+      this.logger.warn('Error closing browser pool:', e.message);
+    }
+    await closeProxyRelays();
+  }
+}
+
+let defaultRuntime = null;
+
+// getDefaultRuntime: the process-wide runtime configured from the environment, created on first use
+function getDefaultRuntime() {
+  if (!defaultRuntime) defaultRuntime = new ScraperRuntime();
+  return defaultRuntime;
+}
+
+module.exports = {
+  createScrapeLog,
+  silentLogger,
+  ScraperRuntime,
+  getDefaultRuntime
+};
@@ -0,0 +1,1629 @@
+// TikTok scraper core: one TikTokUserScraper per request, every page taken from the runtime's
+// browser pool under its page semaphore. Methods return plain data and throw classified
+// ScrapeErrors; the response envelopes, retries and batching live in ./client.
+
+const { STAT_LABELS, buildStat } = require('./counts');
+const {
+  readHydrationFromPage,
+  extractProfileFromHydration,
+  extractSearchUsersFromHydration,
+  mergeExtracted
+} = require('./hydration');
+const {
+  videoIdFromUrl,
+  parseVideoInput,
+  parseSince,
+  normalizeVideoTile,
+  mergeVideoRecords,
+  normalizeVideoDetailFromDom,
+  extractVideoDetailFromHydration,
+  extractVideosFromHydration
+} = require('./videos');
+const { commentKey, normalizeComment } = require('./comments');
+const { ResponseInterceptor, extractApiUsers, extractApiVideos, extractApiComments } = require('./response-interceptor');
+const { getFollowList, extractApiFollowUsers, followUserFromDom } = require('./follows');
+const { getSearchVertical, searchUrl, normalizeLiveTile } = require('./search');
+const {
+  extractHashtagFromHydration,
+  extractMusicFromHydration,
+  hashtagFromDom,
+  musicFromDom,
+  normalizeHashtagInput,
+  normalizeMusicInput
+} = require('./collections');
+const {
+  ScrapeError,
+  classifyError,
+  errorFromResponse,
+  errorFromHydration,
+  errorFromPageText
+} = require('./errors');
+const { detectInterstitial, interstitialError, resolveInterstitial } = require('./interstitials');
+const { browserProxySettings } = require('./proxy-pool');
+const { applyProfile } = require('./device-profiles');
+const { sessionUserFromHydration, AUTH_COOKIE_NAMES, TIKTOK_COOKIE_URL } = require('./sessions');
+const { getDefaultRuntime } = require('./runtime');
+
+const SCROLL_IDLE_ROUNDS = 3;
+const REPLY_EXPAND_ROUNDS = 10;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A list was cut short when it stopped on its own cap, on the time budget or by a cancelled job
+function isTruncated(stopReason) {
+  return stopReason === 'maxResults' || stopReason === 'limit' || stopReason === 'timeBudget' || stopReason === 'cancelled';
+}
+
+// hasMore is false only when scrolling stopped producing results; the next cursor continues after this page
+function buildSearchPage(results, cursor, stopReason) {
+  const hasMore = isTruncated(stopReason);
+  return {
+    results,
+    hasMore,
+    cursor: hasMore ? cursor + results.length : null,
+    stopReason
+  };
+}
+
+
+// Only report selector matches for fields that actually came from the DOM
+function selectorMatches(sources, matched) {
+  const result = {};
+  for (const [field, entry] of Object.entries(matched || {})) {
+    if (!sources || sources[field] === undefined || sources[field] === 'dom') {
+      result[field] = entry;
+    }
+  }
+  return result;
+}
+
+// Profile fields resolved from hydration JSON first, DOM second
+const PROFILE_FIELDS = ['username', 'displayName', 'bio', 'avatar', 'followers', 'following', 'likes', 'verified'];
+
+// Video detail fields resolved the same way
+const VIDEO_FIELDS = ['url', 'author', 'caption', 'hashtags', 'mentions', 'music', 'stats', 'createTime', 'createdAt', 'duration', 'cover', 'covers'];
+
+class TikTokUserScraper {
+  constructor(options = {}) {
+    // Browsers, pools, selectors and limits shared by every scraper of the runtime
+    this.runtime = options.runtime || getDefaultRuntime();
+    this.log = this.runtime.log;
+    // Device profile name for every page of this scraper (unset = rotation)
+    this.profile = options.profile || null;
+    // Session name whose cookies every page carries (unset = SESSION_DEFAULT, else logged out)
+    this.session = options.session || this.runtime.sessionStore.defaultSession || null;
+  }
+
+  // Scroll time budget of one request: `timeBudget` (ms) or SCROLL_TIME_BUDGET_MS, capped at MAX_TIME_BUDGET_MS
+  timeBudget(options = {}) {
+    const { scrollTimeBudget, maxTimeBudget } = this.runtime.limits;
+    const requested = parseInt(options.timeBudget);
+    return Math.min(requested > 0 ? requested : scrollTimeBudget, maxTimeBudget);
+  }
+
+  // selectorScope: the registry's fields of a scope without the selectors this browser cannot parse.
+  // Override files are only checked for shape on load, and one bad selector would otherwise throw
+  // from every querySelector (or joined selector list) of the scrape that uses it
+  async selectorScope(page, scope) {
+    const fields = this.runtime.selectorRegistry.getScope(scope);
+    const selectors = Array.from(new Set(Object.values(fields).flat().map(entry => entry.selector)));
+    const invalid = await page.evaluate((selectors) => selectors.filter(selector => {
+      try {
+        document.createDocumentFragment().querySelector(selector);
+        return false;
+      } catch (e) {
+        return true;
+      }
+    }), selectors);
+    if (invalid.length === 0) return fields;
+
+    const usable = {};
+    for (const [field, entries] of Object.entries(fields)) {
+      usable[field] = entries.filter(entry => {
+        if (!invalid.includes(entry.selector)) return true;
+        this.log.error(`Skipping invalid selector for ${scope}.${field} (${entry.set}@${entry.version}): ${entry.selector}`);
+        return false;
+      });
+    }
+    return usable;
+  }
+
+  // Helper method to wait for any of multiple selectors
+  async waitForAnySelector(page, selectors, timeout = 15000) {
+    const promises = selectors.map(selector => 
+      page.waitForSelector(selector, { timeout: timeout / selectors.length }).catch(() => null)
+    );
+    
+    const results = await Promise.allSettled(promises);
+    const success = results.some(result => result.status === 'fulfilled' && result.value !== null);
+    
+    return success;
+  }
+
+  // Helper method to check if elements exist
+  async checkElementsExist(page, selectors) {
+    return await page.evaluate((selectors) => {
+      return selectors.some(selector => document.querySelector(selector) !== null);
+    }, selectors);
+  }
+
+  // Apply the device profile (UA, viewport, locale, timezone, Accept-Language) before navigation
+  async configurePage(page) {
+    const profile = this.runtime.deviceProfiles.pick(this.profile);
+    await applyProfile(page, profile);
+    this.log.scrape(`Device profile: ${profile.name}`);
+  }
+
+  // page.goto that turns HTTP-level failures (404, 403/429, 5xx) and interstitials into classified errors
+  async navigate(page, url, options) {
+    const response = await page.goto(url, options);
+    const error = errorFromResponse(response);
+    if (error) throw error;
+    await this.checkInterstitial(page);
+    await this.checkSession(page);
+    return response;
+  }
+
+  // A page opened with session cookies that TikTok rendered logged-out means the session is dead:
+  // report it instead of scraping whatever a logged-out visitor gets
+  async checkSession(page) {
+    const state = this.runtime.pageStates.get(page);
+    if (!state || !state.session) return;
+
+    const cookies = await page.cookies(TIKTOK_COOKIE_URL).catch(() => null);
+    const hasAuthCookie = !cookies || cookies.some(cookie => AUTH_COOKIE_NAMES.includes(cookie.name) && cookie.value);
+    const account = sessionUserFromHydration(await readHydrationFromPage(page).catch(() => null));
+    if (hasAuthCookie && account !== null) {
+      this.runtime.sessionStore.setAccount(state.session, account);
+      return;
+    }
+    throw this.sessionExpired(state, hasAuthCookie ? 'TikTok rendered the page logged out' : 'TikTok dropped the sessionid cookie');
+  }
+
+  sessionExpired(state, reason) {
+    state.sessionExpired = true;
+    this.runtime.sessionStore.markExpired(state.session, reason);
+    return new ScrapeError('SESSION_EXPIRED', `Session "${state.session}" has expired (${reason}); import fresh cookies`, { session: state.session });
+  }
+
+  // Captcha / login wall: give the registered handler a chance, otherwise fail with CAPTCHA or LOGIN_REQUIRED
+  async checkInterstitial(page) {
+    const fields = this.runtime.selectorRegistry.getScope('interstitial');
+    const found = await detectInterstitial(page, fields);
+    if (!found) return;
+
+    this.log.error(`Interstitial detected on ${page.url()}: ${found.type} (${found.selector})`);
+    // No handler can log a dead session back in
+    const state = this.runtime.pageStates.get(page);
+    if (found.type === 'login' && state && state.session) throw this.sessionExpired(state, 'TikTok showed a login wall');
+
+    const resolved = await resolveInterstitial(page, found, this.runtime.interstitialHandler, {
+      fields,
+      maxAttempts: this.runtime.limits.interstitialAttempts,
+      logger: this.runtime.logger
+    });
+    if (resolved) {
+      this.log.success(`${found.type} resolved by handler, continuing`);
+      return;
+    }
+    throw interstitialError(found, page.url());
+  }
+
+  // Handler for scrapers on the default runtime; other runtimes take runtime.setInterstitialHandler()
+  static setInterstitialHandler(handler) {
+    getDefaultRuntime().setInterstitialHandler(handler);
+  }
+
+  // Why a page that loaded shows none of the expected content: a late captcha / login wall,
+  // TikTok's own not-found / private notices, otherwise the markup changed under our selectors
+  async pageStateError(page, what) {
+    try {
+      await this.checkInterstitial(page);
+    } catch (err) {
+      return err;
+    }
+    const text = await page.evaluate(() => (document.body ? document.body.innerText : '').slice(0, 5000)).catch(() => '');
+    return errorFromPageText(text) || new ScrapeError('SELECTOR_DRIFT', `No ${what} content matched the known selectors`);
+  }
+
+  // Log a failed scrape with its error class, charge it to the page's proxy and hand the
+  // classified error to the caller
+  failure(label, err, page) {
+    const error = classifyError(err);
+    this.log.error(`${label} error [${error.code}]:`, error.message);
+    const state = page && this.runtime.pageStates.get(page);
+    if (state) state.failed = true;
+    if (state && state.proxy) this.runtime.proxyPool.reportFailure(state.proxy, error.code, error.message);
+    return error;
+  }
+
+  // New page for one scrape from the browser pool. With a proxy pool, the page lives in its own
+  // browser context bound to the proxy picked for `key` (sticky strategy pins a username to one proxy);
+  // with a session, in its own context holding the session cookies
+  async openPage(key) {
+    let cookies = null;
+    let proxy = null;
+    let lease = null;
+    try {
+      // Expired sessions fail before they take a browser slot
+      cookies = this.session ? this.runtime.sessionStore.use(this.session) : null;
+      proxy = await this.runtime.proxyPool.acquire(key);
+      const { server, credentials } = proxy ? await browserProxySettings(proxy) : {};
+      lease = await this.runtime.browserPool.acquire({ proxyServer: server, isolate: !!cookies });
+      if (credentials) await lease.page.authenticate(credentials);
+      if (cookies && cookies.length) await lease.page.setCookie(...cookies);
+    } catch (err) {
+      if (lease) await lease.release();
+      if (proxy) {
+        this.runtime.proxyPool.release(proxy);
+        // Only network and block failures are the proxy's fault; a browser that failed to launch is not
+        const error = classifyError(err);
+        if (error.code === 'BLOCKED' || error.code === 'TIMEOUT') {
+          this.runtime.proxyPool.reportFailure(proxy, error.code, error.message);
+        }
+      }
+      // The caller's finally block only runs closePage() for an opened page, so give its slot back here
+      this.runtime.semaphore.release();
+      throw err;
+    }
+    if (proxy) this.log.scrape(`Using proxy ${proxy.label} on browser #${lease.browserId}`);
+    if (cookies) this.log.scrape(`Using session "${this.session}"`);
+    this.runtime.pageStates.set(lease.page, { proxy, session: cookies ? this.session : null, release: lease.release, failed: false });
+    return lease.page;
+  }
+
+  // Give a page back to the browser pool, crediting its proxy when the scrape did not fail and
+  // keeping the cookies TikTok refreshed for the session
+  async closePage(page) {
+    const state = this.runtime.pageStates.get(page);
+    if (!state) {
+      await page.close().catch(() => {});
+      return;
+    }
+    this.runtime.pageStates.delete(page);
+    if (state.session && !state.sessionExpired) {
+      const cookies = await page.cookies(TIKTOK_COOKIE_URL).catch(() => null);
+      await this.runtime.sessionStore.refresh(state.session, cookies);
+    }
+    if (state.proxy) {
+      if (!state.failed) this.runtime.proxyPool.reportSuccess(state.proxy);
+      this.runtime.proxyPool.release(state.proxy);
+    }
+    await state.release();
+  }
+
+  // Scroll-driven pagination shared by list scrapers. `collect` extracts what is rendered and returns
+  // how many new items it found; `isDone` returns a stop reason once the caller has what it needs.
+  // Stops with 'timeBudget' at the deadline and 'exhausted' after several scrolls without new items
+  async scrollAndCollect(page, { collect, isDone, deadline, label = 'Scrolled', scroll, count, total, onProgress, shouldStop }) {
+    let idleRounds = 0;
+    for (;;) {
+      const doneReason = isDone();
+      if (doneReason) return doneReason;
+      // Background jobs can be cancelled between scrolls; the caller keeps what was collected
+      if (shouldStop && shouldStop()) return 'cancelled';
+      if (Date.now() >= deadline) return 'timeBudget';
+      if (idleRounds >= SCROLL_IDLE_ROUNDS) return 'exhausted';
+
+      if (scroll) {
+        await scroll();
+      } else {
+        await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+      }
+      await delay(this.runtime.limits.scrollWait);
+
+      const added = await collect();
+      idleRounds = added > 0 ? 0 : idleRounds + 1;
+      this.log.scrape(`${label}: +${added}`);
+      if (onProgress && count) onProgress(count(), total);
+    }
+  }
+
+  // scrapeUserProfile: scrape specific user profile by username
+  async scrapeUserProfile(username) {
+    if (!username) throw new ScrapeError('INVALID_INPUT', 'Username parameter is required');
+
+    this.log.scrape(`Starting user profile scrape for: ${username}`);
+    
+    // Acquire semaphore before creating page
+    await this.runtime.semaphore.acquire();
+
+    const page = await this.openPage(username);
+    
+    try {
+      await this.configurePage(page);
+
+      const url = `https://www.tiktok.com/@${username}`;
+      this.log.scrape(`Navigating to: ${url}`);
+
+      await this.navigate(page, url, { waitUntil: 'networkidle2', timeout: this.runtime.limits.timeout });
+
+      // Embedded hydration JSON is the primary source; DOM selectors only fill the gaps
+      const hydration = await readHydrationFromPage(page);
+      const hydratedProfile = extractProfileFromHydration(hydration, username);
+      if (hydratedProfile) {
+        this.log.success(`Hydration data found for: ${hydratedProfile.username}`);
+      } else {
+        // TikTok reports missing / banned accounts through the statusCode of the user detail
+        const hydrationError = errorFromHydration(hydration, 'webapp.user-detail');
+        if (hydrationError) throw hydrationError;
+      }
+
+      // Wait for profile content — use multiple selectors
+      const profileSelectors = await this.selectorScope(page, 'profile');
+      const readySelectors = profileSelectors.ready.map(entry => entry.selector);
+
+      const hasContent = hydratedProfile ? true : await this.waitForAnySelector(page, readySelectors, 20000);
+      
+      if (hasContent) {
+        this.log.success('Profile loaded successfully');
+      } else {
+        this.log.error('Profile content did not render - checking for captcha, login wall or missing account');
+      }
+
+      // Double-check if we have profile content before extracting data
+      const hasProfileContent = await this.checkElementsExist(page, readySelectors);
+
+      if (!hasProfileContent && !hydratedProfile) {
+        throw await this.pageStateError(page, 'profile');
+      }
+
+      this.log.scrape(`Found profile content, proceeding with extraction...`);
+
+      // Extract user profile information
+      this.log.scrape('Extracting user profile data...');
+      const domInfo = await page.evaluate((fields, statLabels) => {
+        const result = {
+          username: '',
+          displayName: '',
+          bio: '',
+          avatar: '',
+          followers: '',
+          following: '',
+          likes: '',
+          verified: false,
+          videos: [],
+          matched: {}
+        };
+
+        // Try the registry entries of one field in order, remember which selector matched
+        const firstMatch = (field, accept) => {
+          for (const entry of fields[field] || []) {
+            const el = document.querySelector(entry.selector);
+            if (el && accept(el, entry)) {
+              result.matched[field] = entry;
+              return el;
+            }
+          }
+          return null;
+        };
+
+        // Get username from URL or title
+        const url = window.location.href;
+        const usernameMatch = url.match(/\/@([^\/\?]+)/);
+        if (usernameMatch) {
+          result.username = usernameMatch[1];
+        }
+
+        // Get display name
+        const nameEl = firstMatch('displayName', el => el.textContent.trim());
+        if (nameEl) result.displayName = nameEl.textContent.trim();
+
+        // Get bio/description (never the display name again)
+        const bioEl = firstMatch('bio', el => el.textContent.trim() && el.textContent.trim() !== result.displayName);
+        if (bioEl) result.bio = bioEl.textContent.trim();
+
+        // Get avatar
+        const avatarEl = firstMatch('avatar', el => el.src || el.getAttribute('src'));
+        if (avatarEl) result.avatar = avatarEl.src || avatarEl.getAttribute('src') || '';
+
+        // Get follower / following / likes counts. The data-e2e counters hold only the number,
+        // the generic fallbacks must carry one of the (localized) labels to be trusted
+        for (const stat of ['followers', 'following', 'likes']) {
+          const labels = statLabels[stat] || [];
+          const el = firstMatch(stat, (candidate, entry) => {
+            const text = candidate.textContent.trim();
+            if (!text) return false;
+            const isCounterHook = entry.selector.startsWith('[data-e2e=');
+            const containerText = candidate.parentElement ? candidate.parentElement.textContent : text;
+            return isCounterHook || labels.some(label => containerText.includes(label));
+          });
+          if (el) result[stat] = el.textContent.trim();
+        }
+
+        // Check if verified
+        result.verified = !!firstMatch('verified', () => true);
+
+        // Get recent videos (basic info)
+        const videoEntry = (fields.videos || []).find(entry => document.querySelector(entry.selector));
+        if (videoEntry) {
+          result.matched.videos = videoEntry;
+          const videoElements = document.querySelectorAll(videoEntry.selector);
+          result.videos = Array.from(videoElements).slice(0, 5).map((video, index) => ({
+            index: index + 1,
+            src: video.src || video.querySelector('source')?.src || '',
+            thumbnail: video.poster || video.querySelector('img')?.src || ''
+          }));
+        }
+
+        return result;
+      }, profileSelectors, STAT_LABELS);
+
+      const { data, sources } = mergeExtracted(hydratedProfile, domInfo, PROFILE_FIELDS);
+      const userInfo = {
+        ...data,
+        username: data.username || username,
+        videos: domInfo.videos,
+        sources,
+        selectors: selectorMatches(sources, domInfo.matched)
+      };
+      if (hydratedProfile) {
+        userInfo.id = hydratedProfile.id;
+        userInfo.secUid = hydratedProfile.secUid;
+        userInfo.privateAccount = hydratedProfile.privateAccount;
+        userInfo.videoCount = hydratedProfile.videoCount;
+      }
+
+      userInfo.stats = {
+        followers: buildStat(userInfo.followers),
+        following: buildStat(userInfo.following),
+        likes: buildStat(userInfo.likes)
+      };
+      
+      this.log.success(`Profile data extracted: ${userInfo.username} - ${userInfo.displayName}`);
+      return userInfo;
+    } catch (err) {
+      throw this.failure('scrapeUserProfile', err, page);
+    } finally {
+      try {
+        await this.closePage(page);
+      } finally {
+        // Always release semaphore
+        this.runtime.semaphore.release();
+      }
+    }
+  }
+
+  // Extract every user currently rendered on a search page (deduplicated, page order)
+  async extractSearchUsersFromDom(page, fields) {
+    return await page.evaluate((fields) => {
+      const results = [];
+      
+      // Extract usernames from links (most reliable method)
+      const linkEntry = fields.userLink.find(entry => document.querySelector(entry.selector));
+      const links = linkEntry ? Array.from(document.querySelectorAll(linkEntry.selector)) : [];
+
+      // First registry entry of a field matching inside a container
+      const findIn = (container, field, accept) => {
+        for (const entry of fields[field] || []) {
+          const el = container.querySelector(entry.selector);
+          if (el && accept(el)) return { el, entry };
+        }
+        return null;
+      };
+      
+      links.forEach(link => {
+        const href = link.getAttribute('href') || '';
+        const usernameMatch = href.match(/\/@([^\/\?]+)/);
+        // Video and live links also start with /@user; only profile links are users
+        if (usernameMatch && !/\/(video|live)(\/|\?|$)/.test(href)) {
+          const username = usernameMatch[1];
+          const matched = { username: linkEntry };
+          
+          // Find image in the link or nearby
+          let img = '';
+          const imgEl = link.querySelector('img');
+          if (imgEl) {
+            img = imgEl.src || imgEl.getAttribute('src') || '';
+          }
+          
+          // Find name/display name - look in parent container for nickname
+          let name = username;
+          const isNickname = el => {
+            const text = el.textContent.trim();
+            return text && text !== username;
+          };
+          
+          // Look for nickname in the link itself first, then in the parent container
+          const parent = link.closest('div, section, article');
+          const nickname = findIn(link, 'nickname', () => true) || (parent && findIn(parent, 'nickname', () => true));
+          if (nickname) {
+            if (isNickname(nickname.el)) {
+              name = nickname.el.textContent.trim();
+              matched.name = nickname.entry;
+            }
+          } else if (parent) {
+            // Fallback to other selectors in parent
+            const fallback = findIn(parent, 'nameFallback', el => {
+              const text = el.textContent.trim();
+              return isNickname(el) && !text.includes('Break reminders') && text.length < 50;
+            });
+            if (fallback) {
+              name = fallback.el.textContent.trim();
+              matched.name = fallback.entry;
+            }
+          }
+          
+          results.push({
+            username: username,
+            img: img,
+            name: name,
+            selectors: matched
+          });
+        }
+      });
+      
+      // Remove duplicates based on username
+      const uniqueResults = [];
+      const seenUsernames = new Set();
+      
+      for (const user of results) {
+        if (user.username && !seenUsernames.has(user.username)) {
+          seenUsernames.add(user.username);
+          uniqueResults.push(user);
+        }
+      }
+      
+      return uniqueResults;
+    }, fields);
+  }
+
+  // scrapeUsers: create a fresh page per request, close page after done.
+  // Returns { results, hasMore, cursor, stopReason }; `cursor` skips users already returned by an earlier call
+  async scrapeUsers(query, maxResults = 10, options = {}) {
+    if (!query) throw new ScrapeError('INVALID_INPUT', 'Query parameter is required');
+    maxResults = Math.min(Math.max(parseInt(maxResults) || 10, 1), this.runtime.limits.maxSearchResults);
+
+    const cursor = Math.max(parseInt(options.cursor) || 0, 0);
+    const deadline = Date.now() + this.timeBudget(options);
+
+    this.log.scrape(`Starting user search for: "${query}", maxResults: ${maxResults}, cursor: ${cursor}`);
+    
+    // Acquire semaphore before creating page
+    await this.runtime.semaphore.acquire();
+
+    const page = await this.openPage(query);
+    
+    try {
+      await this.configurePage(page);
+      const interceptor = new ResponseInterceptor(page).start();
+
+      const url = searchUrl('user', query);
+      this.log.scrape(`Navigating to: ${url}`);
+
+      await this.navigate(page, url, { waitUntil: 'domcontentloaded', timeout: this.runtime.limits.timeout });
+
+      // Intercepted search API users come first, then the hydration JSON; DOM link walking fills the rest
+      const hydratedUsers = extractSearchUsersFromHydration(await readHydrationFromPage(page));
+      if (hydratedUsers.length > 0) {
+        this.log.success(`Hydration data found: ${hydratedUsers.length} users`);
+      }
+
+      // Wait for probable content — use multiple selectors
+      const searchSelectors = await this.selectorScope(page, 'search');
+      const readySelectors = searchSelectors.ready.map(entry => entry.selector);
+      const linkSelectors = searchSelectors.userLink.map(entry => entry.selector);
+
+      const hasContent = await this.waitForAnySelector(page, readySelectors, 15000);
+      
+      if (hasContent) {
+        this.log.success('Search results loaded successfully');
+      } else {
+        this.log.error('Content may load slowly or use different selectors - continuing anyway');
+      }
+
+      // Double-check if we have any user links before extracting data
+      const hasUserLinks = await this.checkElementsExist(page, linkSelectors);
+
+      const target = cursor + maxResults;
+      const collected = [];
+      const indexByUsername = new Map();
+      const addUsers = (users, source) => {
+        let added = 0;
+        for (const user of users) {
+          if (!user.username) continue;
+          const index = indexByUsername.get(user.username);
+          if (index !== undefined) {
+            // An API payload arriving after the DOM pass replaces the thinner DOM record in place
+            if (source === 'api' && collected[index].source !== 'api') collected[index] = { ...user, source };
+            continue;
+          }
+          if (collected.length >= target) continue;
+          indexByUsername.set(user.username, collected.length);
+          collected.push({ ...user, source });
+          added++;
+        }
+        return added;
+      };
+      const addApiUsers = () => addUsers(extractApiUsers(interceptor.get('searchUsers')), 'api');
+
+      addApiUsers();
+      addUsers(hydratedUsers, 'hydration');
+      if (collected.some(user => user.source === 'api')) {
+        this.log.success(`Search API responses captured: ${collected.length} users`);
+      }
+
+      if (!hasUserLinks && collected.length === 0) {
+        // An empty result page says so; anything else means the selectors no longer match
+        const emptyNotice = await page.evaluate(() => /no results found|không tìm thấy kết quả/i.test(document.body ? document.body.innerText : ''));
+        if (!emptyNotice) throw await this.pageStateError(page, 'search result');
+        this.log.error(`No users found for "${query}"`);
+        return buildSearchPage([], cursor, 'noResults');
+      }
+
+      this.log.scrape('Extracting search results data...');
+      addUsers(await this.extractSearchUsersFromDom(page, searchSelectors), 'dom');
+
+      // Keep scrolling until maxResults, several scrolls without new users, or the time budget.
+      // Every scroll makes the page fetch the next API page, which the interceptor picks up
+      const stopReason = await this.scrollAndCollect(page, {
+        collect: async () => addApiUsers() + addUsers(await this.extractSearchUsersFromDom(page, searchSelectors), 'dom'),
+        isDone: () => (collected.length >= target ? 'maxResults' : false),
+        deadline,
+        count: () => collected.length,
+        total: target,
+        onProgress: options.onProgress,
+        shouldStop: options.shouldStop,
+        label: `Scrolled search results for "${query}"`
+      });
+
+      const users = collected.slice(cursor, target);
+      return buildSearchPage(users, cursor, stopReason);
+    } catch (err) {
+      throw this.failure('scrapeUsers', err, page);
+    } finally {
+      try {
+        await this.closePage(page);
+      } finally {
+        // Always release semaphore
+        this.runtime.semaphore.release();
+      }
+    }
+  }
+
+  // Read the live room cards currently rendered on a live search page
+  async extractLiveTilesFromDom(page, fields) {
+    return await page.evaluate((fields) => {
+      const first = (container, field) => {
+        for (const entry of fields[field] || []) {
+          const el = container.querySelector(entry.selector);
+          if (el) return el;
+        }
+        return null;
+      };
+
+      const tileEntry = (fields.tile || []).find(entry => document.querySelector(entry.selector));
+      const linkSelector = (fields.link || []).map(entry => entry.selector).join(', ') || 'a[href*="/live"]';
+      const tiles = tileEntry
+        ? Array.from(document.querySelectorAll(tileEntry.selector))
+        : Array.from(document.querySelectorAll(linkSelector));
+
+      return tiles.map(tile => {
+        const link = tile.matches(linkSelector) ? tile : tile.querySelector(linkSelector);
+        if (!link) return null;
+        const titleEl = first(tile, 'title');
+        const viewersEl = first(tile, 'viewers');
+        const coverEl = first(tile, 'cover');
+        return {
+          href: link.href || link.getAttribute('href') || '',
+          title: titleEl ? titleEl.textContent.trim() : '',
+          viewers: viewersEl ? viewersEl.textContent.trim() : '',
+          cover: coverEl ? coverEl.src || coverEl.getAttribute('src') || '' : ''
+        };
+      }).filter(Boolean);
+    }, fields);
+  }
+
+  // scrapeSearch: keyword search on one vertical ('user', 'video', 'live', 'top').
+  // User search keeps its own flow; the others share the scroll-and-collect loop below.
+  // Returns { results, hasMore, cursor, stopReason }
+  async scrapeSearch(query, maxResults = 10, options = {}) {
+    if (!query) throw new ScrapeError('INVALID_INPUT', 'Query parameter is required');
+    const vertical = getSearchVertical(options.type);
+    if (vertical.type === 'user') return this.scrapeUsers(query, maxResults, options);
+    maxResults = Math.min(Math.max(parseInt(maxResults) || 10, 1), this.runtime.limits.maxSearchResults);
+
+    const cursor = Math.max(parseInt(options.cursor) || 0, 0);
+    const deadline = Date.now() + this.timeBudget(options);
+
+    this.log.scrape(`Starting ${vertical.type} search for: "${query}", maxResults: ${maxResults}, cursor: ${cursor}`);
+
+    // Acquire semaphore before creating page
+    await this.runtime.semaphore.acquire();
+
+    const page = await this.openPage(query);
+
+    try {
+      await this.configurePage(page);
+      const interceptor = new ResponseInterceptor(page).start();
+
+      const url = searchUrl(vertical.type, query);
+      this.log.scrape(`Navigating to: ${url}`);
+
+      await this.navigate(page, url, { waitUntil: 'domcontentloaded', timeout: this.runtime.limits.timeout });
+
+      const fields = await this.selectorScope(page, vertical.scope);
+      const hasContent = await this.waitForAnySelector(page, fields.ready.map(entry => entry.selector), 15000);
+      if (hasContent) {
+        this.log.success('Search results loaded successfully');
+      } else {
+        this.log.error('Content may load slowly or use different selectors - continuing anyway');
+      }
+
+      // Results keyed by type so a user and a video can never collide in top results
+      const target = cursor + maxResults;
+      const byKey = new Map();
+      const addResults = (results, source) => {
+        let added = 0;
+        for (const result of results) {
+          if (!result || byKey.size >= target) continue;
+          const key = result.type === 'video' ? `video:${result.id}` : `${result.type}:${result.username}`;
+          if (byKey.has(key)) {
+            // Map.set on an existing key keeps its position, so API data upgrades a DOM record in place
+            if (source === 'api' && byKey.get(key).source !== 'api') byKey.set(key, { ...result, source });
+            continue;
+          }
+          byKey.set(key, { ...result, source });
+          added++;
+        }
+        return added;
+      };
+
+      // Live rooms have no item API the page exposes; video and top verticals read the search API first
+      const apiKind = vertical.type === 'video' ? 'searchVideos' : 'searchGeneral';
+      const addApiResults = () => {
+        if (vertical.type === 'live') return 0;
+        const bodies = interceptor.get(apiKind);
+        let added = addResults(extractApiVideos(bodies).map(video => ({ type: 'video', ...video })), 'api');
+        if (vertical.type === 'top') {
+          added += addResults(extractApiUsers(bodies).map(user => ({ type: 'user', ...user })), 'api');
+        }
+        return added;
+      };
+
+      addApiResults();
+      if (vertical.type !== 'live') {
+        const hydratedVideos = extractVideosFromHydration(await readHydrationFromPage(page));
+        addResults(hydratedVideos.map(video => ({ type: 'video', ...video })), 'hydration');
+      }
+
+      const collect = async () => {
+        if (vertical.type === 'live') {
+          const tiles = await this.extractLiveTilesFromDom(page, fields);
+          return addResults(tiles.map(normalizeLiveTile), 'dom');
+        }
+
+        let added = addApiResults();
+        if (vertical.type === 'top' && fields.userLink) {
+          const users = await this.extractSearchUsersFromDom(page, fields);
+          added += addResults(users.map(user => ({ type: 'user', ...user })), 'dom');
+        }
+        const tiles = await this.extractVideoTilesFromDom(page, fields);
+        added += addResults(tiles.map(tile => {
+          const video = normalizeVideoTile(tile);
+          return video ? { type: 'video', ...video } : null;
+        }), 'dom');
+        return added;
+      };
+      await collect();
+
+      const stopReason = await this.scrollAndCollect(page, {
+        collect,
+        isDone: () => (byKey.size >= target ? 'maxResults' : false),
+        deadline,
+        count: () => byKey.size,
+        total: target,
+        onProgress: options.onProgress,
+        shouldStop: options.shouldStop,
+        label: `Scrolled ${vertical.type} search results for "${query}"`
+      });
+
+      const results = Array.from(byKey.values()).slice(cursor, target);
+      this.log.success(`Found ${results.length} ${vertical.label} for "${query}" (${stopReason})`);
+      return buildSearchPage(results, cursor, stopReason);
+    } catch (err) {
+      throw this.failure('scrapeSearch', err, page);
+    } finally {
+      try {
+        await this.closePage(page);
+      } finally {
+        // Always release semaphore
+        this.runtime.semaphore.release();
+      }
+    }
+  }
+
+  // Read the video grid tiles currently rendered on a profile page
+  async extractVideoTilesFromDom(page, fields) {
+    return await page.evaluate((fields) => {
+      const first = (container, field) => {
+        for (const entry of fields[field] || []) {
+          const el = container.querySelector(entry.selector);
+          if (el) return el;
+        }
+        return null;
+      };
+
+      // Tiles by registry selector; fall back to the video links themselves
+      const tileEntry = (fields.tile || []).find(entry => document.querySelector(entry.selector));
+      const linkSelector = (fields.link || []).map(entry => entry.selector).join(', ') || 'a[href*="/video/"]';
+      const tiles = tileEntry
+        ? Array.from(document.querySelectorAll(tileEntry.selector))
+        : Array.from(document.querySelectorAll(linkSelector));
+
+      return tiles.map(tile => {
+        const link = tile.matches(linkSelector) ? tile : tile.querySelector(linkSelector);
+        if (!link) return null;
+
+        const viewsEl = first(tile, fields.tileViews ? 'tileViews' : 'views');
+        const likesEl = first(tile, 'likes');
+        const captionEl = first(tile, 'caption');
+        const coverEl = first(tile, 'cover');
+        const pinnedEl = first(tile, 'pinned');
+
+        return {
+          href: link.href || link.getAttribute('href') || '',
+          views: viewsEl ? viewsEl.textContent.trim() : '',
+          likes: likesEl ? likesEl.textContent.trim() : '',
+          caption: captionEl ? (captionEl.getAttribute('alt') || captionEl.textContent || '').trim() : '',
+          cover: coverEl ? coverEl.src || coverEl.getAttribute('src') || '' : '',
+          pinned: !!(pinnedEl && pinnedEl.textContent.trim())
+        };
+      }).filter(Boolean);
+    }, fields);
+  }
+
+  // scrapeUserVideos: page through a user's video grid.
+  // options: limit (max videos), since (ISO date / unix time, newest-first grid stops once older), timeBudget (ms)
+  async scrapeUserVideos(username, options = {}) {
+    if (!username) throw new ScrapeError('INVALID_INPUT', 'Username parameter is required');
+
+    const limit = Math.min(Math.max(parseInt(options.limit) || 30, 1), this.runtime.limits.maxVideos);
+    const since = parseSince(options.since);
+    const deadline = Date.now() + this.timeBudget(options);
+
+    this.log.scrape(`Starting video listing for: ${username}, limit: ${limit}${since ? `, since: ${new Date(since * 1000).toISOString()}` : ''}`);
+
+    // Acquire semaphore before creating page
+    await this.runtime.semaphore.acquire();
+
+    const page = await this.openPage(username);
+
+    try {
+      await this.configurePage(page);
+      const interceptor = new ResponseInterceptor(page).start();
+
+      const url = `https://www.tiktok.com/@${username}`;
+      this.log.scrape(`Navigating to: ${url}`);
+
+      await this.navigate(page, url, { waitUntil: 'networkidle2', timeout: this.runtime.limits.timeout });
+
+      const videoSelectors = await this.selectorScope(page, 'videos');
+      const hasContent = await this.waitForAnySelector(page, videoSelectors.ready.map(entry => entry.selector), 15000);
+      const hydration = await readHydrationFromPage(page);
+      const owner = extractProfileFromHydration(hydration, username);
+      if (!owner) {
+        const hydrationError = errorFromHydration(hydration, 'webapp.user-detail');
+        if (hydrationError) throw hydrationError;
+      }
+      if (!hasContent) {
+        this.log.error('No video grid found - account may be private or have no videos');
+      }
+
+      // Intercepted item_list pages and hydration items carry full metadata,
+      // DOM tiles add whatever the grid renders without a captured payload
+      const byId = new Map();
+      const addVideos = (videos, source) => {
+        let added = 0;
+        for (const video of videos) {
+          if (!video) continue;
+          const existing = byId.get(video.id);
+          if (existing && source === 'api' && existing.source !== 'api') {
+            byId.set(video.id, { ...mergeVideoRecords(video, existing), source });
+          } else if (existing) {
+            byId.set(video.id, { ...mergeVideoRecords(existing, video), source: existing.source });
+          } else {
+            byId.set(video.id, { ...video, source });
+            added++;
+          }
+        }
+        return added;
+      };
+
+      addVideos(extractApiVideos(interceptor.get('postItems'), username), 'api');
+      addVideos(extractVideosFromHydration(hydration, username), 'hydration');
+
+      const collect = async () => {
+        const added = addVideos(extractApiVideos(interceptor.get('postItems'), username), 'api');
+        const tiles = await this.extractVideoTilesFromDom(page, videoSelectors);
+        return added + addVideos(tiles.map(tile => normalizeVideoTile(tile, username)), 'dom');
+      };
+      await collect();
+
+      // An empty grid is only a valid answer for an account known to have no public videos
+      if (byId.size === 0) {
+        if (owner && owner.privateAccount) throw new ScrapeError('PRIVATE', `@${username} is a private account`);
+        if (!hasContent && !(owner && owner.videoCount === 0)) throw await this.pageStateError(page, 'video grid');
+      }
+
+      const selected = () => Array.from(byId.values())
+        .filter(video => !since || !video.createTime || video.createTime >= since);
+      // Pinned videos sit on top of the grid regardless of age, so only regular ones mark the end
+      const reachedSince = () => !!since && Array.from(byId.values())
+        .some(video => !video.pinned && video.createTime && video.createTime < since);
+
+      const stopReason = await this.scrollAndCollect(page, {
+        collect,
+        isDone: () => (selected().length >= limit ? 'limit' : (reachedSince() ? 'since' : false)),
+        deadline,
+        count: () => selected().length,
+        total: limit,
+        onProgress: options.onProgress,
+        shouldStop: options.shouldStop,
+        label: `Scrolled video grid of ${username}`
+      });
+
+      const videos = selected().slice(0, limit);
+      this.log.success(`Found ${videos.length} videos for ${username} (${stopReason})`);
+      return { videos, hasMore: isTruncated(stopReason), stopReason };
+    } catch (err) {
+      throw this.failure('scrapeUserVideos', err, page);
+    } finally {
+      try {
+        await this.closePage(page);
+      } finally {
+        // Always release semaphore
+        this.runtime.semaphore.release();
+      }
+    }
+  }
+
+  // Every user rendered in the open follower / following modal
+  async extractFollowUsersFromDom(page, fields) {
+    return await page.evaluate((fields) => {
+      const selectorsOf = field => (fields[field] || []).map(entry => entry.selector);
+      const first = (container, field) => {
+        for (const selector of selectorsOf(field)) {
+          const el = container.querySelector(selector);
+          if (el) return el;
+        }
+        return null;
+      };
+
+      const list = selectorsOf('list').map(selector => document.querySelector(selector)).find(Boolean);
+      if (!list) return [];
+      const itemSelector = selectorsOf('item').join(', ');
+      const items = itemSelector ? Array.from(list.querySelectorAll(itemSelector)) : [];
+
+      return items.map(item => {
+        const link = first(item, 'link');
+        const nickname = first(item, 'nickname');
+        const avatar = first(item, 'avatar');
+        return {
+          href: link ? link.getAttribute('href') || '' : '',
+          nickname: nickname ? nickname.textContent.trim() : '',
+          avatar: avatar ? avatar.src || avatar.getAttribute('src') || '' : '',
+          verified: !!first(item, 'verified')
+        };
+      });
+    }, fields);
+  }
+
+  // scrapeFollowList: followers or following of a user, read from the profile page modal.
+  // Returns { users, total, hasMore, cursor, stopReason }; `cursor` skips users already returned
+  async scrapeFollowList(username, type, options = {}) {
+    if (!username) throw new ScrapeError('INVALID_INPUT', 'Username parameter is required');
+    const list = getFollowList(type);
+
+    const limit = Math.min(Math.max(parseInt(options.limit) || 50, 1), this.runtime.limits.maxFollows);
+    const cursor = Math.max(parseInt(options.cursor) || 0, 0);
+    const deadline = Date.now() + this.timeBudget(options);
+
+    this.log.scrape(`Starting ${list.label} scrape for: ${username}, limit: ${limit}, cursor: ${cursor}`);
+
+    // Acquire semaphore before creating page
+    await this.runtime.semaphore.acquire();
+
+    const page = await this.openPage(username);
+
+    try {
+      await this.configurePage(page);
+      const interceptor = new ResponseInterceptor(page).start();
+
+      const url = `https://www.tiktok.com/@${username}`;
+      this.log.scrape(`Navigating to: ${url}`);
+
+      await this.navigate(page, url, { waitUntil: 'networkidle2', timeout: this.runtime.limits.timeout });
+
+      const hydration = await readHydrationFromPage(page);
+      const owner = extractProfileFromHydration(hydration, username);
+      if (!owner) {
+        const hydrationError = errorFromHydration(hydration, 'webapp.user-detail');
+        if (hydrationError) throw hydrationError;
+      }
+      const total = owner && owner[list.countField] !== undefined ? owner[list.countField] : null;
+
+      // The count on the profile header opens the modal
+      const fields = await this.selectorScope(page, 'follows');
+      const opened = await page.evaluate((selectors) => {
+        const button = selectors.map(selector => document.querySelector(selector)).find(Boolean);
+        if (button) button.click();
+        return !!button;
+      }, fields[list.openField].map(entry => entry.selector));
+      if (!opened) throw await this.pageStateError(page, `${list.label} link`);
+
+      const listSelectors = fields.list.map(entry => entry.selector);
+      const hasList = await this.waitForAnySelector(page, listSelectors, 10000) || await interceptor.waitFor(list.kind, 3000);
+
+      // Logged-out browsers get the login modal instead of the list
+      try {
+        await this.checkInterstitial(page);
+      } catch (err) {
+        if (err.code === 'LOGIN_REQUIRED' && !this.session) {
+          const error = new ScrapeError('LOGIN_REQUIRED', `TikTok only shows ${list.label} lists to logged-in browsers; pass a session`);
+          // Retrying without cookies cannot succeed
+          error.retryable = false;
+          throw error;
+        }
+        throw err;
+      }
+
+      const byName = new Map();
+      const addUsers = (users) => {
+        let added = 0;
+        for (const user of users) {
+          if (!user) continue;
+          const key = user.username.toLowerCase();
+          const existing = byName.get(key);
+          if (!existing) {
+            byName.set(key, user);
+            added++;
+          } else if (existing.source !== 'api' && user.source === 'api') {
+            byName.set(key, user);
+          }
+        }
+        return added;
+      };
+      // Intercepted /api/user/list/ pages carry ids and exact flags, the modal fills in the rest
+      const collect = async () => addUsers(extractApiFollowUsers(interceptor.get(list.kind))) +
+        addUsers((await this.extractFollowUsersFromDom(page, fields)).map(followUserFromDom));
+      await collect();
+
+      if (byName.size === 0) {
+        if (total === 0) return { users: [], total, hasMore: false, cursor: null, stopReason: 'noResults' };
+        if (owner && owner.privateAccount) throw new ScrapeError('PRIVATE', `@${username} is a private account`);
+        if (!hasList) throw await this.pageStateError(page, `${list.label} list`);
+      }
+
+      // The list scrolls inside the modal
+      const scroll = () => page.evaluate((selectors) => {
+        const box = selectors.map(selector => document.querySelector(selector)).find(Boolean);
+        if (box) box.scrollTop = box.scrollHeight;
+      }, listSelectors);
+
+      const wanted = cursor + limit;
+      const stopReason = await this.scrollAndCollect(page, {
+        collect,
+        scroll,
+        isDone: () => {
+          if (byName.size >= wanted) return 'limit';
+          if (interceptor.hasMore(list.kind) === false) return 'exhausted';
+          return false;
+        },
+        deadline,
+        count: () => byName.size,
+        total: wanted,
+        onProgress: options.onProgress,
+        shouldStop: options.shouldStop,
+        label: `Scrolled ${list.label} of ${username}`
+      });
+
+      const users = Array.from(byName.values()).slice(cursor, wanted);
+      const hasMore = isTruncated(stopReason);
+      this.log.success(`Found ${users.length} ${list.label} for ${username} (${stopReason})`);
+      return { users, total, hasMore, cursor: hasMore ? cursor + users.length : null, stopReason };
+    } catch (err) {
+      throw this.failure(`scrape ${list.label}`, err, page);
+    } finally {
+      try {
+        await this.closePage(page);
+      } finally {
+        // Always release semaphore
+        this.runtime.semaphore.release();
+      }
+    }
+  }
+
+  // scrapeVideo: metadata of a single video, from its id, canonical URL or share link
+  async scrapeVideo(input) {
+    const target = parseVideoInput(input);
+    if (!target) throw new ScrapeError('INVALID_INPUT', 'Video id or TikTok video URL is required');
+
+    this.log.scrape(`Starting video scrape for: ${input}`);
+
+    // Acquire semaphore before creating page
+    await this.runtime.semaphore.acquire();
+
+    const page = await this.openPage(input);
+
+    try {
+      await this.configurePage(page);
+
+      this.log.scrape(`Navigating to: ${target.url}`);
+      await this.navigate(page, target.url, { waitUntil: 'networkidle2', timeout: this.runtime.limits.timeout });
+
+      // Share links and id-only URLs redirect to the canonical /@user/video/<id>
+      const id = target.id || videoIdFromUrl(page.url());
+      if (!id) {
+        throw new ScrapeError('NOT_FOUND', `Could not resolve a video id from ${page.url()}`);
+      }
+
+      const hydration = await readHydrationFromPage(page);
+      const hydratedVideo = extractVideoDetailFromHydration(hydration, id);
+      if (hydratedVideo) {
+        this.log.success(`Hydration data found for video: ${id}`);
+      } else {
+        const hydrationError = errorFromHydration(hydration, 'webapp.video-detail');
+        if (hydrationError) throw hydrationError;
+      }
+
+      const videoSelectors = await this.selectorScope(page, 'video');
+      if (!hydratedVideo) {
+        const hasContent = await this.waitForAnySelector(page, videoSelectors.ready.map(entry => entry.selector), 15000);
+        if (!hasContent) {
+          throw await this.pageStateError(page, 'video');
+        }
+      }
+
+      const domRaw = await page.evaluate((fields) => {
+        const result = { matched: {} };
+        const readField = (field, read) => {
+          for (const entry of fields[field] || []) {
+            const el = document.querySelector(entry.selector);
+            const value = el ? read(el) : '';
+            if (value) {
+              result.matched[field] = entry;
+              return value;
+            }
+          }
+          return '';
+        };
+        const text = el => el.textContent.trim();
+
+        result.caption = readField('caption', text);
+        result.author = readField('author', text);
+        result.authorName = readField('authorName', text);
+        result.authorAvatar = readField('authorAvatar', el => el.src || el.getAttribute('src') || '');
+        result.likes = readField('likes', text);
+        result.comments = readField('comments', text);
+        result.shares = readField('shares', text);
+        result.music = readField('music', text);
+        result.musicHref = readField('music', el => (el.closest('a') || el.querySelector('a') || {}).href || '');
+        result.cover = readField('cover', el => el.getAttribute('content') || el.getAttribute('poster') || '');
+        return result;
+      }, videoSelectors);
+
+      const domVideo = normalizeVideoDetailFromDom(domRaw, id);
+      const { data, sources } = mergeExtracted(hydratedVideo, domVideo, VIDEO_FIELDS);
+      const video = {
+        id,
+        ...data,
+        sources,
+        selectors: selectorMatches(sources, domRaw.matched)
+      };
+
+      this.log.success(`Video data extracted: ${video.id} by ${video.author ? video.author.username : 'unknown'}`);
+      return video;
+    } catch (err) {
+      throw this.failure('scrapeVideo', err, page);
+    } finally {
+      try {
+        await this.closePage(page);
+      } finally {
+        // Always release semaphore
+        this.runtime.semaphore.release();
+      }
+    }
+  }
+
+  // Read the comment threads currently rendered on a video page
+  async extractCommentsFromDom(page, fields) {
+    return await page.evaluate((fields) => {
+      const selectorsOf = field => (fields[field] || []).map(entry => entry.selector);
+      const first = (container, field) => {
+        for (const selector of selectorsOf(field)) {
+          const el = container.querySelector(selector);
+          if (el) return el;
+        }
+        return null;
+      };
+      const textOf = el => (el ? el.textContent.trim() : '');
+      const authorOf = el => {
+        if (!el) return { username: '', displayName: '' };
+        const link = el.matches('a[href*="/@"]') ? el : (el.closest('a[href*="/@"]') || el.querySelector('a[href*="/@"]'));
+        const match = link ? (link.getAttribute('href') || '').match(/\/@([^\/\?]+)/) : null;
+        return { username: match ? match[1] : textOf(el), displayName: textOf(el) };
+      };
+
+      // Top-level items are the outermost containers holding a level-1 comment
+      const textSelector = selectorsOf('text').join(', ');
+      const itemSelector = selectorsOf('item').join(', ');
+      if (!textSelector) return [];
+      let items = itemSelector
+        ? Array.from(document.querySelectorAll(itemSelector)).filter(item => item.querySelector(textSelector))
+        : [];
+      items = items.filter(item => !items.some(other => other !== item && other.contains(item)));
+      if (!items.length) {
+        items = Array.from(document.querySelectorAll(textSelector)).map(el => el.parentElement).filter(Boolean);
+      }
+
+      const replyUserSelector = selectorsOf('replyUsername').join(', ');
+
+      return items.map(item => {
+        const author = authorOf(first(item, 'username'));
+        const toggle = first(item, 'replyToggle');
+
+        const replies = selectorsOf('reply').length
+          ? Array.from(item.querySelectorAll(selectorsOf('reply').join(', '))).map(replyEl => {
+            // Walk up to the reply's own container (the one holding its author)
+            let box = replyEl.parentElement;
+            while (box && box !== item && !(replyUserSelector && box.querySelector(replyUserSelector))) {
+              box = box.parentElement;
+            }
+            box = box || item;
+            const replyAuthor = authorOf(first(box, 'replyUsername'));
+            return {
+              username: replyAuthor.username,
+              displayName: replyAuthor.displayName,
+              text: textOf(replyEl),
+              likes: textOf(first(box, 'likes')),
+              time: textOf(first(box, 'replyTime'))
+            };
+          })
+          : [];
+
+        return {
+          username: author.username,
+          displayName: author.displayName,
+          text: textOf(first(item, 'text')),
+          likes: textOf(first(item, 'likes')),
+          time: textOf(first(item, 'time')),
+          replyCount: toggle && /\d/.test(toggle.textContent) ? toggle.textContent.trim() : '',
+          replies
+        };
+      }).filter(comment => comment.text);
+    }, fields);
+  }
+
+  // Click the "View N replies" / "View more" toggles of the given comments; returns how many were clicked
+  async expandCommentReplies(page, fields, keys) {
+    return await page.evaluate((fields, keys) => {
+      const selectorsOf = field => (fields[field] || []).map(entry => entry.selector);
+      const textSelector = selectorsOf('text').join(', ');
+      const itemSelector = selectorsOf('item').join(', ');
+      const toggleSelector = selectorsOf('replyToggle').join(', ');
+      const userSelector = selectorsOf('username').join(', ');
+      if (!textSelector || !itemSelector || !toggleSelector) return 0;
+
+      const wanted = new Set(keys);
+      let clicked = 0;
+      let items = Array.from(document.querySelectorAll(itemSelector)).filter(item => item.querySelector(textSelector));
+      items = items.filter(item => !items.some(other => other !== item && other.contains(item)));
+
+      items.forEach(item => {
+        const userEl = userSelector ? item.querySelector(userSelector) : null;
+        const link = userEl ? (userEl.closest('a[href*="/@"]') || userEl.querySelector('a[href*="/@"]')) : null;
+        const match = link ? (link.getAttribute('href') || '').match(/\/@([^\/\?]+)/) : null;
+        const username = match ? match[1] : (userEl ? userEl.textContent.trim() : '');
+        const key = `${username}|${item.querySelector(textSelector).textContent.trim()}`;
+        if (!wanted.has(key)) return;
+
+        Array.from(item.querySelectorAll(toggleSelector))
+          .filter(toggle => /\d|more/i.test(toggle.textContent) && !/hide/i.test(toggle.textContent))
+          .forEach(toggle => {
+            toggle.click();
+            clicked++;
+          });
+      });
+      return clicked;
+    }, fields, keys);
+  }
+
+  // scrapeComments: top-level comments of a video, optionally with their reply threads.
+  // options: maxComments, cursor (comments already returned), replies (expand threads), maxReplies, timeBudget
+  async scrapeComments(input, options = {}) {
+    const target = parseVideoInput(input);
+    if (!target) throw new ScrapeError('INVALID_INPUT', 'Video id or TikTok video URL is required');
+
+    const maxComments = Math.min(Math.max(parseInt(options.maxComments) || 50, 1), this.runtime.limits.maxComments);
+    const cursor = Math.max(parseInt(options.cursor) || 0, 0);
+    const includeReplies = options.replies === true || options.replies === 'true' || options.replies === '1';
+    const maxReplies = Math.max(parseInt(options.maxReplies) || 20, 1);
+    const deadline = Date.now() + this.timeBudget(options);
+
+    this.log.scrape(`Starting comment scrape for: ${input}, maxComments: ${maxComments}, cursor: ${cursor}, replies: ${includeReplies}`);
+
+    // Acquire semaphore before creating page
+    await this.runtime.semaphore.acquire();
+
+    const page = await this.openPage(input);
+
+    try {
+      await this.configurePage(page);
+      const interceptor = new ResponseInterceptor(page).start();
+
+      this.log.scrape(`Navigating to: ${target.url}`);
+      await this.navigate(page, target.url, { waitUntil: 'networkidle2', timeout: this.runtime.limits.timeout });
+      const videoId = target.id || videoIdFromUrl(page.url());
+
+      const commentSelectors = await this.selectorScope(page, 'comments');
+      const readySelectors = commentSelectors.ready.map(entry => entry.selector);
+
+      // Some layouts only render the comment panel after clicking the comment icon
+      let hasComments = await this.waitForAnySelector(page, readySelectors, 10000);
+      if (!hasComments) {
+        const opened = await page.evaluate((selectors) => {
+          const button = selectors.map(selector => document.querySelector(selector)).find(Boolean);
+          if (button) button.click();
+          return !!button;
+        }, commentSelectors.open.map(entry => entry.selector));
+        if (opened) hasComments = await this.waitForAnySelector(page, readySelectors, 10000);
+      }
+      if (!hasComments) hasComments = await interceptor.waitFor('comments', 3000);
+
+      if (!hasComments) {
+        this.log.error('No comments found - comments may be disabled or the video unavailable');
+        return { videoId, comments: [], hasMore: false, cursor: null, stopReason: 'noResults' };
+      }
+
+      const now = Date.now();
+      const wanted = cursor + maxComments;
+      const byKey = new Map();
+      const collect = async () => {
+        let added = 0;
+        // Intercepted /api/comment/list/ pages first; they carry ids, exact timestamps and reply totals
+        for (const comment of extractApiComments(interceptor.get('comments'))) {
+          if (comment.parentId) continue;
+          const key = commentKey(comment);
+          const existing = byKey.get(key);
+          if (!existing) added++;
+          if (!existing || !existing.id) byKey.set(key, existing ? { ...comment, timeText: existing.timeText } : comment);
+        }
+        for (const raw of await this.extractCommentsFromDom(page, commentSelectors)) {
+          const comment = normalizeComment(raw, now);
+          if (!comment) continue;
+          const key = commentKey(comment);
+          if (!byKey.has(key)) {
+            byKey.set(key, comment);
+            added++;
+          }
+        }
+        return added;
+      };
+      await collect();
+
+      // The comment list scrolls inside its own panel: bring the last comment into view
+      const scroll = () => page.evaluate((textSelectors) => {
+        const texts = document.querySelectorAll(textSelectors.join(', '));
+        if (texts.length) texts[texts.length - 1].scrollIntoView({ block: 'end' });
+        window.scrollTo(0, document.body.scrollHeight);
+      }, commentSelectors.text.map(entry => entry.selector));
+
+      const stopReason = await this.scrollAndCollect(page, {
+        collect,
+        scroll,
+        isDone: () => (byKey.size >= wanted ? 'maxResults' : false),
+        deadline,
+        count: () => byKey.size,
+        total: wanted,
+        onProgress: options.onProgress,
+        shouldStop: options.shouldStop,
+        label: `Scrolled comments of ${videoId}`
+      });
+
+      let comments = Array.from(byKey.values()).slice(cursor, wanted);
+
+      // Replies fetched by /api/comment/list/reply/ reference their thread by parentId
+      const attachApiReplies = () => {
+        const replies = extractApiComments(interceptor.get('commentReplies'));
+        if (!replies.length) return;
+        comments = comments.map(comment => {
+          if (!comment.id) return comment;
+          const seen = new Set(comment.replies.map(commentKey));
+          const extra = replies.filter(reply => reply.parentId === comment.id && !seen.has(commentKey(reply)) && seen.add(commentKey(reply)));
+          return extra.length ? { ...comment, replies: comment.replies.concat(extra) } : comment;
+        });
+      };
+
+      if (includeReplies) {
+        const keys = comments.filter(comment => comment.replyCount > 0).map(commentKey);
+        for (let round = 0; keys.length && round < REPLY_EXPAND_ROUNDS && Date.now() < deadline; round++) {
+          const clicked = await this.expandCommentReplies(page, commentSelectors, keys);
+          if (!clicked) break;
+          await delay(this.runtime.limits.scrollWait);
+          this.log.scrape(`Expanded ${clicked} reply threads (round ${round + 1})`);
+
+          const expanded = new Map();
+          (await this.extractCommentsFromDom(page, commentSelectors))
+            .map(raw => normalizeComment(raw, now))
+            .filter(Boolean)
+            .forEach(comment => expanded.set(commentKey(comment), comment));
+          comments = comments.map(comment => {
+            const fresh = expanded.get(commentKey(comment));
+            if (!fresh || fresh.replies.length <= comment.replies.length) return comment;
+            return { ...comment, replies: fresh.replies };
+          });
+          attachApiReplies();
+          if (comments.every(comment => comment.replies.length >= Math.min(comment.replyCount, maxReplies))) break;
+        }
+        comments = comments.map(comment => ({ ...comment, replies: comment.replies.slice(0, maxReplies) }));
+      } else {
+        comments = comments.map(comment => ({ ...comment, replies: [] }));
+      }
+
+      const hasMore = isTruncated(stopReason);
+      this.log.success(`Found ${comments.length} comments for ${videoId} (${stopReason})`);
+      return {
+        videoId,
+        comments,
+        hasMore,
+        cursor: hasMore ? cursor + comments.length : null,
+        stopReason
+      };
+    } catch (err) {
+      throw this.failure('scrapeComments', err, page);
+    } finally {
+      try {
+        await this.closePage(page);
+      } finally {
+        // Always release semaphore
+        this.runtime.semaphore.release();
+      }
+    }
+  }
+
+  // Shared flow for pages made of metadata + a video grid (hashtag and sound pages).
+  // Returns { meta, videos, hasMore, cursor, stopReason }
+  async scrapeVideoCollection({ label, url, scope, apiKind, metaFields, metaFromHydration, metaFromDom }, options = {}) {
+    const limit = Math.min(Math.max(parseInt(options.limit) || 30, 1), this.runtime.limits.maxVideos);
+    const cursor = Math.max(parseInt(options.cursor) || 0, 0);
+    const deadline = Date.now() + this.timeBudget(options);
+
+    this.log.scrape(`Starting ${label} scrape, limit: ${limit}, cursor: ${cursor}`);
+
+    // Acquire semaphore before creating page
+    await this.runtime.semaphore.acquire();
+
+    const page = await this.openPage(label);
+
+    try {
+      await this.configurePage(page);
+      const interceptor = new ResponseInterceptor(page).start();
+
+      this.log.scrape(`Navigating to: ${url}`);
+      await this.navigate(page, url, { waitUntil: 'networkidle2', timeout: this.runtime.limits.timeout });
+
+      const fields = await this.selectorScope(page, scope);
+      const hydration = await readHydrationFromPage(page);
+      let meta = metaFromHydration(hydration);
+      if (meta) {
+        this.log.success(`Hydration data found for ${label}`);
+        meta.source = 'hydration';
+      } else {
+        const hasContent = await this.waitForAnySelector(page, fields.ready.map(entry => entry.selector), 15000);
+        if (!hasContent) {
+          throw await this.pageStateError(page, label);
+        }
+        const raw = await page.evaluate((fields, names) => {
+          const result = {};
+          names.forEach(name => {
+            for (const entry of fields[name] || []) {
+              const el = document.querySelector(entry.selector);
+              const value = el ? (el.getAttribute('content') || el.src || el.textContent || '').trim() : '';
+              if (value) {
+                result[name] = value;
+                break;
+              }
+            }
+          });
+          return result;
+        }, fields, metaFields);
+        meta = metaFromDom(raw);
+        if (meta) meta.source = 'dom';
+      }
+
+      const wanted = cursor + limit;
+      const byId = new Map();
+      const addVideos = (videos, source) => {
+        let added = 0;
+        for (const video of videos) {
+          if (!video) continue;
+          const existing = byId.get(video.id);
+          if (existing && source === 'api' && existing.source !== 'api') {
+            byId.set(video.id, { ...mergeVideoRecords(video, existing), source });
+          } else if (existing) {
+            byId.set(video.id, { ...mergeVideoRecords(existing, video), source: existing.source });
+          } else {
+            byId.set(video.id, { ...video, source });
+            added++;
+          }
+        }
+        return added;
+      };
+
+      addVideos(extractApiVideos(interceptor.get(apiKind)), 'api');
+      addVideos(extractVideosFromHydration(hydration), 'hydration');
+      const collect = async () => {
+        const added = addVideos(extractApiVideos(interceptor.get(apiKind)), 'api');
+        const tiles = await this.extractVideoTilesFromDom(page, fields);
+        return added + addVideos(tiles.map(tile => normalizeVideoTile(tile)), 'dom');
+      };
+      await collect();
+
+      const stopReason = await this.scrollAndCollect(page, {
+        collect,
+        isDone: () => (byId.size >= wanted ? 'limit' : false),
+        deadline,
+        count: () => byId.size,
+        total: wanted,
+        onProgress: options.onProgress,
+        shouldStop: options.shouldStop,
+        label: `Scrolled ${label}`
+      });
+
+      const videos = Array.from(byId.values()).slice(cursor, wanted);
+      const hasMore = isTruncated(stopReason);
+      this.log.success(`Found ${videos.length} videos for ${label} (${stopReason})`);
+      return { meta, videos, hasMore, cursor: hasMore ? cursor + videos.length : null, stopReason };
+    } catch (err) {
+      throw this.failure(`${label} scrape`, err, page);
+    } finally {
+      try {
+        await this.closePage(page);
+      } finally {
+        // Always release semaphore
+        this.runtime.semaphore.release();
+      }
+    }
+  }
+
+  // scrapeHashtag: hashtag page metadata (views, video count, description) + videos using the tag
+  async scrapeHashtag(tag, options = {}) {
+    const name = normalizeHashtagInput(tag);
+    if (!name) throw new ScrapeError('INVALID_INPUT', 'Hashtag parameter is required');
+
+    return this.scrapeVideoCollection({
+      label: `hashtag #${name}`,
+      url: `https://www.tiktok.com/tag/${encodeURIComponent(name)}`,
+      scope: 'hashtag',
+      apiKind: 'challengeItems',
+      metaFields: ['title', 'description', 'views', 'cover'],
+      metaFromHydration: extractHashtagFromHydration,
+      metaFromDom: raw => hashtagFromDom(raw, name)
+    }, options);
+  }
+
+  // scrapeMusic: sound page metadata (title, author, video count) + videos using the sound
+  async scrapeMusic(musicId, options = {}) {
+    const id = normalizeMusicInput(musicId);
+    if (!id) throw new ScrapeError('INVALID_INPUT', 'Music id parameter is required');
+
+    return this.scrapeVideoCollection({
+      label: `music ${id}`,
+      url: `https://www.tiktok.com/music/sound-${id}`,
+      scope: 'music',
+      apiKind: 'musicItems',
+      metaFields: ['title', 'author', 'videoCount', 'description', 'cover'],
+      metaFromHydration: extractMusicFromHydration,
+      metaFromDom: raw => musicFromDom(raw, id)
+    }, options);
+  }
+}
+
+module.exports = {
+  TikTokUserScraper,
+  isTruncated,
+  buildSearchPage,
+  PROFILE_FIELDS,
+  VIDEO_FIELDS
+};
@@ -0,0 +1,51 @@
+// Search verticals: TikTok serves each result type from its own /search path
+
+const { countOrNull } = require('./counts');
+const { ScrapeError } = require('./errors');
+
+const SEARCH_VERTICALS = {
+  user: { type: 'user', path: 'search/user', scope: 'search', label: 'users' },
+  video: { type: 'video', path: 'search/video', scope: 'searchVideo', label: 'videos' },
+  live: { type: 'live', path: 'search/live', scope: 'searchLive', label: 'live rooms' },
+  top: { type: 'top', path: 'search', scope: 'searchTop', label: 'results' }
+};
+
+const SEARCH_TYPES = Object.keys(SEARCH_VERTICALS);
+
+// getSearchVertical: vertical definition for a type (defaults to user search)
+function getSearchVertical(type) {
+  const key = String(type || 'user').toLowerCase();
+  const vertical = Object.prototype.hasOwnProperty.call(SEARCH_VERTICALS, key) ? SEARCH_VERTICALS[key] : null;
+  if (!vertical) {
+    throw new ScrapeError('INVALID_INPUT', `Unknown search type "${type}". Use one of: ${SEARCH_TYPES.join(', ')}`);
+  }
+  return vertical;
+}
+
+function searchUrl(type, query) {
+  return `https://www.tiktok.com/${getSearchVertical(type).path}?q=${encodeURIComponent(query)}`;
+}
+
+// normalizeLiveTile: raw live card read from the DOM -> { type, username, url, title, viewers, cover }
+function normalizeLiveTile(raw) {
+  if (!raw || !raw.href) return null;
+  const match = String(raw.href).match(/\/@([^\/\?]+)\/live/);
+  if (!match) return null;
+  return {
+    type: 'live',
+    username: match[1],
+    url: `https://www.tiktok.com/@${match[1]}/live`,
+    title: raw.title || '',
+    viewers: countOrNull(raw.viewers),
+    viewersText: raw.viewers || '',
+    cover: raw.cover || ''
+  };
+}
+
+module.exports = {
+  SEARCH_VERTICALS,
+  SEARCH_TYPES,
+  getSearchVertical,
+  searchUrl,
+  normalizeLiveTile
+};
@@ -0,0 +1,159 @@
+// Versioned selector sets loaded from JSON/JS config files.
+//
+// A config file exports { sets: [{ name, version, priority, enabled, scopes: { <scope>: { <field>: [selectors] } } }] }.
+// For every field, selectors of higher priority sets are tried first and lower ones act as fallbacks,
+// so ops can patch one broken field by dropping a small high-priority set into SELECTORS_CONFIG.
+// Files are re-read when their mtime changes, no redeploy needed.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '..', 'config', 'selectors.json');
+
+class SelectorRegistry {
+  constructor(options = {}) {
+    this.files = (options.files || [DEFAULT_CONFIG_FILE]).map(file => path.resolve(file));
+    this.checkInterval = options.checkInterval !== undefined ? options.checkInterval : 1000;
+    this.logger = options.logger || console;
+    this.fileStates = new Map(); // file -> { mtimeMs, sets }
+    this.lastCheck = 0;
+    this.reload();
+  }
+
+  // Read one config file (JSON or CommonJS module)
+  readConfigFile(file) {
+    if (file.endsWith('.js')) {
+      delete require.cache[require.resolve(file)];
+      return require(file);
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  validateSet(set, file) {
+    if (!set || typeof set !== 'object') throw new Error(`Invalid selector set in ${file}`);
+    if (!set.name) throw new Error(`Selector set without name in ${file}`);
+    if (!set.scopes || typeof set.scopes !== 'object') throw new Error(`Selector set "${set.name}" has no scopes`);
+    // Syntax can only be checked by a browser (see TikTokUserScraper.selectorScope); here every field
+    // must at least be a selector string or a list of them
+    for (const [scope, fields] of Object.entries(set.scopes)) {
+      if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+        throw new Error(`Selector set "${set.name}": scope "${scope}" must map fields to selectors`);
+      }
+      for (const [field, selectors] of Object.entries(fields)) {
+        const list = [].concat(selectors);
+        if (list.length === 0 || list.some(selector => typeof selector !== 'string' || !selector.trim())) {
+          throw new Error(`Selector set "${set.name}": ${scope}.${field} must be a non-empty selector string or list`);
+        }
+      }
+    }
+    return {
+      name: set.name,
+      version: String(set.version || '0'),
+      priority: Number(set.priority) || 0,
+      enabled: set.enabled !== false,
+      source: file,
+      scopes: set.scopes
+    };
+  }
+
+  // Load a file if it changed. A broken file keeps the previously loaded sets
+  loadFile(file, force = false) {
+    let stat;
+    try {
+      stat = fs.statSync(file);
+    } catch (err) {
+      if (this.fileStates.has(file)) {
+        this.logger.warn(`Selector config removed: ${file}`);
+        this.fileStates.delete(file);
+      }
+      return false;
+    }
+
+    const previous = this.fileStates.get(file);
+    if (!force && previous && previous.mtimeMs === stat.mtimeMs) return false;
+
+    try {
+      const config = this.readConfigFile(file);
+      const sets = (Array.isArray(config) ? config : config.sets || []).map(set => this.validateSet(set, file));
+      this.fileStates.set(file, { mtimeMs: stat.mtimeMs, sets });
+      this.logger.log(`🧩 Loaded ${sets.length} selector set(s) from ${file}: ${sets.map(s => `${s.name}@${s.version}`).join(', ')}`);
+      return true;
+    } catch (err) {
+      this.logger.error(`Selector config ${file} rejected, keeping previous sets: ${err.message}`);
+      if (previous) this.fileStates.set(file, { ...previous, mtimeMs: stat.mtimeMs });
+      return false;
+    }
+  }
+
+  reload() {
+    this.lastCheck = Date.now();
+    this.files.forEach(file => this.loadFile(file, true));
+  }
+
+  // Cheap mtime check, at most once per checkInterval
+  refreshIfChanged() {
+    const now = Date.now();
+    if (now - this.lastCheck < this.checkInterval) return;
+    this.lastCheck = now;
+    this.files.forEach(file => this.loadFile(file));
+  }
+
+  // Enabled sets, highest priority first (later files win ties)
+  getSets() {
+    const sets = [];
+    this.files.forEach((file, fileIndex) => {
+      const state = this.fileStates.get(file);
+      if (state) state.sets.forEach(set => sets.push({ set, fileIndex }));
+    });
+    return sets
+      .filter(entry => entry.set.enabled)
+      .sort((a, b) => (b.set.priority - a.set.priority) || (b.fileIndex - a.fileIndex))
+      .map(entry => entry.set);
+  }
+
+  // getScope: { field: [{ selector, set, version }] } for one scope ('profile', 'search', ...)
+  getScope(scope) {
+    this.refreshIfChanged();
+    const fields = {};
+    for (const set of this.getSets()) {
+      const scopeFields = set.scopes[scope] || {};
+      for (const [field, selectors] of Object.entries(scopeFields)) {
+        if (!fields[field]) fields[field] = [];
+        for (const selector of [].concat(selectors)) {
+          if (!fields[field].some(entry => entry.selector === selector)) {
+            fields[field].push({ selector, set: set.name, version: set.version });
+          }
+        }
+      }
+    }
+    return fields;
+  }
+
+  describe() {
+    return {
+      files: this.files,
+      sets: this.getSets().map(set => ({
+        name: set.name,
+        version: set.version,
+        priority: set.priority,
+        source: set.source,
+        scopes: Object.keys(set.scopes)
+      }))
+    };
+  }
+}
+
+// Default registry: built-in sets plus the optional ops override file(s) from SELECTORS_CONFIG
+function createDefaultRegistry(env = process.env, options = {}) {
+  const extraFiles = (env.SELECTORS_CONFIG || '')
+    .split(',')
+    .map(file => file.trim())
+    .filter(Boolean);
+  return new SelectorRegistry({ files: [DEFAULT_CONFIG_FILE, ...extraFiles], ...options });
+}
+
+module.exports = {
+  DEFAULT_CONFIG_FILE,
+  SelectorRegistry,
+  createDefaultRegistry
+};
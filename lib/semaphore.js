@@ -0,0 +1,38 @@
+// Semaphore to limit concurrent pages (max N pages simultaneously)
+class Semaphore {
+  constructor(maxConcurrent = 5) {
+    this.maxConcurrent = maxConcurrent;
+    this.currentConcurrent = 0;
+    this.queue = [];
+  }
+
+  async acquire() {
+    return new Promise((resolve) => {
+      if (this.currentConcurrent < this.maxConcurrent) {
+        this.currentConcurrent++;
+        resolve();
+      } else {
+        this.queue.push(resolve);
+      }
+    });
+  }
+
+  release() {
+    this.currentConcurrent--;
+    if (this.queue.length > 0) {
+      const next = this.queue.shift();
+      this.currentConcurrent++;
+      next();
+    }
+  }
+
+  getStats() {
+    return {
+      maxConcurrent: this.maxConcurrent,
+      currentConcurrent: this.currentConcurrent,
+      queueLength: this.queue.length
+    };
+  }
+}
+
+module.exports = { Semaphore };
@@ -0,0 +1,313 @@
+// Logged-in TikTok sessions from imported cookies.
+//
+// Some data (follower / following lists, age-restricted profiles) is only served to a logged-in
+// browser. A session is a named set of cookies exported from a real browser:
+//   - files in SESSION_DIR (default ./data/sessions): <name>.json (array of cookies as exported by
+//     browser extensions / puppeteer, or { "cookies": [...] }) or <name>.txt (Netscape cookies.txt)
+//   - the SESSION_COOKIES secret (JSON, Netscape or a raw "name=value; name2=value2" header),
+//     available as session "default"
+// Pages that use a session get their own browser context with the cookies set before navigation.
+// After every use the cookies TikTok handed back are merged in and, for file sessions, written
+// back in the file's own format. A session whose sessionid is missing, expired or no longer
+// accepted by TikTok is marked expired and scrapes fail with SESSION_EXPIRED.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ScrapeError } = require('./errors');
+
+const DEFAULT_SESSION_DIR = path.join(__dirname, '..', 'data', 'sessions');
+const SESSION_FILE_FORMATS = { '.json': 'json', '.txt': 'netscape', '.cookies': 'netscape' };
+// Cookies that prove a login; without one of them TikTok treats the browser as logged out
+const AUTH_COOKIE_NAMES = ['sessionid', 'sessionid_ss'];
+const TIKTOK_COOKIE_URL = 'https://www.tiktok.com';
+
+const SAME_SITE = { strict: 'Strict', lax: 'Lax', none: 'None', no_restriction: 'None' };
+
+// normalizeCookie: any common cookie shape -> puppeteer CookieParam (expires in seconds, -1 = session)
+function normalizeCookie(cookie) {
+  if (!cookie || !cookie.name) return null;
+  const expires = cookie.expires !== undefined ? cookie.expires : cookie.expirationDate;
+  const normalized = {
+    name: String(cookie.name),
+    value: String(cookie.value === undefined ? '' : cookie.value),
+    domain: cookie.domain || '.tiktok.com',
+    path: cookie.path || '/',
+    expires: expires && Number(expires) > 0 ? Math.floor(Number(expires)) : -1,
+    httpOnly: !!cookie.httpOnly,
+    secure: cookie.secure !== undefined ? !!cookie.secure : true
+  };
+  const sameSite = SAME_SITE[String(cookie.sameSite || '').toLowerCase()];
+  if (sameSite) normalized.sameSite = sameSite;
+  return normalized;
+}
+
+function parseNetscapeCookies(text) {
+  const cookies = [];
+  for (const rawLine of text.split(/\r?\n/)) {
+    let line = rawLine.trim();
+    let httpOnly = false;
+    if (line.startsWith('#HttpOnly_')) {
+      httpOnly = true;
+      line = line.slice('#HttpOnly_'.length);
+    } else if (!line || line.startsWith('#')) {
+      continue;
+    }
+    const fields = line.split('\t');
+    if (fields.length < 7) continue;
+    const [domain, , cookiePath, secure, expires, name, ...value] = fields;
+    cookies.push(normalizeCookie({
+      domain,
+      path: cookiePath,
+      secure: secure.toUpperCase() === 'TRUE',
+      expires: Number(expires),
+      name,
+      value: value.join('\t'),
+      httpOnly
+    }));
+  }
+  return cookies;
+}
+
+// parseCookies: JSON, Netscape cookies.txt or a Cookie header -> { format, cookies }
+function parseCookies(text) {
+  const content = String(text || '').trim();
+  if (!content) return { format: 'json', cookies: [] };
+
+  if (content.startsWith('[') || content.startsWith('{')) {
+    const parsed = JSON.parse(content);
+    const list = Array.isArray(parsed) ? parsed : parsed.cookies;
+    if (!Array.isArray(list)) throw new Error('Cookie JSON must be an array or { "cookies": [...] }');
+    return { format: 'json', cookies: list.map(normalizeCookie).filter(Boolean) };
+  }
+  if (content.includes('\t')) {
+    return { format: 'netscape', cookies: parseNetscapeCookies(content) };
+  }
+  const cookies = content.split(';')
+    .map(part => part.trim())
+    .filter(part => part.includes('='))
+    .map(part => normalizeCookie({ name: part.slice(0, part.indexOf('=')).trim(), value: part.slice(part.indexOf('=') + 1).trim() }));
+  return { format: 'header', cookies };
+}
+
+function formatNetscapeCookies(cookies) {
+  const lines = ['# Netscape HTTP Cookie File', ''];
+  for (const cookie of cookies) {
+    lines.push([
+      `${cookie.httpOnly ? '#HttpOnly_' : ''}${cookie.domain}`,
+      cookie.domain.startsWith('.') ? 'TRUE' : 'FALSE',
+      cookie.path,
+      cookie.secure ? 'TRUE' : 'FALSE',
+      cookie.expires > 0 ? cookie.expires : 0,
+      cookie.name,
+      cookie.value
+    ].join('\t'));
+  }
+  return lines.join('\n') + '\n';
+}
+
+const cookieKey = cookie => `${cookie.name}|${cookie.domain}|${cookie.path}`;
+
+function isExpiredCookie(cookie, now = Date.now()) {
+  return cookie.expires > 0 && cookie.expires * 1000 <= now;
+}
+
+// sessionUserFromHydration: { uid, username } of the logged-in account, null when the page was
+// rendered for a logged-out visitor, undefined when the page carries no app context
+function sessionUserFromHydration(state) {
+  const scope = (state && state.universal && state.universal.__DEFAULT_SCOPE__) || {};
+  const context = scope['webapp.app-context'] ||
+    (state && state.sigi && state.sigi.AppContext && state.sigi.AppContext.appContext);
+  if (!context) return undefined;
+  const user = context.user;
+  return user && (user.uid || user.uniqueId) ? { uid: user.uid || null, username: user.uniqueId || null } : null;
+}
+
+class SessionStore {
+  constructor(options = {}) {
+    this.dir = path.resolve(options.dir || DEFAULT_SESSION_DIR);
+    this.secret = options.secret || null;
+    this.defaultSession = options.defaultSession || null;
+    this.logger = options.logger || console;
+    this.sessions = new Map();
+    this.load();
+  }
+
+  load() {
+    const previous = this.sessions;
+    this.sessions = new Map();
+
+    if (fs.existsSync(this.dir)) {
+      for (const file of fs.readdirSync(this.dir).sort()) {
+        const format = SESSION_FILE_FORMATS[path.extname(file).toLowerCase()];
+        if (!format) continue;
+        const name = path.basename(file, path.extname(file));
+        const fullPath = path.join(this.dir, file);
+        try {
+          const parsed = parseCookies(fs.readFileSync(fullPath, 'utf8'));
+          this.add(name, { source: 'file', file: fullPath, format: parsed.format, cookies: parsed.cookies });
+        } catch (err) {
+          this.logger.error(`Cannot load session ${file}: ${err.message}`);
+        }
+      }
+    }
+
+    if (this.secret) {
+      if (this.sessions.has('default')) this.logger.warn('⚠️ SESSION_COOKIES overrides the "default" session file');
+      try {
+        const parsed = parseCookies(this.secret);
+        this.add('default', { source: 'env', file: null, format: parsed.format, cookies: parsed.cookies });
+      } catch (err) {
+        this.logger.error(`Cannot parse SESSION_COOKIES: ${err.message}`);
+      }
+    }
+
+    // Usage stats survive a reload; the expired flag does not (new cookies get a new chance)
+    for (const [name, session] of this.sessions) {
+      const old = previous.get(name);
+      if (old) Object.assign(session, { lastUsedAt: old.lastUsedAt, uses: old.uses, account: old.account });
+    }
+    if (this.defaultSession && !this.sessions.has(this.defaultSession)) {
+      this.logger.warn(`⚠️ Default session "${this.defaultSession}" is not loaded`);
+    }
+    return this.names();
+  }
+
+  add(name, { source, file, format, cookies }) {
+    this.sessions.set(name, {
+      name,
+      source,
+      file,
+      format,
+      cookies,
+      status: 'active',
+      reason: null,
+      account: null,
+      uses: 0,
+      lastUsedAt: null,
+      refreshedAt: null,
+      expiredAt: null
+    });
+  }
+
+  names() {
+    return Array.from(this.sessions.keys());
+  }
+
+  has(name) {
+    return this.sessions.has(name);
+  }
+
+  authCookie(session) {
+    return session.cookies.find(cookie => AUTH_COOKIE_NAMES.includes(cookie.name) && cookie.value) || null;
+  }
+
+  // use: cookies of a usable session; SESSION_EXPIRED for expired / logged-out cookie sets
+  use(name) {
+    const session = this.sessions.get(name);
+    if (!session) throw new ScrapeError('INVALID_INPUT', `Unknown session "${name}"`);
+
+    if (session.status === 'active') {
+      const auth = this.authCookie(session);
+      if (!auth) this.markExpired(name, 'no sessionid cookie');
+      else if (isExpiredCookie(auth)) this.markExpired(name, `sessionid expired at ${new Date(auth.expires * 1000).toISOString()}`);
+    }
+    if (session.status === 'expired') {
+      throw new ScrapeError('SESSION_EXPIRED', `Session "${name}" has expired (${session.reason}); import fresh cookies`, { session: name });
+    }
+
+    session.uses++;
+    session.lastUsedAt = new Date().toISOString();
+    return session.cookies.filter(cookie => !isExpiredCookie(cookie));
+  }
+
+  markExpired(name, reason) {
+    const session = this.sessions.get(name);
+    if (!session || session.status === 'expired') return;
+    session.status = 'expired';
+    session.reason = reason;
+    session.expiredAt = new Date().toISOString();
+    this.logger.error(`🔑 Session "${name}" expired: ${reason}`);
+  }
+
+  setAccount(name, account) {
+    const session = this.sessions.get(name);
+    if (session && account) session.account = account;
+  }
+
+  // refresh: merge the cookies a page ended up with, drop expired ones and persist file sessions
+  async refresh(name, cookies) {
+    const session = this.sessions.get(name);
+    if (!session || session.status === 'expired' || !cookies || cookies.length === 0) return;
+
+    const merged = new Map(session.cookies.map(cookie => [cookieKey(cookie), cookie]));
+    for (const cookie of cookies.map(normalizeCookie).filter(Boolean)) merged.set(cookieKey(cookie), cookie);
+    session.cookies = Array.from(merged.values()).filter(cookie => !isExpiredCookie(cookie));
+    session.refreshedAt = new Date().toISOString();
+
+    if (session.source !== 'file') return;
+    // Writes of one session are chained so the file always ends with the latest merge
+    session.write = (session.write || Promise.resolve()).then(() => this.persist(session));
+    await session.write;
+  }
+
+  // persist: write-then-rename with a tmp name of its own, so writers (other stores on the same
+  // directory, a reload racing a refresh) never rename each other's half-written files
+  async persist(session) {
+    const content = session.format === 'netscape'
+      ? formatNetscapeCookies(session.cookies)
+      : JSON.stringify(session.cookies, null, 2);
+    const tmp = `${session.file}.${process.pid}.${crypto.randomUUID()}.tmp`;
+    try {
+      await fs.promises.writeFile(tmp, content, { mode: 0o600 });
+      await fs.promises.rename(tmp, session.file);
+    } catch (err) {
+      this.logger.error(`Cannot persist session "${session.name}": ${err.message}`);
+      await fs.promises.unlink(tmp).catch(() => {});
+    }
+  }
+
+  // describe: session overview without cookie values
+  describe() {
+    return this.names().map(name => {
+      const session = this.sessions.get(name);
+      const auth = this.authCookie(session);
+      return {
+        name,
+        source: session.source,
+        status: session.status,
+        reason: session.reason,
+        account: session.account,
+        cookies: session.cookies.length,
+        authExpiresAt: auth && auth.expires > 0 ? new Date(auth.expires * 1000).toISOString() : null,
+        uses: session.uses,
+        lastUsedAt: session.lastUsedAt,
+        refreshedAt: session.refreshedAt,
+        expiredAt: session.expiredAt,
+        default: name === this.defaultSession
+      };
+    });
+  }
+}
+
+// createSessionStore: SESSION_DIR, SESSION_COOKIES (secret) and SESSION_DEFAULT (session used
+// when a request names none)
+function createSessionStore(env = process.env, options = {}) {
+  return new SessionStore({
+    dir: env.SESSION_DIR,
+    secret: env.SESSION_COOKIES,
+    defaultSession: env.SESSION_DEFAULT,
+    ...options
+  });
+}
+
+module.exports = {
+  AUTH_COOKIE_NAMES,
+  TIKTOK_COOKIE_URL,
+  normalizeCookie,
+  parseCookies,
+  formatNetscapeCookies,
+  sessionUserFromHydration,
+  SessionStore,
+  createSessionStore
+};
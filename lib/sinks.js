@@ -0,0 +1,510 @@
+// Export sinks: durable destinations for scrape results.
+//
+// A sink receives the records of one successful result ({ type, params, scrapedAt, records }) where
+// every record carries its kind: profile, user (search hit), follow (follower / following entry),
+// video, comment or live. Sink types:
+//   - jsonl:  appends one JSON line per record ({ kind, scrapedAt, ...record })
+//   - csv:    appends rows with the kind's columns; writes the header into new files
+//   - sqlite: upserts into one table per kind, keyed by username / video id / comment id
+//   - webhook: POSTs the whole result as JSON, HMAC-signed, retried with backoff
+// File paths may contain {kind} (and {type}) so that one sink spreads kinds over several files,
+// which CSV needs when it receives more than one kind.
+//
+// Specs are objects ({ type, path | url, secret, ... }) or shorthand strings: "jsonl:data/out.jsonl",
+// "csv:data/{kind}.csv", "sqlite:data/tiktok.db", "https://example.com/hook", or a bare path whose
+// extension tells the type. The server only accepts sinks by name (SINKS / SINKS_FILE) so that HTTP
+// clients cannot write files or call URLs of their choosing; the CLI also takes ad-hoc specs.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { csvRow } = require('./output');
+const { backoffDelay } = require('./errors');
+
+const SINK_TYPES = ['jsonl', 'csv', 'sqlite', 'webhook'];
+
+// CSV columns and SQLite keys per record kind
+const RECORD_KINDS = {
+  profile: {
+    table: 'profiles',
+    key: ['username'],
+    // Parsed counts, not the page text ("1.2M"), so spreadsheets can sort and sum them
+    fields: ['username', 'displayName', 'stats.followers.count', 'stats.following.count', 'stats.likes.count', 'videoCount', 'verified', 'privateAccount', 'bio', 'avatar', 'id', 'secUid']
+  },
+  user: {
+    table: 'users',
+    key: ['username'],
+    fields: ['username', 'name', 'img', 'source']
+  },
+  follow: {
+    table: 'follows',
+    key: ['owner', 'type', 'username'],
+    fields: ['owner', 'type', 'username', 'nickname', 'verified', 'avatar', 'id', 'secUid']
+  },
+  video: {
+    table: 'videos',
+    key: ['id'],
+    fields: ['id', 'author', 'createdAt', 'stats.views', 'stats.likes', 'stats.comments', 'stats.shares', 'duration', 'caption', 'hashtags', 'url', 'cover']
+  },
+  comment: {
+    table: 'comments',
+    key: ['id'],
+    fields: ['videoId', 'id', 'parentId', 'username', 'displayName', 'likes', 'replyCount', 'timestamp', 'text']
+  },
+  live: {
+    table: 'lives',
+    key: ['username'],
+    fields: ['username', 'title', 'viewers', 'url', 'cover']
+  }
+};
+
+// Usernames are case-insensitive on TikTok, so they are stored lower-cased as keys
+const CASE_INSENSITIVE_KEYS = ['username', 'owner'];
+
+function searchKind(record) {
+  if (record.type === 'video') return 'video';
+  if (record.type === 'live') return 'live';
+  return 'user';
+}
+
+// sinkRecords: envelope of a data type (the cache / job type) -> [{ kind, record }]; [] for failures
+function sinkRecords(type, envelope, params = {}) {
+  if (!envelope || !envelope.success) return [];
+  const data = envelope.data || [];
+  const tag = kind => record => ({ kind, record });
+
+  switch (type) {
+    case 'profile':
+      // Single profile, or a batch whose items carry { success, user }
+      if (envelope.user) return [{ kind: 'profile', record: envelope.user }];
+      return data.filter(item => item.success && item.user).map(item => ({ kind: 'profile', record: item.user }));
+    case 'search':
+      return data.map(record => ({ kind: searchKind(record), record }));
+    case 'videos':
+    case 'hashtag':
+    case 'music':
+      return data.map(tag('video'));
+    case 'video':
+      return envelope.video ? [{ kind: 'video', record: envelope.video }] : [];
+    case 'comments':
+      return data.map(record => ({ kind: 'comment', record: { videoId: envelope.videoId || null, ...record } }));
+    case 'followers':
+    case 'following':
+      return data.map(record => ({ kind: 'follow', record: { owner: params.username || null, type, ...record } }));
+    default:
+      return [];
+  }
+}
+
+// parseSinkSpec: shorthand string or object -> normalized spec
+function parseSinkSpec(spec) {
+  if (spec && typeof spec === 'object') {
+    const type = String(spec.type || '').toLowerCase();
+    if (!SINK_TYPES.includes(type)) throw new Error(`Unknown sink type "${spec.type}" (expected ${SINK_TYPES.join(', ')})`);
+    if (type === 'webhook' ? !spec.url : !spec.path) throw new Error(`Sink of type ${type} needs ${type === 'webhook' ? 'a url' : 'a path'}`);
+    return { ...spec, type };
+  }
+
+  const text = String(spec || '').trim();
+  if (!text) throw new Error('Empty sink spec');
+  if (/^https?:\/\//i.test(text)) return { type: 'webhook', url: text };
+  const prefixed = text.match(/^([a-z]+):(.+)$/i);
+  if (prefixed && SINK_TYPES.includes(prefixed[1].toLowerCase())) {
+    return parseSinkSpec({ type: prefixed[1].toLowerCase(), [prefixed[1].toLowerCase() === 'webhook' ? 'url' : 'path']: prefixed[2] });
+  }
+  const ext = path.extname(text.replace(/\{[a-z]+\}/g, '')).toLowerCase();
+  const byExtension = { '.jsonl': 'jsonl', '.ndjson': 'jsonl', '.csv': 'csv', '.db': 'sqlite', '.sqlite': 'sqlite', '.sqlite3': 'sqlite' }[ext];
+  if (!byExtension) throw new Error(`Cannot tell the sink type of "${text}" (use jsonl:, csv:, sqlite: or an http(s) URL)`);
+  return { type: byExtension, path: text };
+}
+
+// File path of a batch: {kind} and {type} placeholders filled in
+function expandPath(template, vars) {
+  return path.resolve(template.replace(/\{(kind|type)\}/g, (match, name) => vars[name] || name));
+}
+
+// Records grouped by their expanded file path, keeping order
+function groupByPath(template, batch) {
+  const groups = new Map();
+  for (const item of batch.records) {
+    const file = expandPath(template, { kind: item.kind, type: batch.type });
+    if (!groups.has(file)) groups.set(file, []);
+    groups.get(file).push(item);
+  }
+  return groups;
+}
+
+// Appends of one file sink run one after another, so concurrent results never interleave lines
+class FileSink {
+  constructor(spec) {
+    this.spec = spec;
+    this.queue = Promise.resolve();
+  }
+
+  write(batch) {
+    const run = this.queue.then(() => this.append(batch));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async append(batch) {
+    let written = 0;
+    for (const [file, items] of groupByPath(this.spec.path, batch)) {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, await this.format(file, items, batch));
+      written += items.length;
+    }
+    return { written };
+  }
+
+  async close() {
+    await this.queue;
+  }
+}
+
+class JsonlSink extends FileSink {
+  async format(file, items, batch) {
+    return items.map(({ kind, record }) => JSON.stringify({ kind, scrapedAt: batch.scrapedAt, ...record }) + '\n').join('');
+  }
+}
+
+class CsvSink extends FileSink {
+  // Columns: scrapedAt plus the kind's fields; a file keeps the columns of the header it was created with
+  async format(file, items, batch) {
+    const kinds = new Set(items.map(item => item.kind));
+    if (kinds.size > 1) {
+      throw new Error(`CSV sink ${this.spec.path} received ${Array.from(kinds).join(', ')} records; put {kind} in the path`);
+    }
+    const fields = ['scrapedAt', ...RECORD_KINDS[items[0].kind].fields];
+    const header = csvRow(null, fields);
+
+    let existing = null;
+    try {
+      const fd = await fs.promises.open(file, 'r');
+      try {
+        const { buffer, bytesRead } = await fd.read(Buffer.alloc(4096), 0, 4096, 0);
+        existing = buffer.slice(0, bytesRead).toString('utf8').split(/\r?\n/)[0];
+      } finally {
+        await fd.close();
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    if (existing && existing !== header) {
+      throw new Error(`CSV file ${file} has different columns (${existing}); use a new file or {kind} in the path`);
+    }
+
+    const rows = items.map(({ record }) => csvRow({ scrapedAt: batch.scrapedAt, ...record }, fields));
+    return (existing ? '' : header + '\n') + rows.join('\n') + '\n';
+  }
+}
+
+// SQLite upserts through better-sqlite3 (optional dependency, loaded on first use). Every table
+// stores the key column(s), the full record as JSON and when it was first / last scraped
+class SqliteSink {
+  constructor(spec) {
+    this.spec = spec;
+    this.db = null;
+    this.statements = new Map();
+  }
+
+  open() {
+    if (this.db) return this.db;
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (err) {
+      throw new Error('SQLite sinks need the better-sqlite3 package (npm install better-sqlite3)');
+    }
+    const file = path.resolve(this.spec.path);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    this.db = new Database(file);
+    this.db.pragma('journal_mode = WAL');
+    for (const { table, key } of Object.values(RECORD_KINDS)) {
+      this.db.exec(`CREATE TABLE IF NOT EXISTS ${table} (
+        ${key.map(column => `${column} TEXT NOT NULL`).join(',\n        ')},
+        data TEXT NOT NULL,
+        first_scraped_at TEXT NOT NULL,
+        scraped_at TEXT NOT NULL,
+        PRIMARY KEY (${key.join(', ')})
+      )`);
+    }
+    return this.db;
+  }
+
+  upsertStatement(kind) {
+    if (!this.statements.has(kind)) {
+      const { table, key } = RECORD_KINDS[kind];
+      this.statements.set(kind, this.db.prepare(`
+        INSERT INTO ${table} (${key.join(', ')}, data, first_scraped_at, scraped_at)
+        VALUES (${key.map(() => '?').join(', ')}, ?, ?, ?)
+        ON CONFLICT (${key.join(', ')}) DO UPDATE SET data = excluded.data, scraped_at = excluded.scraped_at
+      `));
+    }
+    return this.statements.get(kind);
+  }
+
+  // Records without their key (e.g. a DOM comment without id) cannot be upserted and are skipped
+  async write(batch) {
+    const db = this.open();
+    let written = 0;
+    let skipped = 0;
+    db.transaction(() => {
+      for (const { kind, record } of batch.records) {
+        const keys = RECORD_KINDS[kind].key.map(column => {
+          const value = record[column];
+          if (value === null || value === undefined || value === '') return null;
+          return CASE_INSENSITIVE_KEYS.includes(column) ? String(value).toLowerCase() : String(value);
+        });
+        if (keys.includes(null)) {
+          skipped++;
+          continue;
+        }
+        this.upsertStatement(kind).run(...keys, JSON.stringify(record), batch.scrapedAt, batch.scrapedAt);
+        written++;
+      }
+    })();
+    return { written, skipped };
+  }
+
+  async close() {
+    if (this.db) this.db.close();
+    this.db = null;
+    this.statements.clear();
+  }
+}
+
+// signPayload: hex HMAC-SHA256 of "<timestamp>.<body>"; receivers recompute it with the shared
+// secret and reject stale timestamps to stop replays
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Status codes worth another attempt; other 4xx mean the receiver rejected the payload
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+// postSigned: POST a JSON body with signature headers, retrying network errors, timeouts, 408, 429
+// and 5xx with exponential backoff. Every attempt of one delivery carries the same delivery id
+async function postSigned(url, payload, options = {}) {
+  const body = JSON.stringify(payload);
+  const maxAttempts = Math.max(options.maxAttempts || 5, 1);
+  const timeout = options.timeout || 10000;
+  const deliveryId = options.deliveryId || crypto.randomUUID();
+  const logger = options.logger || console;
+
+  for (let attempt = 1; ; attempt++) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'tiktok-scraper',
+      'X-Scraper-Event': options.event || 'scrape.result',
+      'X-Scraper-Delivery': deliveryId,
+      'X-Scraper-Timestamp': timestamp,
+      ...(options.headers || {})
+    };
+    if (options.secret) headers['X-Scraper-Signature'] = `sha256=${signPayload(options.secret, timestamp, body)}`;
+
+    let error;
+    try {
+      const response = await fetch(url, { method: 'POST', headers, body, signal: AbortSignal.timeout(timeout) });
+      if (response.ok) return { status: response.status, attempts: attempt, deliveryId };
+      error = new Error(`HTTP ${response.status}`);
+      error.retryable = isRetryableStatus(response.status);
+    } catch (err) {
+      error = err;
+      error.retryable = true;
+    }
+
+    if (!error.retryable || attempt >= maxAttempts) {
+      error.message = `Webhook ${url} failed after ${attempt} attempt(s): ${error.message}`;
+      error.attempts = attempt;
+      throw error;
+    }
+    const wait = backoffDelay(attempt - 1, { baseDelay: options.baseDelay || 1000, maxDelay: options.maxDelay || 30000 });
+    logger.warn(`⚠️ Webhook ${url} attempt ${attempt} failed (${error.message}), retrying in ${wait}ms`);
+    await new Promise(resolve => setTimeout(resolve, wait));
+  }
+}
+
+class WebhookSink {
+  constructor(spec, options = {}) {
+    this.spec = spec;
+    this.logger = options.logger || console;
+  }
+
+  // One POST per result: { event, type, params, scrapedAt, count, records: [{ kind, ...record }] }
+  async write(batch) {
+    const payload = {
+      event: 'scrape.result',
+      type: batch.type,
+      params: batch.params,
+      scrapedAt: batch.scrapedAt,
+      count: batch.records.length,
+      records: batch.records.map(({ kind, record }) => ({ kind, ...record }))
+    };
+    const result = await postSigned(this.spec.url, payload, {
+      secret: this.spec.secret,
+      headers: this.spec.headers,
+      maxAttempts: this.spec.retries !== undefined ? parseInt(this.spec.retries) + 1 : undefined,
+      timeout: this.spec.timeout,
+      logger: this.logger
+    });
+    return { written: batch.records.length, attempts: result.attempts };
+  }
+
+  async close() {}
+}
+
+function createSink(spec, options = {}) {
+  const parsed = parseSinkSpec(spec);
+  if (parsed.type === 'jsonl') return new JsonlSink(parsed);
+  if (parsed.type === 'csv') return new CsvSink(parsed);
+  if (parsed.type === 'sqlite') return new SqliteSink(parsed);
+  return new WebhookSink(parsed, options);
+}
+
+// Where a sink writes, for logs and listings (no secrets)
+function describeSpec(spec) {
+  return spec.type === 'webhook'
+    ? { type: spec.type, url: spec.url.replace(/\/\/[^@/]*@/, '//***@'), signed: !!spec.secret }
+    : { type: spec.type, path: spec.path };
+}
+
+// parseSinkNames: "a,b" | ['a', 'b'] -> ['a', 'b']
+function parseSinkNames(input) {
+  return [].concat(input || [])
+    .flatMap(value => String(value).split(','))
+    .map(name => name.trim())
+    .filter(Boolean);
+}
+
+class SinkRegistry {
+  // specs: { name: spec }; defaults: sink names used when a request names none
+  constructor(specs = {}, options = {}) {
+    this.logger = options.logger || console;
+    this.webhookSecret = options.webhookSecret || null;
+    this.sinks = new Map();
+    this.pending = new Set();
+    for (const [name, spec] of Object.entries(specs)) this.add(name, spec);
+    this.defaults = parseSinkNames(options.defaults);
+    for (const name of this.defaults) {
+      if (!this.sinks.has(name)) throw new Error(`Default sink "${name}" is not configured`);
+    }
+  }
+
+  // add: register a sink; webhook specs without a secret get the registry's (SINK_WEBHOOK_SECRET)
+  add(name, spec) {
+    const parsed = parseSinkSpec(spec);
+    if (parsed.type === 'webhook' && !parsed.secret && this.webhookSecret) parsed.secret = this.webhookSecret;
+    this.sinks.set(name, { name, spec: parsed, sink: createSink(parsed, { logger: this.logger }) });
+  }
+
+  names() {
+    return Array.from(this.sinks.keys());
+  }
+
+  has(name) {
+    return this.sinks.has(name);
+  }
+
+  // resolve: requested names (or the defaults) -> registered entries
+  resolve(names) {
+    const requested = parseSinkNames(names);
+    return (requested.length ? requested : this.defaults).map(name => {
+      const entry = this.sinks.get(name);
+      if (!entry) throw new Error(`Unknown sink "${name}"`);
+      return entry;
+    });
+  }
+
+  // deliver: write a result's records to the named sinks. Sink failures never fail the scrape:
+  // the report says per sink what was written or why not
+  async deliver(names, { type, params = {}, envelope, records, scrapedAt }) {
+    const entries = this.resolve(names);
+    if (entries.length === 0) return [];
+    const batch = {
+      type,
+      params,
+      scrapedAt: scrapedAt || new Date().toISOString(),
+      records: records || sinkRecords(type, envelope, params)
+    };
+    if (batch.records.length === 0) return entries.map(({ name }) => ({ sink: name, success: true, written: 0 }));
+
+    return Promise.all(entries.map(async ({ name, spec, sink }) => {
+      try {
+        const result = await sink.write(batch);
+        return { sink: name, success: true, ...result };
+      } catch (err) {
+        this.logger.error(`❌ Sink "${name}" (${spec.type}) failed: ${err.message}`);
+        return { sink: name, success: false, written: 0, error: err.message };
+      }
+    }));
+  }
+
+  // enqueue: deliver in the background so callers (HTTP responses, watch runs) never wait on
+  // webhook retries. Returns the names the result was queued for; failures only reach the log
+  enqueue(names, input) {
+    const entries = this.resolve(names);
+    if (entries.length === 0) return [];
+    const delivery = this.deliver(names, input)
+      .catch(err => this.logger.error(`❌ Sink delivery failed: ${err.message}`))
+      .finally(() => this.pending.delete(delivery));
+    this.pending.add(delivery);
+    return entries.map(({ name }) => name);
+  }
+
+  describe() {
+    return this.names().map(name => ({
+      name,
+      ...describeSpec(this.sinks.get(name).spec),
+      default: this.defaults.includes(name)
+    }));
+  }
+
+  // close: let queued deliveries finish before the sinks close their files / databases
+  async close() {
+    await Promise.all(Array.from(this.pending));
+    await Promise.all(Array.from(this.sinks.values()).map(({ sink }) => sink.close()));
+  }
+}
+
+// Sink specs from SINKS (JSON object of name -> spec, or "name=spec,name2=spec2") and SINKS_FILE (JSON)
+function sinkSpecsFromEnv(env = process.env) {
+  const specs = {};
+  if (env.SINKS_FILE) Object.assign(specs, JSON.parse(fs.readFileSync(env.SINKS_FILE, 'utf8')));
+  const inline = String(env.SINKS || '').trim();
+  if (inline.startsWith('{')) {
+    Object.assign(specs, JSON.parse(inline));
+  } else if (inline) {
+    for (const entry of inline.split(',').map(part => part.trim()).filter(Boolean)) {
+      const index = entry.indexOf('=');
+      if (index <= 0) throw new Error(`Invalid SINKS entry "${entry}" (expected name=spec)`);
+      specs[entry.slice(0, index).trim()] = entry.slice(index + 1).trim();
+    }
+  }
+  return specs;
+}
+
+// createSinkRegistry: sinks from SINKS / SINKS_FILE, SINK_DEFAULT and SINK_WEBHOOK_SECRET
+function createSinkRegistry(env = process.env, options = {}) {
+  return new SinkRegistry(sinkSpecsFromEnv(env), {
+    defaults: env.SINK_DEFAULT,
+    webhookSecret: env.SINK_WEBHOOK_SECRET,
+    ...options
+  });
+}
+
+module.exports = {
+  SINK_TYPES,
+  RECORD_KINDS,
+  sinkRecords,
+  parseSinkSpec,
+  parseSinkNames,
+  signPayload,
+  postSigned,
+  createSink,
+  SinkRegistry,
+  createSinkRegistry
+};
@@ -0,0 +1,164 @@
+// Local HTTP CONNECT -> SOCKS5 relay.
+//
+// Chromium speaks SOCKS5 but cannot send SOCKS credentials, so authenticated SOCKS5 proxies are
+// fronted by this relay: the browser talks plain HTTP CONNECT to 127.0.0.1:<port> and the relay
+// opens the tunnel through the upstream proxy with username/password auth (RFC 1928 / RFC 1929).
+
+const http = require('http');
+const net = require('net');
+
+const SOCKS_REPLIES = {
+  1: 'general failure',
+  2: 'connection not allowed by ruleset',
+  3: 'network unreachable',
+  4: 'host unreachable',
+  5: 'connection refused',
+  6: 'TTL expired',
+  7: 'command not supported',
+  8: 'address type not supported'
+};
+
+// Buffered reads of exact byte counts from a socket
+function createReader(socket) {
+  let buffer = Buffer.alloc(0);
+  let pending = null;
+
+  const flush = () => {
+    if (pending && buffer.length >= pending.size) {
+      const chunk = buffer.subarray(0, pending.size);
+      buffer = buffer.subarray(pending.size);
+      const { resolve } = pending;
+      pending = null;
+      resolve(chunk);
+    }
+  };
+  const onData = (data) => {
+    buffer = Buffer.concat([buffer, data]);
+    flush();
+  };
+  const onEnd = () => {
+    if (pending) pending.reject(new Error('SOCKS proxy closed the connection'));
+  };
+  socket.on('data', onData);
+  socket.on('end', onEnd);
+  socket.on('error', onEnd);
+
+  return {
+    read(size) {
+      return new Promise((resolve, reject) => {
+        pending = { size, resolve, reject };
+        flush();
+      });
+    },
+    // Hand the socket over to piping: stop buffering, return leftover bytes
+    release() {
+      socket.off('data', onData);
+      socket.off('end', onEnd);
+      socket.off('error', onEnd);
+      return buffer;
+    }
+  };
+}
+
+// socks5Connect: open a tunnel to host:port through the upstream SOCKS5 proxy
+async function socks5Connect(proxy, host, port, timeout = 15000) {
+  const socket = net.connect(proxy.port, proxy.host);
+  socket.setTimeout(timeout, () => socket.destroy(new Error('SOCKS proxy timeout')));
+  await new Promise((resolve, reject) => {
+    socket.once('connect', resolve);
+    socket.once('error', reject);
+  });
+  const reader = createReader(socket);
+
+  try {
+    const withAuth = !!proxy.username;
+    socket.write(Buffer.from(withAuth ? [5, 2, 0, 2] : [5, 1, 0]));
+    const [version, method] = await reader.read(2);
+    if (version !== 5) throw new Error('Upstream is not a SOCKS5 proxy');
+
+    if (method === 2) {
+      const user = Buffer.from(proxy.username || '');
+      const pass = Buffer.from(proxy.password || '');
+      socket.write(Buffer.concat([Buffer.from([1, user.length]), user, Buffer.from([pass.length]), pass]));
+      const [, status] = await reader.read(2);
+      if (status !== 0) throw new Error('SOCKS proxy rejected the credentials');
+    } else if (method !== 0) {
+      throw new Error('SOCKS proxy offered no supported auth method');
+    }
+
+    const hostBytes = Buffer.from(host);
+    socket.write(Buffer.concat([
+      Buffer.from([5, 1, 0, 3, hostBytes.length]),
+      hostBytes,
+      Buffer.from([(port >> 8) & 0xff, port & 0xff])
+    ]));
+    const [, reply, , addressType] = await reader.read(4);
+    if (reply !== 0) throw new Error(`SOCKS connect failed: ${SOCKS_REPLIES[reply] || `code ${reply}`}`);
+    const addressLength = addressType === 1 ? 4 : addressType === 4 ? 16 : (await reader.read(1))[0];
+    await reader.read(addressLength + 2);
+  } catch (err) {
+    socket.destroy();
+    throw err;
+  }
+
+  socket.setTimeout(0);
+  return { socket, leftover: reader.release() };
+}
+
+class SocksRelay {
+  constructor(proxy, options = {}) {
+    this.proxy = proxy; // { host, port, username, password }
+    this.logger = options.logger || console;
+    this.server = null;
+    this.url = null;
+  }
+
+  async start() {
+    if (this.url) return this.url;
+
+    this.server = http.createServer((req, res) => {
+      // TikTok is HTTPS-only, the browser only ever needs CONNECT tunnels
+      res.writeHead(501, { 'Content-Type': 'text/plain' });
+      res.end('Only CONNECT is supported by the SOCKS relay');
+    });
+
+    this.server.on('connect', async (req, clientSocket, head) => {
+      const [host, portText] = req.url.split(':');
+      clientSocket.on('error', () => {});
+      try {
+        const { socket, leftover } = await socks5Connect(this.proxy, host, parseInt(portText) || 443);
+        clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+        if (leftover.length) clientSocket.write(leftover);
+        if (head && head.length) socket.write(head);
+        socket.on('error', () => clientSocket.destroy());
+        clientSocket.on('error', () => socket.destroy());
+        socket.pipe(clientSocket);
+        clientSocket.pipe(socket);
+      } catch (err) {
+        this.logger.error(`SOCKS relay to ${req.url} failed: ${err.message}`);
+        clientSocket.end('HTTP/1.1 502 Bad Gateway\r\n\r\n');
+      }
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(0, '127.0.0.1', resolve);
+    });
+    // Never keep the process alive just for the relay
+    this.server.unref();
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this.url;
+  }
+
+  async close() {
+    if (!this.server) return;
+    await new Promise(resolve => this.server.close(() => resolve()));
+    this.server = null;
+    this.url = null;
+  }
+}
+
+module.exports = {
+  socks5Connect,
+  SocksRelay
+};
@@ -0,0 +1,320 @@
+// Video record normalization shared by every scraper that returns videos.
+// Handles the web item struct (camelCase, from hydration JSON) and the app API "aweme" shape (snake_case).
+
+const { countOrNull } = require('./counts');
+
+const HASHTAG_PATTERN = /#([\p{L}\p{N}_]+)/gu;
+const MENTION_PATTERN = /(?:^|[^\w])@([A-Za-z0-9_.]+)/g;
+
+function extractHashtags(text) {
+  if (!text) return [];
+  return Array.from(new Set(Array.from(String(text).matchAll(HASHTAG_PATTERN), match => match[1])));
+}
+
+function extractMentions(text) {
+  if (!text) return [];
+  return Array.from(new Set(Array.from(String(text).matchAll(MENTION_PATTERN), match => match[1].replace(/\.$/, ''))));
+}
+
+// TikTok ids embed the creation time in their upper 32 bits
+function createTimeFromVideoId(id) {
+  if (!id || !/^\d{15,}$/.test(String(id))) return null;
+  try {
+    return Number(BigInt(String(id)) >> 32n);
+  } catch (err) {
+    return null;
+  }
+}
+
+function videoIdFromUrl(url) {
+  const match = String(url || '').match(/\/video\/(\d+)/);
+  return match ? match[1] : null;
+}
+
+function videoUrl(username, id) {
+  return `https://www.tiktok.com/@${username || '_'}/video/${id}`;
+}
+
+// parseVideoInput: numeric id, canonical URL or share link (vm./vt.tiktok.com) -> { id, url }
+// Share links carry no id; the id is read from the page after TikTok's redirect
+function parseVideoInput(input) {
+  const value = String(input || '').trim();
+  if (!value) return null;
+  if (/^\d{10,}$/.test(value)) {
+    return { id: value, url: `https://www.tiktok.com/@/video/${value}` };
+  }
+  if (/^https?:\/\/([a-z0-9-]+\.)*tiktok\.com\//i.test(value)) {
+    return { id: videoIdFromUrl(value), url: value };
+  }
+  return null;
+}
+
+// parseSince: ISO date, unix seconds or unix milliseconds -> unix seconds (null when absent/invalid)
+function parseSince(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (/^\d+$/.test(String(value))) {
+    const num = Number(value);
+    return num > 1e12 ? Math.floor(num / 1000) : num;
+  }
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : Math.floor(time / 1000);
+}
+
+function firstUrl(value) {
+  if (!value) return '';
+  if (typeof value === 'string') return value;
+  return (value.url_list && value.url_list[0]) || '';
+}
+
+// normalizeVideoItem: web item struct / aweme -> common video record
+function normalizeVideoItem(item, fallbackUsername) {
+  if (!item) return null;
+  const id = String(item.id || item.aweme_id || '');
+  if (!id) return null;
+
+  const video = item.video || {};
+  const stats = item.stats || {};
+  const statsV2 = item.statsV2 || {};
+  const statistics = item.statistics || {};
+  const author = item.author || {};
+  const username = (typeof author === 'string' ? author : author.uniqueId || author.unique_id) || fallbackUsername || '';
+  const caption = item.desc || '';
+
+  const hashtags = new Set(extractHashtags(caption));
+  (item.challenges || item.cha_list || []).forEach(ch => {
+    const title = ch.title || ch.cha_name;
+    if (title) hashtags.add(title);
+  });
+  (item.textExtra || item.text_extra || []).forEach(extra => {
+    const name = extra.hashtagName || extra.hashtag_name;
+    if (name) hashtags.add(name);
+  });
+
+  const createTime = countOrNull(item.createTime, item.create_time) || createTimeFromVideoId(id);
+  // Web structs give seconds, the aweme API gives milliseconds
+  let duration = countOrNull(video.duration);
+  if (duration !== null && item.aweme_id && duration > 1000) duration = Math.round(duration / 1000);
+
+  return {
+    id,
+    url: videoUrl(username, id),
+    author: username,
+    caption,
+    hashtags: Array.from(hashtags),
+    stats: {
+      views: countOrNull(statsV2.playCount, stats.playCount, statistics.play_count),
+      likes: countOrNull(statsV2.diggCount, stats.diggCount, statistics.digg_count),
+      comments: countOrNull(statsV2.commentCount, stats.commentCount, statistics.comment_count),
+      shares: countOrNull(statsV2.shareCount, stats.shareCount, statistics.share_count)
+    },
+    createTime,
+    createdAt: createTime ? new Date(createTime * 1000).toISOString() : null,
+    duration,
+    cover: firstUrl(video.cover) || firstUrl(video.originCover) || firstUrl(video.origin_cover) || '',
+    pinned: !!(item.isPinnedItem || item.is_top)
+  };
+}
+
+// normalizeVideoTile: raw grid tile read from the DOM -> common video record (stats mostly unknown)
+function normalizeVideoTile(tile, fallbackUsername) {
+  const id = tile.id || videoIdFromUrl(tile.href);
+  if (!id) return null;
+  const usernameMatch = String(tile.href || '').match(/\/@([^\/\?]+)/);
+  const username = usernameMatch ? usernameMatch[1] : fallbackUsername;
+  const createTime = createTimeFromVideoId(id);
+
+  return {
+    id,
+    url: videoUrl(username, id),
+    author: username || '',
+    caption: tile.caption || '',
+    hashtags: extractHashtags(tile.caption),
+    stats: {
+      views: countOrNull(tile.views),
+      likes: countOrNull(tile.likes),
+      comments: null,
+      shares: null
+    },
+    createTime,
+    createdAt: createTime ? new Date(createTime * 1000).toISOString() : null,
+    duration: null,
+    cover: tile.cover || '',
+    pinned: !!tile.pinned
+  };
+}
+
+// mergeVideoRecords: fill the gaps of a record with another record of the same video
+function mergeVideoRecords(primary, secondary) {
+  if (!primary) return secondary;
+  if (!secondary) return primary;
+  const merged = { ...secondary, ...primary, stats: { ...primary.stats } };
+  for (const [key, value] of Object.entries(secondary.stats || {})) {
+    if (merged.stats[key] === null || merged.stats[key] === undefined) merged.stats[key] = value;
+  }
+  for (const key of ['caption', 'cover', 'duration', 'createTime', 'createdAt']) {
+    if (!merged[key] && secondary[key]) merged[key] = secondary[key];
+  }
+  if (!merged.hashtags.length) merged.hashtags = secondary.hashtags || [];
+  merged.pinned = !!(primary.pinned || secondary.pinned);
+  return merged;
+}
+
+function normalizeMusic(music) {
+  if (!music) return null;
+  return {
+    id: String(music.id || music.mid || ''),
+    title: music.title || '',
+    author: music.authorName || music.author || '',
+    original: !!(music.original || music.is_original),
+    duration: countOrNull(music.duration),
+    cover: music.coverLarge || music.coverMedium || music.coverThumb || firstUrl(music.cover_large) || firstUrl(music.cover_thumb) || '',
+    playUrl: typeof music.playUrl === 'string' ? music.playUrl : firstUrl(music.play_url)
+  };
+}
+
+// normalizeVideoDetail: full record for the single-video endpoint (author, mentions, music, every cover)
+function normalizeVideoDetail(item) {
+  const base = normalizeVideoItem(item);
+  if (!base) return null;
+
+  const video = item.video || {};
+  const author = typeof item.author === 'object' && item.author ? item.author : {};
+  const mentions = new Set(extractMentions(base.caption));
+  (item.textExtra || item.text_extra || []).forEach(extra => {
+    const name = extra.userUniqueId || extra.user_unique_id;
+    if (name) mentions.add(name);
+  });
+
+  return {
+    ...base,
+    author: {
+      id: author.id || author.uid || '',
+      username: base.author,
+      displayName: author.nickname || '',
+      avatar: author.avatarLarger || author.avatarMedium || author.avatarThumb || firstUrl(author.avatar_thumb) || '',
+      verified: !!author.verified
+    },
+    mentions: Array.from(mentions),
+    music: normalizeMusic(item.music),
+    covers: {
+      cover: firstUrl(video.cover) || '',
+      originCover: firstUrl(video.originCover) || firstUrl(video.origin_cover) || '',
+      dynamicCover: firstUrl(video.dynamicCover) || firstUrl(video.dynamic_cover) || ''
+    }
+  };
+}
+
+// normalizeVideoDetailFromDom: fields read from a rendered video page -> same shape as normalizeVideoDetail
+function normalizeVideoDetailFromDom(raw, id) {
+  if (!raw || !id) return null;
+  const username = String(raw.author || '').trim().replace(/^@/, '');
+  const createTime = createTimeFromVideoId(id);
+  const caption = raw.caption || '';
+
+  return {
+    id,
+    url: videoUrl(username, id),
+    author: username ? {
+      id: '',
+      username,
+      displayName: raw.authorName || '',
+      avatar: raw.authorAvatar || '',
+      verified: false
+    } : null,
+    caption,
+    hashtags: extractHashtags(caption),
+    mentions: extractMentions(caption),
+    music: raw.music ? {
+      id: (String(raw.musicHref || '').match(/-(\d+)(?:\?|$)/) || [])[1] || '',
+      title: raw.music,
+      author: '',
+      original: false,
+      duration: null,
+      cover: '',
+      playUrl: ''
+    } : null,
+    stats: {
+      views: null,
+      likes: countOrNull(raw.likes),
+      comments: countOrNull(raw.comments),
+      shares: countOrNull(raw.shares)
+    },
+    createTime,
+    createdAt: createTime ? new Date(createTime * 1000).toISOString() : null,
+    duration: null,
+    cover: raw.cover || '',
+    covers: { cover: raw.cover || '', originCover: '', dynamicCover: '' },
+    pinned: false
+  };
+}
+
+// extractVideoDetailFromHydration: the item struct of a video page, or null
+function extractVideoDetailFromHydration(state, id) {
+  const scope = (state && state.universal && state.universal.__DEFAULT_SCOPE__) || {};
+  const detail = scope['webapp.video-detail'];
+  if (detail && detail.itemInfo && detail.itemInfo.itemStruct) {
+    return normalizeVideoDetail(detail.itemInfo.itemStruct);
+  }
+
+  const itemModule = state && state.sigi && state.sigi.ItemModule;
+  if (itemModule) {
+    const item = (id && itemModule[id]) || Object.values(itemModule)[0];
+    if (item) {
+      // SIGI items reference the author by username only
+      const users = (state.sigi.UserModule && state.sigi.UserModule.users) || {};
+      const author = typeof item.author === 'string' && users[item.author] ? users[item.author] : item.author;
+      return normalizeVideoDetail({ ...item, author });
+    }
+  }
+
+  return null;
+}
+
+// Depth-first walk collecting anything that looks like a video item
+function collectVideoItems(node, out, depth = 0) {
+  if (!node || typeof node !== 'object' || depth > 12) return;
+  if (Array.isArray(node)) {
+    node.forEach(child => collectVideoItems(child, out, depth + 1));
+    return;
+  }
+  if ((node.id || node.aweme_id) && node.video && typeof node.video === 'object' && node.desc !== undefined) {
+    out.push(node);
+    return;
+  }
+  for (const value of Object.values(node)) {
+    collectVideoItems(value, out, depth + 1);
+  }
+}
+
+// extractVideosFromHydration: every video item in the hydration blobs (SIGI ItemModule, universal scope)
+function extractVideosFromHydration(state, fallbackUsername) {
+  const items = [];
+  if (state && state.sigi && state.sigi.ItemModule) {
+    collectVideoItems(Object.values(state.sigi.ItemModule), items);
+  }
+  if (state && state.universal) {
+    collectVideoItems(state.universal.__DEFAULT_SCOPE__ || state.universal, items);
+  }
+  const seen = new Set();
+  return items
+    .map(item => normalizeVideoItem(item, fallbackUsername))
+    .filter(video => video && !seen.has(video.id) && seen.add(video.id));
+}
+
+module.exports = {
+  extractHashtags,
+  extractMentions,
+  createTimeFromVideoId,
+  videoIdFromUrl,
+  videoUrl,
+  parseVideoInput,
+  parseSince,
+  normalizeVideoItem,
+  normalizeVideoTile,
+  mergeVideoRecords,
+  normalizeMusic,
+  normalizeVideoDetail,
+  normalizeVideoDetailFromDom,
+  extractVideoDetailFromHydration,
+  extractVideosFromHydration
+};
@@ -0,0 +1,218 @@
+// Storage backends for the watch list: watched usernames and their timestamped profile snapshots.
+// Both stores share one async interface so the scheduler does not care where data lives; pick one
+// with WATCH_STORE=memory|file. Usernames are stored lower-cased (TikTok handles are case-insensitive).
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_WATCH_DIR = path.join(__dirname, '..', 'data', 'watch');
+
+// Snapshots kept per username; older ones are dropped when a new one is added
+const DEFAULT_MAX_SNAPSHOTS = 1000;
+
+function watchKey(username) {
+  return String(username || '').trim().replace(/^@/, '').toLowerCase();
+}
+
+// Snapshots between since / until (ISO strings or ms), newest `limit` of them, oldest first
+function filterSnapshots(snapshots, { since, until, limit } = {}) {
+  const from = since ? new Date(since).getTime() : -Infinity;
+  const to = until ? new Date(until).getTime() : Infinity;
+  const selected = snapshots.filter(snapshot => {
+    const time = new Date(snapshot.scrapedAt).getTime();
+    return time >= from && time <= to;
+  });
+  return limit ? selected.slice(-limit) : selected;
+}
+
+// MemoryWatchStore: watches and snapshots are lost on restart (tests, throwaway runs)
+class MemoryWatchStore {
+  constructor(options = {}) {
+    this.maxSnapshots = options.maxSnapshots || DEFAULT_MAX_SNAPSHOTS;
+    this.watches = new Map();
+    this.snapshots = new Map();
+  }
+
+  async listWatches() {
+    return Array.from(this.watches.values()).map(watch => ({ ...watch }));
+  }
+
+  async getWatch(username) {
+    const watch = this.watches.get(watchKey(username));
+    return watch ? { ...watch } : null;
+  }
+
+  async saveWatch(watch) {
+    this.watches.set(watchKey(watch.username), { ...watch });
+    return watch;
+  }
+
+  async deleteWatch(username) {
+    return this.watches.delete(watchKey(username));
+  }
+
+  async addSnapshot(username, snapshot) {
+    const key = watchKey(username);
+    const list = this.snapshots.get(key) || [];
+    list.push(snapshot);
+    if (list.length > this.maxSnapshots) list.splice(0, list.length - this.maxSnapshots);
+    this.snapshots.set(key, list);
+    return snapshot;
+  }
+
+  async latestSnapshot(username) {
+    const list = this.snapshots.get(watchKey(username)) || [];
+    return list.length ? list[list.length - 1] : null;
+  }
+
+  async history(username, options = {}) {
+    return filterSnapshots(this.snapshots.get(watchKey(username)) || [], options);
+  }
+
+  async deleteHistory(username) {
+    return this.snapshots.delete(watchKey(username));
+  }
+}
+
+// FileWatchStore: watches.json for the list (write-then-rename) and one JSONL file of snapshots per
+// username under snapshots/, appended on every run and compacted once it grows past maxSnapshots
+class FileWatchStore {
+  constructor(options = {}) {
+    this.dir = path.resolve(options.dir || DEFAULT_WATCH_DIR);
+    this.maxSnapshots = options.maxSnapshots || DEFAULT_MAX_SNAPSHOTS;
+    this.snapshotDir = path.join(this.dir, 'snapshots');
+    fs.mkdirSync(this.snapshotDir, { recursive: true });
+    this.watchFile = path.join(this.dir, 'watches.json');
+    this.watches = this.loadWatches();
+    this.lineCounts = new Map(); // username -> snapshot lines on disk, once read
+    this.writes = Promise.resolve(); // every write runs after the previous one
+  }
+
+  loadWatches() {
+    try {
+      const list = JSON.parse(fs.readFileSync(this.watchFile, 'utf8'));
+      return new Map(list.map(watch => [watchKey(watch.username), watch]));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw new Error(`Cannot read watch list ${this.watchFile}: ${err.message}`);
+      return new Map();
+    }
+  }
+
+  fileFor(username) {
+    // Usernames come from requests; never let a crafted one escape the directory
+    return path.join(this.snapshotDir, `${watchKey(username).replace(/[^a-z0-9._-]/g, '')}.jsonl`);
+  }
+
+  queue(task) {
+    const run = this.writes.then(task);
+    this.writes = run.catch(() => {});
+    return run;
+  }
+
+  persistWatches() {
+    return this.queue(async () => {
+      const tmp = `${this.watchFile}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(Array.from(this.watches.values()), null, 2));
+      await fs.promises.rename(tmp, this.watchFile);
+    });
+  }
+
+  async listWatches() {
+    return Array.from(this.watches.values()).map(watch => ({ ...watch }));
+  }
+
+  async getWatch(username) {
+    const watch = this.watches.get(watchKey(username));
+    return watch ? { ...watch } : null;
+  }
+
+  async saveWatch(watch) {
+    this.watches.set(watchKey(watch.username), { ...watch });
+    await this.persistWatches();
+    return watch;
+  }
+
+  async deleteWatch(username) {
+    const deleted = this.watches.delete(watchKey(username));
+    if (deleted) await this.persistWatches();
+    return deleted;
+  }
+
+  async readSnapshots(username) {
+    try {
+      const text = await fs.promises.readFile(this.fileFor(username), 'utf8');
+      // A crash mid-append can leave a torn last line; skip anything unparsable
+      return text.split('\n').filter(Boolean).flatMap(line => {
+        try {
+          return [JSON.parse(line)];
+        } catch (err) {
+          return [];
+        }
+      });
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  }
+
+  addSnapshot(username, snapshot) {
+    const key = watchKey(username);
+    return this.queue(async () => {
+      const file = this.fileFor(key);
+      if (!this.lineCounts.has(key)) this.lineCounts.set(key, (await this.readSnapshots(key)).length);
+      await fs.promises.appendFile(file, JSON.stringify(snapshot) + '\n');
+      const count = this.lineCounts.get(key) + 1;
+      this.lineCounts.set(key, count);
+
+      // Compact with some slack so the file is not rewritten on every run
+      if (count > this.maxSnapshots * 1.1) {
+        const kept = (await this.readSnapshots(key)).slice(-this.maxSnapshots);
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmp, kept.map(item => JSON.stringify(item) + '\n').join(''));
+        await fs.promises.rename(tmp, file);
+        this.lineCounts.set(key, kept.length);
+      }
+      return snapshot;
+    });
+  }
+
+  async latestSnapshot(username) {
+    const snapshots = await this.readSnapshots(username);
+    return snapshots.length ? snapshots[snapshots.length - 1] : null;
+  }
+
+  async history(username, options = {}) {
+    return filterSnapshots(await this.readSnapshots(username), options);
+  }
+
+  deleteHistory(username) {
+    const key = watchKey(username);
+    return this.queue(async () => {
+      this.lineCounts.delete(key);
+      try {
+        await fs.promises.unlink(this.fileFor(key));
+        return true;
+      } catch (err) {
+        return false;
+      }
+    });
+  }
+}
+
+// createWatchStore: backend from WATCH_STORE (memory|file, memory unless set), WATCH_STORE_DIR and
+// WATCH_MAX_SNAPSHOTS
+function createWatchStore(env = process.env, options = {}) {
+  const type = options.type || env.WATCH_STORE || 'memory';
+  const maxSnapshots = options.maxSnapshots || parseInt(env.WATCH_MAX_SNAPSHOTS) || DEFAULT_MAX_SNAPSHOTS;
+  if (type === 'memory') return new MemoryWatchStore({ maxSnapshots });
+  if (type === 'file') return new FileWatchStore({ dir: options.dir || env.WATCH_STORE_DIR, maxSnapshots });
+  throw new Error(`Unknown watch store "${type}" (expected file or memory)`);
+}
+
+module.exports = {
+  DEFAULT_WATCH_DIR,
+  watchKey,
+  MemoryWatchStore,
+  FileWatchStore,
+  createWatchStore
+};
@@ -0,0 +1,388 @@
+// Profile monitoring: a watch list of usernames, each re-scraped on its own interval. Every run
+// stores a timestamped snapshot of the profile stats together with the delta to the previous one
+// (follower growth, new videos, changed bio...), so growth can be charted from the history.
+//
+// Runs go through the client like any request (same semaphore, retries, proxies, sessions), but at
+// most `concurrency` of them at once so a large watch list never starves interactive requests.
+
+const { watchKey, MemoryWatchStore } = require('./watch-store');
+const { countOrNull } = require('./counts');
+const { parseRules } = require('./events');
+
+const INTERVAL_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Stats compared between snapshots, and profile fields whose changes are reported
+const SNAPSHOT_COUNTS = ['followers', 'following', 'likes', 'videoCount'];
+const SNAPSHOT_FIELDS = ['displayName', 'bio', 'avatarId', 'verified', 'privateAccount'];
+
+// parseInterval: ms number or "90s" / "15m" / "6h" / "1d" -> ms, null when invalid
+function parseInterval(value) {
+  if (typeof value === 'number') return Number.isFinite(value) && value > 0 ? value : null;
+  const match = String(value || '').trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/);
+  if (!match) return null;
+  const ms = Math.round(parseFloat(match[1]) * INTERVAL_UNITS[match[2] || 'ms']);
+  return ms > 0 ? ms : null;
+}
+
+// parseTimeParam: "7d" / "12h" (that long ago), ISO date or unix time (s or ms) -> ISO string, null when invalid
+function parseTimeParam(value, now = Date.now()) {
+  const text = String(value === undefined || value === null ? '' : value).trim();
+  if (!text) return null;
+  if (/^\d+(?:\.\d+)?\s*(s|m|h|d)$/i.test(text)) return new Date(now - parseInterval(text)).toISOString();
+  if (/^\d+$/.test(text)) {
+    const num = Number(text);
+    return new Date(num > 1e12 ? num : num * 1000).toISOString();
+  }
+  const time = Date.parse(text);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+// avatarId: stable part of an avatar URL. The CDN signs every URL anew (query string, host), but the
+// image key in the path ("tos-.../<key>~c5_100x100.jpeg") only changes with the picture
+function avatarId(url) {
+  if (!url) return null;
+  try {
+    const name = new URL(url).pathname.split('/').pop();
+    return name.split('~')[0].replace(/\.[a-z]+$/i, '') || url;
+  } catch (err) {
+    return url;
+  }
+}
+
+// profileField: a text / flag field of the profile, or null when the scrape did not really read it.
+// The DOM fallback reports a bio it could not find as '' and a badge it could not find as false,
+// so those only count when they came from the hydration blob (null snapshot fields never diff)
+function profileField(user, field) {
+  const value = user[field];
+  if (value === undefined || value === null) return null;
+  const source = user.sources && user.sources[field];
+  if (source && source !== 'hydration' && (value === '' || value === false)) return null;
+  return value;
+}
+
+// takeSnapshot: profile record (+ recent videos when the watch tracks them) -> stored snapshot
+function takeSnapshot(user, { scrapedAt = new Date().toISOString(), videos = null } = {}) {
+  const stats = user.stats || {};
+  const snapshot = {
+    username: user.username,
+    scrapedAt,
+    followers: countOrNull(stats.followers && stats.followers.count, user.followers),
+    following: countOrNull(stats.following && stats.following.count, user.following),
+    likes: countOrNull(stats.likes && stats.likes.count, user.likes),
+    videoCount: countOrNull(user.videoCount),
+    displayName: profileField(user, 'displayName'),
+    bio: profileField(user, 'bio'),
+    avatar: user.avatar || null,
+    avatarId: avatarId(user.avatar),
+    verified: profileField(user, 'verified'),
+    privateAccount: user.privateAccount === undefined ? null : !!user.privateAccount
+  };
+  if (videos) snapshot.videoIds = videos.map(video => video.id).filter(Boolean);
+  return snapshot;
+}
+
+// diffSnapshots: what changed from `previous` to `current`. Counts are differences (null when one
+// side is unknown); new videos come from the tracked ids when both snapshots have them, otherwise
+// from the growth of videoCount
+function diffSnapshots(previous, current) {
+  if (!previous) return null;
+  const delta = {
+    since: previous.scrapedAt,
+    elapsedMs: new Date(current.scrapedAt).getTime() - new Date(previous.scrapedAt).getTime()
+  };
+  for (const field of SNAPSHOT_COUNTS) {
+    delta[field] = typeof previous[field] === 'number' && typeof current[field] === 'number'
+      ? current[field] - previous[field]
+      : null;
+  }
+
+  const countGrowth = delta.videoCount !== null ? Math.max(delta.videoCount, 0) : null;
+  if (previous.videoIds && current.videoIds) {
+    const seen = new Set(previous.videoIds);
+    delta.newVideoIds = current.videoIds.filter(id => !seen.has(id));
+    // More new videos than tracked ids: the count still tells how many
+    delta.newVideos = Math.max(delta.newVideoIds.length, countGrowth || 0);
+  } else {
+    delta.newVideos = countGrowth;
+  }
+
+  delta.changed = {};
+  for (const field of SNAPSHOT_FIELDS) {
+    if (previous[field] !== undefined && previous[field] !== null && current[field] !== null && previous[field] !== current[field]) {
+      delta.changed[field] = { from: previous[field], to: current[field] };
+    }
+  }
+  return delta;
+}
+
+// summarizeHistory: growth over a list of snapshots (oldest first) - first / last value, change
+// and change per day of every count, plus the new videos seen in between
+function summarizeHistory(snapshots) {
+  if (snapshots.length === 0) return { count: 0 };
+  const first = snapshots[0];
+  const last = snapshots[snapshots.length - 1];
+  const days = (new Date(last.scrapedAt).getTime() - new Date(first.scrapedAt).getTime()) / INTERVAL_UNITS.d;
+  const summary = { count: snapshots.length, from: first.scrapedAt, to: last.scrapedAt };
+
+  for (const field of SNAPSHOT_COUNTS) {
+    const values = snapshots.filter(snapshot => typeof snapshot[field] === 'number');
+    if (values.length === 0) {
+      summary[field] = null;
+      continue;
+    }
+    const start = values[0][field];
+    const end = values[values.length - 1][field];
+    summary[field] = {
+      first: start,
+      last: end,
+      change: end - start,
+      perDay: days > 0 ? Math.round(((end - start) / days) * 100) / 100 : null
+    };
+  }
+  summary.newVideos = snapshots.slice(1).reduce((sum, snapshot) => sum + ((snapshot.delta && snapshot.delta.newVideos) || 0), 0);
+  return summary;
+}
+
+class WatchScheduler {
+  // options: client, store, logger, tickInterval (how often due watches are looked up),
+  // concurrency, defaultInterval / minInterval (ms), onSnapshot(watch, snapshot, result) hook
+  // (sinks, change events)
+  constructor(options = {}) {
+    this.client = options.client;
+    this.store = options.store || new MemoryWatchStore();
+    this.logger = options.logger || console;
+    this.tickInterval = options.tickInterval || 30 * 1000;
+    this.concurrency = options.concurrency || 2;
+    this.defaultInterval = options.defaultInterval || INTERVAL_UNITS.h;
+    this.minInterval = options.minInterval || 5 * INTERVAL_UNITS.m;
+    this.maxVideos = options.maxVideos || 30;
+    this.onSnapshot = options.onSnapshot || null;
+    this.running = new Map(); // username -> promise of the run in progress
+    this.timer = null;
+  }
+
+  // normalizeSettings: request body -> watch settings, throws with a message fit for a 400
+  normalizeSettings(input = {}, current = {}) {
+    const settings = {};
+    if (input.interval !== undefined) {
+      const interval = parseInterval(input.interval);
+      if (!interval) throw new Error(`Invalid interval "${input.interval}" (ms or e.g. 30m, 6h, 1d)`);
+      if (interval < this.minInterval) throw new Error(`Interval must be at least ${this.minInterval}ms`);
+      settings.interval = interval;
+    } else if (current.interval === undefined) {
+      settings.interval = this.defaultInterval;
+    }
+    if (input.enabled !== undefined) settings.enabled = input.enabled !== false && input.enabled !== 'false';
+    if (input.videos !== undefined) {
+      const videos = parseInt(input.videos);
+      if (!(videos >= 0)) throw new Error('videos must be a number >= 0');
+      settings.videos = Math.min(videos, this.maxVideos);
+    }
+    if (input.rules !== undefined) {
+      // null / [] fall back to the event bus defaults
+      settings.rules = input.rules === null || (Array.isArray(input.rules) && input.rules.length === 0)
+        ? null
+        : parseRules(input.rules);
+    }
+    for (const field of ['profile', 'session', 'sink']) {
+      if (input[field] !== undefined) settings[field] = input[field] || null;
+    }
+    return settings;
+  }
+
+  async list() {
+    return (await this.store.listWatches()).sort((a, b) => a.username.localeCompare(b.username));
+  }
+
+  async get(username) {
+    return this.store.getWatch(username);
+  }
+
+  // add: create a watch or update the settings of an existing one; new watches run on the next tick
+  async add(username, input = {}) {
+    const key = watchKey(username);
+    if (!key) throw new Error('Username is required');
+    const existing = await this.store.getWatch(key);
+    const now = new Date().toISOString();
+    const watch = existing
+      ? { ...existing, ...this.normalizeSettings(input, existing), updatedAt: now }
+      : {
+        username: key,
+        interval: this.defaultInterval,
+        enabled: true,
+        videos: 0,
+        profile: null,
+        session: null,
+        sink: null,
+        rules: null,
+        ...this.normalizeSettings(input),
+        createdAt: now,
+        updatedAt: now,
+        nextRunAt: now,
+        lastRunAt: null,
+        lastStatus: null,
+        lastError: null,
+        consecutiveFailures: 0,
+        runs: 0
+      };
+    await this.store.saveWatch(watch);
+    return { watch, created: !existing };
+  }
+
+  // update: change settings of an existing watch (null when it does not exist). A new interval
+  // takes effect from the last run, re-enabling schedules the next run right away
+  async update(username, input = {}) {
+    const existing = await this.store.getWatch(username);
+    if (!existing) return null;
+    const settings = this.normalizeSettings(input, existing);
+    const watch = { ...existing, ...settings, updatedAt: new Date().toISOString() };
+    if (settings.interval && existing.lastRunAt) {
+      watch.nextRunAt = new Date(new Date(existing.lastRunAt).getTime() + settings.interval).toISOString();
+    }
+    if (settings.enabled && !existing.enabled) watch.nextRunAt = watch.updatedAt;
+    await this.store.saveWatch(watch);
+    return watch;
+  }
+
+  // remove: stop watching; the snapshot history is kept unless `history` is set
+  async remove(username, { history = false } = {}) {
+    const deleted = await this.store.deleteWatch(username);
+    if (history) await this.store.deleteHistory(username);
+    return deleted;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.tick().catch(err => this.logger.error(`❌ Watch tick failed: ${err.message}`));
+    }, this.tickInterval);
+    this.timer.unref();
+    this.logger.log(`👀 Watch scheduler started (tick ${this.tickInterval}ms, ${this.concurrency} concurrent)`);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // tick: start the most overdue enabled watches, up to the concurrency limit
+  async tick() {
+    const free = this.concurrency - this.running.size;
+    if (free <= 0) return [];
+    const now = Date.now();
+    const due = (await this.store.listWatches())
+      .filter(watch => watch.enabled && !this.running.has(watch.username) && new Date(watch.nextRunAt).getTime() <= now)
+      .sort((a, b) => new Date(a.nextRunAt) - new Date(b.nextRunAt))
+      .slice(0, free);
+    // Nobody awaits scheduled runs: a store or hook failure is logged here instead of going unhandled
+    return due.map(watch => this.run(watch.username).catch(err => {
+      this.logger.error(`❌ Watch @${watch.username} run failed: ${err.message}`);
+      return null;
+    }));
+  }
+
+  // run: check one watch now (also used by the run-now route). Concurrent calls share one run
+  run(username) {
+    const key = watchKey(username);
+    if (this.running.has(key)) return this.running.get(key);
+    const run = this.check(key).finally(() => this.running.delete(key));
+    this.running.set(key, run);
+    return run;
+  }
+
+  // check: scrape the profile (and the latest videos when tracked), store the snapshot with its
+  // delta and reschedule. Resolves to { watch, snapshot, result }; snapshot is null when it failed
+  async check(username) {
+    const watch = await this.store.getWatch(username);
+    if (!watch) return null;
+    const options = { profile: watch.profile || undefined, session: watch.session || undefined };
+    const startedAt = Date.now();
+
+    let result = await this.client.profile(watch.username, options);
+    let videos = null;
+    if (result.success && watch.videos > 0) {
+      const listing = await this.client.videos(watch.username, { ...options, limit: watch.videos });
+      // A failed video listing only costs the new-video ids, the profile snapshot still counts
+      if (listing.success) videos = listing.data;
+      else this.logger.warn(`⚠️ Watch @${watch.username}: videos failed [${listing.code}], using videoCount only`);
+    }
+
+    // Settings may have changed during the scrape; a watch removed meanwhile stays removed
+    const current = await this.store.getWatch(watch.username);
+    if (!current) return { watch: null, snapshot: null, result };
+    const finishedAt = new Date().toISOString();
+    const updated = {
+      ...current,
+      lastRunAt: finishedAt,
+      nextRunAt: new Date(startedAt + current.interval).toISOString(),
+      runs: (current.runs || 0) + 1
+    };
+
+    let snapshot = null;
+    if (result.success) {
+      snapshot = takeSnapshot(result.user, { scrapedAt: finishedAt, videos });
+      snapshot.delta = diffSnapshots(await this.store.latestSnapshot(watch.username), snapshot);
+      await this.store.addSnapshot(watch.username, snapshot);
+      Object.assign(updated, { lastStatus: 'ok', lastError: null, consecutiveFailures: 0 });
+      this.logger.log(`👀 Watch @${watch.username}: ${snapshot.followers} followers${snapshot.delta && snapshot.delta.followers ? ` (${snapshot.delta.followers > 0 ? '+' : ''}${snapshot.delta.followers})` : ''}`);
+    } else {
+      Object.assign(updated, {
+        lastStatus: 'failed',
+        lastError: { code: result.code, message: result.message },
+        consecutiveFailures: (current.consecutiveFailures || 0) + 1
+      });
+      this.logger.error(`❌ Watch @${watch.username} failed [${result.code}]: ${result.message}`);
+    }
+    await this.store.saveWatch(updated);
+
+    if (snapshot && this.onSnapshot) {
+      try {
+        await this.onSnapshot(updated, snapshot, result);
+      } catch (err) {
+        this.logger.error(`❌ Watch @${watch.username} snapshot hook failed: ${err.message}`);
+      }
+    }
+    return { watch: updated, snapshot, result };
+  }
+
+  async history(username, options = {}) {
+    const snapshots = await this.store.history(username, options);
+    return { snapshots, summary: summarizeHistory(snapshots) };
+  }
+
+  async getStats() {
+    const watches = await this.store.listWatches();
+    const now = Date.now();
+    return {
+      watches: watches.length,
+      enabled: watches.filter(watch => watch.enabled).length,
+      due: watches.filter(watch => watch.enabled && new Date(watch.nextRunAt).getTime() <= now).length,
+      failing: watches.filter(watch => watch.lastStatus === 'failed').length,
+      running: this.running.size,
+      scheduler: this.timer ? 'running' : 'stopped'
+    };
+  }
+}
+
+// createWatchScheduler: scheduler configured from WATCH_* variables
+function createWatchScheduler(client, store, env = process.env, options = {}) {
+  return new WatchScheduler({
+    client,
+    store,
+    tickInterval: parseInterval(env.WATCH_TICK_MS) || undefined,
+    concurrency: parseInt(env.WATCH_CONCURRENCY) || undefined,
+    defaultInterval: parseInterval(env.WATCH_DEFAULT_INTERVAL) || undefined,
+    minInterval: parseInterval(env.WATCH_MIN_INTERVAL) || undefined,
+    ...options
+  });
+}
+
+module.exports = {
+  parseInterval,
+  parseTimeParam,
+  takeSnapshot,
+  diffSnapshots,
+  summarizeHistory,
+  WatchScheduler,
+  createWatchScheduler
+};
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { ResponseCache, MemoryCacheStore, cacheKey } = require('../lib/cache');
+const { silentLogger } = require('../lib/runtime');
+
+function fakeClock(start = Date.parse('2026-01-01T00:00:00.000Z')) {
+  const clock = { time: start, now: () => clock.time, advance: seconds => { clock.time += seconds * 1000; } };
+  return clock;
+}
+
+// Fetcher returning { success, data: n } with n counting the scrapes
+function counter() {
+  const fetcher = async () => ({ success: true, data: ++fetcher.calls });
+  fetcher.calls = 0;
+  return fetcher;
+}
+
+// Let a background revalidation finish
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+function createCache(clock, options = {}) {
+  return new ResponseCache({ store: new MemoryCacheStore(), ttls: { profile: 60 }, now: clock.now, logger: silentLogger, ...options });
+}
+
+test('entries are served until their TTL expires, then scraped again', async () => {
+  const clock = fakeClock();
+  const cache = createCache(clock);
+  const fetcher = counter();
+
+  assert.deepStrictEqual(await cache.wrap('profile', 'k', fetcher), { value: { success: true, data: 1 }, status: 'MISS', age: 0, ttl: 60 });
+  clock.advance(30);
+  const hit = await cache.wrap('profile', 'k', fetcher);
+  assert.strictEqual(hit.status, 'HIT');
+  assert.strictEqual(hit.age, 30);
+  assert.strictEqual(hit.value.data, 1);
+
+  clock.advance(30);
+  const expired = await cache.wrap('profile', 'k', fetcher);
+  assert.strictEqual(expired.status, 'MISS');
+  assert.strictEqual(expired.value.data, 2);
+  assert.deepStrictEqual(await cache.getStats().then(({ hits, misses }) => ({ hits, misses })), { hits: 1, misses: 2 });
+});
+
+test('stale entries are served while one background scrape refreshes them', async () => {
+  const clock = fakeClock();
+  const cache = createCache(clock, { staleWhileRevalidate: 30 });
+  const fetcher = counter();
+  await cache.wrap('profile', 'k', fetcher);
+
+  clock.advance(70);
+  const stale = await cache.wrap('profile', 'k', fetcher);
+  assert.strictEqual(stale.status, 'STALE');
+  assert.strictEqual(stale.value.data, 1);
+  assert.strictEqual(stale.age, 70);
+  await settle();
+  assert.strictEqual(fetcher.calls, 2);
+
+  const refreshed = await cache.wrap('profile', 'k', fetcher);
+  assert.strictEqual(refreshed.status, 'HIT');
+  assert.strictEqual(refreshed.value.data, 2);
+
+  // Past the grace window the entry is a plain miss
+  clock.advance(60 + 30);
+  assert.strictEqual((await cache.wrap('profile', 'k', fetcher)).status, 'MISS');
+});
+
+test('concurrent misses on one key share a single scrape', async () => {
+  const cache = createCache(fakeClock());
+  let release;
+  let calls = 0;
+  const fetcher = () => {
+    calls++;
+    return new Promise(resolve => { release = () => resolve({ success: true, data: calls }); });
+  };
+
+  const pending = [cache.wrap('profile', 'k', fetcher), cache.wrap('profile', 'k', fetcher)];
+  await settle();
+  release();
+  const results = await Promise.all(pending);
+  assert.strictEqual(calls, 1);
+  assert.deepStrictEqual(results.map(result => result.value.data), [1, 1]);
+  assert.strictEqual(cache.inflight.size, 0);
+});
+
+test('failed envelopes, fresh requests and zero TTLs are never stored', async () => {
+  const clock = fakeClock();
+  const cache = createCache(clock, { ttls: { profile: 60, comments: 0 } });
+  await cache.wrap('profile', 'missing', async () => ({ success: false, code: 'NOT_FOUND' }));
+  assert.strictEqual(await cache.store.get('missing'), null);
+
+  const fetcher = counter();
+  await cache.wrap('profile', 'k', fetcher);
+  const fresh = await cache.wrap('profile', 'k', fetcher, { fresh: true });
+  assert.strictEqual(fresh.status, 'BYPASS');
+  assert.strictEqual(fresh.value.data, 2);
+  assert.strictEqual((await cache.wrap('profile', 'k', fetcher)).value.data, 2);
+
+  assert.strictEqual((await cache.wrap('comments', 'c', counter())).status, 'BYPASS');
+  assert.strictEqual(await cache.store.get('c'), null);
+});
+
+test('cacheKey ignores param order, empty values and username case', () => {
+  assert.strictEqual(
+    cacheKey('profile', { username: '@Example.Creator', session: undefined, profile: '' }),
+    cacheKey('profile', { profile: null, username: 'example.creator' })
+  );
+  assert.notStrictEqual(cacheKey('videos', { username: 'a', limit: 10 }), cacheKey('videos', { username: 'a', limit: 20 }));
+});
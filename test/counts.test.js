@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parseCount, countOrNull, buildStat } = require('../lib/counts');
+
+test('parses abbreviated counts', () => {
+  assert.strictEqual(parseCount('1.2M Followers'), 1200000);
+  assert.strictEqual(parseCount('12,5 K'), 12500);
+  assert.strictEqual(parseCount('3.45B'), 3450000000);
+  assert.strictEqual(parseCount('1,2 Tr'), 1200000);
+  assert.strictEqual(parseCount('1.2万粉丝'), 12000);
+});
+
+test('strips thousands separators before applying the suffix', () => {
+  assert.strictEqual(parseCount('10,000K'), 10000000);
+  assert.strictEqual(parseCount('1.500 N'), 1500000);
+  assert.strictEqual(parseCount('1,234.5K'), 1234500);
+});
+
+test('parses grouped plain numbers', () => {
+  assert.strictEqual(parseCount('1,234,567'), 1234567);
+  assert.strictEqual(parseCount('1.234.567'), 1234567);
+  assert.strictEqual(parseCount('3 456'), 3456);
+  assert.strictEqual(parseCount('1 234'), 1234);
+  assert.strictEqual(parseCount('12,345'), 12345);
+});
+
+test('returns null for text without a number', () => {
+  assert.strictEqual(parseCount(''), null);
+  assert.strictEqual(parseCount(null), null);
+  assert.strictEqual(parseCount('Followers'), null);
+  assert.strictEqual(countOrNull(undefined, '', 'n/a', '5K'), 5000);
+  assert.deepStrictEqual(buildStat(' 87 '), { count: 87, text: '87' });
+});
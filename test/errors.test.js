@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { ScrapeError, classifyError, backoffDelay, withRetry, errorFields } = require('../lib/errors');
+const { getSearchVertical } = require('../lib/search');
+
+test('classifyError reads transport failures from the message', () => {
+  assert.strictEqual(classifyError(new Error('Navigation timeout of 30000 ms exceeded')).code, 'TIMEOUT');
+  assert.strictEqual(classifyError(new Error('net::ERR_PROXY_CONNECTION_FAILED at https://www.tiktok.com')).code, 'BLOCKED');
+  assert.strictEqual(classifyError(new Error('TikTok answered HTTP 429')).code, 'BLOCKED');
+  // Chrome's "invalid" errors are not bad input
+  assert.strictEqual(classifyError(new Error('net::ERR_INVALID_RESPONSE at https://www.tiktok.com/@x')).code, 'UNKNOWN');
+  assert.strictEqual(classifyError(new Error('Protocol error: Invalid parameters')).code, 'UNKNOWN');
+});
+
+test('bad input is reported through its error code', () => {
+  assert.throws(() => getSearchVertical('reels'), err => classifyError(err).code === 'INVALID_INPUT');
+  const error = new ScrapeError('INVALID_INPUT', 'Username parameter is required');
+  assert.strictEqual(classifyError(error), error);
+  assert.deepStrictEqual(errorFields(error), { code: 'INVALID_INPUT', retryable: false, attempts: 1 });
+});
+
+test('backoffDelay grows exponentially up to maxDelay, scaled by the jitter', () => {
+  const settings = { baseDelay: 100, maxDelay: 1000 };
+  assert.deepStrictEqual([0, 1, 2, 3, 4, 10].map(attempt => backoffDelay(attempt, settings, () => 0.999999)), [99, 199, 399, 799, 999, 999]);
+  assert.strictEqual(backoffDelay(3, settings, () => 0.5), 400);
+  assert.strictEqual(backoffDelay(3, settings, () => 0), 0);
+});
+
+test('withRetry retries retryable errors until one attempt succeeds', async () => {
+  const retries = [];
+  const result = await withRetry(async (attempt) => {
+    if (attempt < 3) throw new Error('net::ERR_CONNECTION_RESET');
+    return `ok after ${attempt}`;
+  }, { maxAttempts: 3, baseDelay: 1, maxDelay: 1, onRetry: (error, attempt) => retries.push([error.code, attempt]) });
+  assert.strictEqual(result, 'ok after 3');
+  assert.deepStrictEqual(retries, [['BLOCKED', 1], ['BLOCKED', 2]]);
+});
+
+test('withRetry gives up at maxAttempts and stops at once on non-retryable errors', async () => {
+  let calls = 0;
+  await assert.rejects(
+    withRetry(async () => { calls++; throw new Error('Navigation timeout of 30000 ms exceeded'); }, { maxAttempts: 2, baseDelay: 1, maxDelay: 1 }),
+    err => err.code === 'TIMEOUT' && err.attempts === 2
+  );
+  assert.strictEqual(calls, 2);
+
+  calls = 0;
+  await assert.rejects(
+    withRetry(async () => { calls++; throw new ScrapeError('NOT_FOUND', 'gone'); }, { maxAttempts: 5, baseDelay: 1, maxDelay: 1 }),
+    err => err.code === 'NOT_FOUND' && err.attempts === 1
+  );
+  assert.strictEqual(calls, 1);
+});
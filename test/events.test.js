@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { detectEvents, matchesFilter, parseRules, createEventBus } = require('../lib/events');
+const { takeSnapshot, diffSnapshots } = require('../lib/watcher');
+
+const hydrated = {
+  username: 'example.creator',
+  displayName: 'Example Creator',
+  bio: 'Cooking, travel & everything in between',
+  avatar: 'https://p16-sign.tiktokcdn.com/tos-maliva-avt-0068/abc123~c5_720x720.jpeg?x-expires=1',
+  followers: 1234567,
+  following: 87,
+  likes: 34500000,
+  verified: true,
+  privateAccount: false,
+  sources: { displayName: 'hydration', bio: 'hydration', avatar: 'hydration', verified: 'hydration' }
+};
+
+// What the DOM fallback returns when the bio and badge selectors miss
+const domFallback = {
+  ...hydrated,
+  bio: '',
+  verified: false,
+  privateAccount: undefined,
+  sources: { displayName: 'dom', bio: 'none', avatar: 'dom', verified: 'dom' }
+};
+
+function eventsBetween(previousUser, currentUser) {
+  const previous = takeSnapshot(previousUser, { scrapedAt: '2026-01-01T00:00:00.000Z' });
+  const current = takeSnapshot(currentUser, { scrapedAt: '2026-01-02T00:00:00.000Z' });
+  current.delta = diffSnapshots(previous, current);
+  return detectEvents(current, parseRules(['bio', 'verified', 'displayName', 'avatar', 'private']));
+}
+
+test('a DOM-fallback snapshot raises no bio / verified changes', () => {
+  assert.deepStrictEqual(eventsBetween(hydrated, domFallback), []);
+  assert.deepStrictEqual(eventsBetween(domFallback, hydrated), []);
+});
+
+test('fields read from hydration still raise change events', () => {
+  const events = eventsBetween(hydrated, { ...hydrated, bio: '', verified: false });
+  assert.deepStrictEqual(events.map(event => event.type), ['bio.changed', 'verified.changed']);
+});
+
+test('username filters ignore case and a leading @ on both sides', () => {
+  const event = { type: 'bio.changed', username: 'example.creator' };
+  assert.strictEqual(matchesFilter(event, { usernames: ['Example.Creator'] }), true);
+  assert.strictEqual(matchesFilter(event, { usernames: ['@EXAMPLE.CREATOR'] }), true);
+  assert.strictEqual(matchesFilter({ ...event, username: 'Example.Creator' }, { usernames: ['example.creator'] }), true);
+  assert.strictEqual(matchesFilter(event, { usernames: ['someone.else'] }), false);
+});
+
+test('the event log stays in memory unless EVENT_LOG=file', () => {
+  assert.strictEqual(createEventBus({}).log.file, null);
+  assert.throws(() => createEventBus({ EVENT_LOG: 'redis' }), /Unknown event log "redis"/);
+});
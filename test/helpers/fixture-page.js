@@ -0,0 +1,107 @@
+// Puppeteer-like page over a saved HTML fixture (jsdom), for running scrapers and page-side helpers
+// without a browser. page.evaluate() serializes the function like puppeteer does and runs it inside
+// the fixture document; goto() answers 200 and replays canned API responses to 'response' listeners.
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const FIXTURE_DIR = path.join(__dirname, '..', 'fixtures');
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURE_DIR, name), 'utf8');
+}
+
+// jsdom has no layout: give rendered elements a box so visibility checks behave like a browser
+// (nothing inside a display:none ancestor), and fall back to textContent for innerText
+function emulateLayout(window) {
+  const rendered = (el) => {
+    for (let node = el; node; node = node.parentElement) {
+      if (window.getComputedStyle(node).display === 'none') return false;
+    }
+    return el.isConnected;
+  };
+  window.HTMLElement.prototype.getBoundingClientRect = function () {
+    const size = rendered(this) ? 100 : 0;
+    return { x: 0, y: 0, top: 0, left: 0, right: size, bottom: size, width: size, height: size };
+  };
+  if (!('innerText' in window.HTMLElement.prototype)) {
+    Object.defineProperty(window.HTMLElement.prototype, 'innerText', {
+      get() { return this.textContent; }
+    });
+  }
+  window.scrollTo = () => {};
+}
+
+// Fake puppeteer HTTPResponse for one captured API payload
+function apiResponse(url, body) {
+  return {
+    url: () => url,
+    status: () => 200,
+    request: () => ({ method: () => 'GET' }),
+    json: async () => body
+  };
+}
+
+// createFixturePage: html (or fixture file name ending in .html), options.url, options.responses
+// ([{ url, body }] emitted on goto)
+function createFixturePage(html, options = {}) {
+  const source = /\.html$/.test(html) ? readFixture(html) : html;
+  const dom = new JSDOM(source, { url: options.url || 'https://www.tiktok.com/', runScripts: 'outside-only' });
+  const { window } = dom;
+  emulateLayout(window);
+  const listeners = { response: [] };
+  const noop = async () => {};
+
+  return {
+    window,
+    on: (event, handler) => (listeners[event] = listeners[event] || []).push(handler),
+    off: (event, handler) => {
+      listeners[event] = (listeners[event] || []).filter(listener => listener !== handler);
+    },
+    url: () => window.location.href,
+    goto: async () => {
+      for (const { url, body } of options.responses || []) {
+        await Promise.all(listeners.response.map(handler => handler(apiResponse(url, body))));
+      }
+      return { status: () => options.status || 200 };
+    },
+    evaluate: async (fn, ...args) => {
+      const run = window.eval(`(${fn.toString()})`);
+      return JSON.parse(JSON.stringify(await run(...args)) || 'null');
+    },
+    waitForSelector: async (selector) => {
+      const el = window.document.querySelector(selector);
+      if (!el) throw new Error(`Waiting for selector \`${selector}\` failed`);
+      return el;
+    },
+    setUserAgent: noop,
+    setViewport: noop,
+    setExtraHTTPHeaders: noop,
+    emulateTimezone: noop,
+    evaluateOnNewDocument: noop,
+    createCDPSession: async () => ({ send: noop }),
+    setCookie: noop,
+    cookies: async () => [],
+    authenticate: noop,
+    close: async () => window.close()
+  };
+}
+
+// Browser pool handing out one page per acquire, built by `makePage()`
+function createFixturePool(makePage) {
+  return {
+    warm: false,
+    acquire: async () => ({ page: makePage(), release: async () => {}, browserId: 1 }),
+    live: () => [],
+    getStats: () => ({}),
+    warmUp: async () => {},
+    close: async () => {}
+  };
+}
+
+module.exports = {
+  readFixture,
+  createFixturePage,
+  createFixturePool
+};
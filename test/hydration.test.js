@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  extractHydrationFromHtml,
+  readHydrationFromPage,
+  hasHydration,
+  extractProfileFromHydration,
+  extractSearchUsersFromHydration
+} = require('../lib/hydration');
+const { readFixture, createFixturePage } = require('./helpers/fixture-page');
+
+test('reads the profile from __UNIVERSAL_DATA_FOR_REHYDRATION__', () => {
+  const state = extractHydrationFromHtml(readFixture('profile-universal.html'));
+  assert.ok(state.universal);
+  assert.strictEqual(state.sigi, null);
+
+  const profile = extractProfileFromHydration(state, 'example.creator');
+  assert.deepStrictEqual(profile, {
+    id: '6812345678901234567',
+    secUid: 'MS4wLjABAAAAexample',
+    username: 'example.creator',
+    displayName: 'Example Creator',
+    bio: 'Cooking, travel & everything in between',
+    avatar: 'https://p16-sign.tiktokcdn.com/avatar-larger.jpeg',
+    verified: true,
+    privateAccount: false,
+    followers: 1234567,
+    following: 87,
+    likes: 34500000,
+    videoCount: 412
+  });
+});
+
+test('reads the profile from SIGI_STATE, matching the username case-insensitively', () => {
+  const state = extractHydrationFromHtml(readFixture('profile-sigi.html'));
+  assert.strictEqual(state.universal, null);
+  assert.ok(state.sigi);
+
+  const profile = extractProfileFromHydration(state, 'oldlayout');
+  assert.strictEqual(profile.username, 'OldLayout');
+  assert.strictEqual(profile.bio, 'Trang cũ vẫn dùng SIGI_STATE');
+  assert.strictEqual(profile.avatar, 'https://p16-sign-va.tiktokcdn.com/avatar-medium.jpeg');
+  assert.strictEqual(profile.privateAccount, true);
+  assert.strictEqual(profile.followers, 5300);
+  assert.strictEqual(profile.likes, 98000);
+  assert.strictEqual(profile.videoCount, 37);
+});
+
+test('pages without hydration scripts yield no state', () => {
+  const state = extractHydrationFromHtml(readFixture('captcha.html'));
+  assert.strictEqual(hasHydration(state), false);
+  assert.strictEqual(extractProfileFromHydration(state, 'example.creator'), null);
+  assert.deepStrictEqual(extractSearchUsersFromHydration(state), []);
+});
+
+test('readHydrationFromPage matches the saved-HTML reader', async () => {
+  for (const name of ['profile-universal.html', 'profile-sigi.html']) {
+    const page = createFixturePage(name);
+    assert.deepStrictEqual(await readHydrationFromPage(page), extractHydrationFromHtml(readFixture(name)));
+    await page.close();
+  }
+});
+
+test('search users are collected from either blob', () => {
+  const universal = extractSearchUsersFromHydration(extractHydrationFromHtml(readFixture('profile-universal.html')));
+  assert.deepStrictEqual(universal, [{
+    username: 'example.creator',
+    img: 'https://p16-sign.tiktokcdn.com/avatar-larger.jpeg',
+    name: 'Example Creator'
+  }]);
+
+  const sigi = extractSearchUsersFromHydration(extractHydrationFromHtml(readFixture('profile-sigi.html')));
+  assert.deepStrictEqual(sigi.map(user => user.username), ['OldLayout']);
+});
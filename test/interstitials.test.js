@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { detectInterstitial, interstitialError } = require('../lib/interstitials');
+const { createDefaultRegistry } = require('../lib/selector-registry');
+const { silentLogger } = require('../lib/runtime');
+const { createFixturePage } = require('./helpers/fixture-page');
+
+const fields = createDefaultRegistry({}, { logger: silentLogger }).getScope('interstitial');
+
+async function detect(fixture, fieldsOverride = fields) {
+  const page = createFixturePage(fixture);
+  try {
+    return await detectInterstitial(page, fieldsOverride);
+  } finally {
+    await page.close();
+  }
+}
+
+test('detects the slider captcha by selector', async () => {
+  assert.deepStrictEqual(await detect('captcha.html'), { type: 'captcha', selector: '#captcha-verify-container' });
+});
+
+test('falls back to captcha text when the selectors drift', async () => {
+  const html = '<body><div role="dialog">Drag the slider to fit the puzzle</div></body>';
+  assert.deepStrictEqual(await detect(html, {}), { type: 'captcha', selector: 'text' });
+});
+
+test('detects the login wall from the dialog text', async () => {
+  assert.deepStrictEqual(await detect('login-wall.html'), { type: 'login', selector: 'text' });
+});
+
+test('ignores hidden captcha containers and plain "Log in" buttons', async () => {
+  assert.strictEqual(await detect('captcha-hidden.html'), null);
+  assert.strictEqual(await detect('profile-universal.html'), null);
+});
+
+test('an invalid override selector does not break detection', async () => {
+  const broken = { captcha: ['div[unclosed', ...fields.captcha] };
+  assert.deepStrictEqual(await detect('captcha.html', broken), { type: 'captcha', selector: '#captcha-verify-container' });
+});
+
+test('interstitialError maps the type to an error code', () => {
+  const captcha = interstitialError({ type: 'captcha', selector: 'text' }, 'https://www.tiktok.com/@x');
+  assert.strictEqual(captcha.code, 'CAPTCHA');
+  assert.strictEqual(interstitialError({ type: 'login', selector: 'text' }).code, 'LOGIN_REQUIRED');
+});
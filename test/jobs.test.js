@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { JobManager, FINISHED_STATUSES } = require('../lib/jobs');
+const { MemoryJobStore } = require('../lib/job-store');
+const { silentLogger } = require('../lib/runtime');
+
+function manager(runners, store) {
+  return new JobManager({ runners, store, logger: silentLogger });
+}
+
+// Poll the store until the job reaches a finished status
+async function settled(jobs, id) {
+  for (let i = 0; i < 100; i++) {
+    const job = await jobs.get(id);
+    if (job && FINISHED_STATUSES.includes(job.status)) return job;
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  throw new Error(`Job ${id} did not finish`);
+}
+
+test('create queues a job that runs to completion with its progress', async () => {
+  const jobs = manager({
+    echo: async (params, context) => {
+      context.reportProgress(1, 1, 'done');
+      return { success: true, data: [params.value] };
+    }
+  });
+  const created = await jobs.create({ type: 'echo', params: { value: 42 } });
+  assert.strictEqual(created.status, 'queued');
+
+  const job = await settled(jobs, created.id);
+  assert.strictEqual(job.status, 'completed');
+  assert.deepStrictEqual(job.result, { success: true, data: [42] });
+  assert.ok(job.startedAt && job.finishedAt);
+});
+
+test('create rejects unknown job types', async () => {
+  const jobs = manager({ echo: async () => ({ success: true }) });
+  await assert.rejects(jobs.create({ type: 'nope' }), /Unknown job type "nope"/);
+});
+
+test('a thrown runner error or a failed envelope fails the job', async () => {
+  const jobs = manager({
+    boom: async () => { throw new Error('browser crashed'); },
+    empty: async () => ({ success: false, message: 'User not found' })
+  });
+  const thrown = await settled(jobs, (await jobs.create({ type: 'boom' })).id);
+  assert.strictEqual(thrown.status, 'failed');
+  assert.strictEqual(thrown.error, 'browser crashed');
+
+  const failed = await settled(jobs, (await jobs.create({ type: 'empty' })).id);
+  assert.strictEqual(failed.status, 'failed');
+  assert.strictEqual(failed.error, 'User not found');
+});
+
+test('a running job stops at its next isCancelled check and keeps the partial result', async () => {
+  let started;
+  const running = new Promise(resolve => { started = resolve; });
+  let stop;
+  const stopped = new Promise(resolve => { stop = resolve; });
+  const jobs = manager({
+    scroll: async (params, context) => {
+      started();
+      await stopped;
+      return { success: true, data: [1], cancelled: context.isCancelled() };
+    }
+  });
+  const created = await jobs.create({ type: 'scroll' });
+  await running;
+
+  const cancelling = await jobs.cancel(created.id);
+  assert.strictEqual(cancelling.status, 'running');
+  stop();
+  const job = await settled(jobs, created.id);
+  assert.strictEqual(job.status, 'cancelled');
+  assert.deepStrictEqual(job.result, { success: true, data: [1], cancelled: true });
+  assert.strictEqual(await jobs.cancel('missing'), null);
+});
+
+test('a store failure while starting marks the job failed instead of rejecting', async () => {
+  const store = new MemoryJobStore();
+  const save = store.save.bind(store);
+  store.save = async (job) => {
+    if (job.status === 'running') throw new Error('disk full');
+    return save(job);
+  };
+  let ran = false;
+  const jobs = manager({ echo: async () => { ran = true; return { success: true }; } }, store);
+
+  const job = await settled(jobs, (await jobs.create({ type: 'echo' })).id);
+  assert.strictEqual(job.status, 'failed');
+  assert.strictEqual(job.error, 'disk full');
+  assert.strictEqual(ran, false);
+  assert.strictEqual(jobs.running.size, 0);
+});
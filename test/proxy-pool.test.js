@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { ProxyPool } = require('../lib/proxy-pool');
+const { TikTokUserScraper } = require('../lib/scraper');
+const { ScraperRuntime, silentLogger } = require('../lib/runtime');
+
+const SPECS = ['http://10.0.0.1:8080', 'http://10.0.0.2:8080'];
+
+test('saturated proxies are skipped and acquire waits once all are busy', async () => {
+  const pool = new ProxyPool(SPECS, { maxConcurrency: 1, logger: silentLogger });
+  const first = await pool.acquire();
+  const second = await pool.acquire();
+  assert.notStrictEqual(first.id, second.id);
+
+  let third = null;
+  const waiting = pool.acquire().then(proxy => { third = proxy; });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.strictEqual(third, null);
+  assert.strictEqual(pool.getStats().waiting, 1);
+
+  pool.release(second);
+  await waiting;
+  assert.strictEqual(third.id, second.id);
+  assert.strictEqual(third.inFlight, 1);
+});
+
+test('busy healthy proxies are waited for instead of using a quarantined one', async () => {
+  const pool = new ProxyPool(SPECS, { maxConcurrency: 1, logger: silentLogger });
+  const [bad, good] = pool.proxies;
+  pool.quarantine(bad);
+  await pool.acquire();
+  assert.strictEqual(pool.pick(), null);
+  assert.strictEqual(good.inFlight, 1);
+});
+
+test('sticky keys are evicted least recently used first', async () => {
+  const pool = new ProxyPool(SPECS, { strategy: 'sticky', maxStickyKeys: 2, logger: silentLogger });
+  for (const key of ['a', 'b', 'a', 'c']) pool.release(await pool.acquire(key));
+  assert.deepStrictEqual(Array.from(pool.sticky.keys()), ['a', 'c']);
+});
+
+test('a sticky key keeps its pinned proxy while that proxy is only busy', async () => {
+  const pool = new ProxyPool(SPECS, { strategy: 'sticky', maxConcurrency: 1, logger: silentLogger });
+  const pinned = await pool.acquire('user');
+  const borrowed = await pool.acquire('user');
+  assert.notStrictEqual(borrowed.id, pinned.id);
+  assert.strictEqual(pool.sticky.get('user'), pinned.id);
+});
+
+function failingScraper(launchError) {
+  const proxyPool = new ProxyPool(SPECS.slice(0, 1), { logger: silentLogger });
+  const runtime = new ScraperRuntime({
+    env: {},
+    logger: silentLogger,
+    proxyPool,
+    browserPool: { acquire: async () => { throw launchError; } },
+    interstitialHandler: null
+  });
+  return { scraper: new TikTokUserScraper({ runtime }), proxy: proxyPool.proxies[0] };
+}
+
+test('openPage does not charge the proxy for a browser launch failure', async () => {
+  const { scraper, proxy } = failingScraper(new Error('Failed to launch the browser process!'));
+  await scraper.runtime.semaphore.acquire();
+  await assert.rejects(scraper.openPage('user'), /Failed to launch/);
+  assert.strictEqual(proxy.failures, 0);
+  assert.strictEqual(proxy.inFlight, 0);
+});
+
+test('openPage charges the proxy for a network failure', async () => {
+  const { scraper, proxy } = failingScraper(new Error('net::ERR_PROXY_CONNECTION_FAILED'));
+  await scraper.runtime.semaphore.acquire();
+  await assert.rejects(scraper.openPage('user'));
+  assert.deepStrictEqual(proxy.failuresByCode, { BLOCKED: 1 });
+});
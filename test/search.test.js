@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { TikTokUserScraper } = require('../lib/scraper');
+const { ScraperRuntime, silentLogger } = require('../lib/runtime');
+const { createFixturePage, createFixturePool } = require('./helpers/fixture-page');
+
+// Search API payload in the web shape (/api/search/item/full/)
+const searchItem = (id, username, desc) => ({
+  id,
+  desc,
+  createTime: 1700000000,
+  author: { uniqueId: username, nickname: username },
+  video: { duration: 15, cover: `https://p16-sign.tiktokcdn.com/cover-${id}.jpeg` },
+  stats: { playCount: 1000, diggCount: 100, commentCount: 10, shareCount: 1 }
+});
+
+function createScraper(responses, env = {}) {
+  const runtime = new ScraperRuntime({
+    env: { SCROLL_TIME_BUDGET_MS: '50', SCROLL_WAIT_MS: '1', PROXY_LIST: '', SESSION_COOKIES: '', ...env },
+    logger: silentLogger,
+    browserPool: createFixturePool(() => createFixturePage('search-video.html', {
+      url: 'https://www.tiktok.com/search/video?q=pho',
+      responses
+    })),
+    interstitialHandler: null
+  });
+  return new TikTokUserScraper({ runtime });
+}
+
+const phoResponses = [{
+  url: 'https://www.tiktok.com/api/search/item/full/?keyword=pho&offset=0',
+  body: {
+    item_list: [
+      searchItem('7300000000000000001', 'pho.hanoi', 'pho bo #pho'),
+      searchItem('7300000000000000002', 'pho.saigon', 'pho ga')
+    ]
+  }
+}];
+
+test('video search returns API results before DOM tiles', async () => {
+  const scraper = createScraper(phoResponses);
+
+  const { results, stopReason } = await scraper.scrapeSearch('pho', 3, { type: 'video' });
+  assert.deepStrictEqual(results.map(result => [result.type, result.id, result.source]), [
+    ['video', '7300000000000000001', 'api'],
+    ['video', '7300000000000000002', 'api'],
+    ['video', '7300000000000000003', 'dom']
+  ]);
+  assert.strictEqual(results[0].url, 'https://www.tiktok.com/@pho.hanoi/video/7300000000000000001');
+  assert.strictEqual(stopReason, 'maxResults');
+});
+
+test('maxResults and timeBudget are capped by MAX_SEARCH_RESULTS and MAX_TIME_BUDGET_MS', async () => {
+  const scraper = createScraper(phoResponses, { MAX_SEARCH_RESULTS: '2', MAX_TIME_BUDGET_MS: '60' });
+  assert.strictEqual(scraper.timeBudget({ timeBudget: '3600000' }), 60);
+  assert.strictEqual(scraper.timeBudget({ timeBudget: '20' }), 20);
+  assert.strictEqual(scraper.timeBudget({}), 50);
+
+  const { results, stopReason } = await scraper.scrapeSearch('pho', 100000, { type: 'video' });
+  assert.strictEqual(results.length, 2);
+  assert.strictEqual(stopReason, 'maxResults');
+});
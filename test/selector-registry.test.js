@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { SelectorRegistry, DEFAULT_CONFIG_FILE } = require('../lib/selector-registry');
+const { TikTokUserScraper } = require('../lib/scraper');
+const { ScraperRuntime, silentLogger } = require('../lib/runtime');
+const { createFixturePage } = require('./helpers/fixture-page');
+
+function overrideFile(t, sets) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'selectors-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'override.json');
+  fs.writeFileSync(file, JSON.stringify({ sets }));
+  return file;
+}
+
+const hotfix = (bio) => ({ name: 'hotfix', version: '1', priority: 100, scopes: { profile: { bio } } });
+
+test('a malformed override is rejected and the previous sets are kept', (t) => {
+  const file = overrideFile(t, [hotfix(['.bio-v2'])]);
+  const registry = new SelectorRegistry({ files: [DEFAULT_CONFIG_FILE, file], logger: silentLogger });
+  assert.strictEqual(registry.getScope('profile').bio[0].selector, '.bio-v2');
+
+  for (const bio of [[], [''], [42], { selector: '.bio' }]) {
+    fs.writeFileSync(file, JSON.stringify({ sets: [hotfix(bio)] }));
+    assert.strictEqual(registry.loadFile(path.resolve(file), true), false);
+    assert.strictEqual(registry.getScope('profile').bio[0].selector, '.bio-v2');
+  }
+});
+
+test('selectorScope drops selectors the page cannot parse and keeps the rest', async (t) => {
+  const file = overrideFile(t, [hotfix(['div[data-e2e=', '[data-e2e="user-bio"]'])]);
+  const runtime = new ScraperRuntime({
+    env: { PROXY_LIST: '', SESSION_COOKIES: '' },
+    logger: silentLogger,
+    selectorRegistry: new SelectorRegistry({ files: [DEFAULT_CONFIG_FILE, file], logger: silentLogger }),
+    interstitialHandler: null
+  });
+  const scraper = new TikTokUserScraper({ runtime });
+  const page = createFixturePage('profile-universal.html');
+  try {
+    const fields = await scraper.selectorScope(page, 'profile');
+    const bio = fields.bio.map(entry => entry.selector);
+    assert.ok(!bio.includes('div[data-e2e='));
+    assert.strictEqual(bio[0], '[data-e2e="user-bio"]');
+    assert.ok(fields.ready.length > 0);
+  } finally {
+    await page.close();
+  }
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parseCookies, formatNetscapeCookies, SessionStore } = require('../lib/sessions');
+const { silentLogger } = require('../lib/runtime');
+
+const FAR_FUTURE = 4102444800; // 2100-01-01
+
+const cookiesTxt = [
+  '# Netscape HTTP Cookie File',
+  '# https://curl.se/docs/http-cookies.html',
+  '',
+  `#HttpOnly_.tiktok.com\tTRUE\t/\tTRUE\t${FAR_FUTURE}\tsessionid\tabc123`,
+  `www.tiktok.com\tFALSE\t/foryou\tFALSE\t0\ttt_csrf_token\tx\ty`,
+  'not a cookie line',
+  ''
+].join('\r\n');
+
+test('parses Netscape cookies.txt with HttpOnly lines, session cookies and tabs in values', () => {
+  const { format, cookies } = parseCookies(cookiesTxt);
+  assert.strictEqual(format, 'netscape');
+  assert.deepStrictEqual(cookies, [
+    { name: 'sessionid', value: 'abc123', domain: '.tiktok.com', path: '/', expires: FAR_FUTURE, httpOnly: true, secure: true },
+    { name: 'tt_csrf_token', value: 'x\ty', domain: 'www.tiktok.com', path: '/foryou', expires: -1, httpOnly: false, secure: false }
+  ]);
+});
+
+test('formatNetscapeCookies round-trips through parseCookies', () => {
+  const { cookies } = parseCookies(cookiesTxt);
+  assert.deepStrictEqual(parseCookies(formatNetscapeCookies(cookies)).cookies, cookies);
+});
+
+test('parses JSON exports and Cookie headers', () => {
+  const json = parseCookies(JSON.stringify({ cookies: [{ name: 'sessionid', value: 'abc', expirationDate: FAR_FUTURE + 0.5, sameSite: 'no_restriction' }] }));
+  assert.strictEqual(json.format, 'json');
+  assert.deepStrictEqual(json.cookies[0], { name: 'sessionid', value: 'abc', domain: '.tiktok.com', path: '/', expires: FAR_FUTURE, httpOnly: false, secure: true, sameSite: 'None' });
+
+  const header = parseCookies('sessionid=abc; msToken=a=b');
+  assert.strictEqual(header.format, 'header');
+  assert.deepStrictEqual(header.cookies.map(cookie => [cookie.name, cookie.value]), [['sessionid', 'abc'], ['msToken', 'a=b']]);
+});
+
+test('concurrent refreshes of a file session leave the latest cookies and no tmp files', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'main.txt'), cookiesTxt);
+  const store = new SessionStore({ dir, logger: silentLogger });
+
+  await Promise.all(['1', '2', '3'].map(value => store.refresh('main', [{ name: 'msToken', value, expires: FAR_FUTURE }])));
+
+  assert.deepStrictEqual(fs.readdirSync(dir), ['main.txt']);
+  const { format, cookies } = parseCookies(fs.readFileSync(path.join(dir, 'main.txt'), 'utf8'));
+  assert.strictEqual(format, 'netscape');
+  assert.strictEqual(cookies.find(cookie => cookie.name === 'msToken').value, '3');
+  assert.ok(cookies.some(cookie => cookie.name === 'sessionid'));
+});
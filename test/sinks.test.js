@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { signPayload, createSink, SinkRegistry } = require('../lib/sinks');
+const { silentLogger } = require('../lib/runtime');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sinks-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const profile = {
+  username: 'example.creator',
+  displayName: 'Example, "The" Creator',
+  followers: '1.2M',
+  following: '87',
+  likes: '34.5M',
+  stats: {
+    followers: { count: 1200000, text: '1.2M' },
+    following: { count: 87, text: '87' },
+    likes: { count: 34500000, text: '34.5M' }
+  },
+  videoCount: 120,
+  verified: true,
+  bio: 'line one\nline two'
+};
+
+function batch(records, scrapedAt = '2026-01-01T00:00:00.000Z') {
+  return { type: 'profile', params: {}, scrapedAt, records: records.map(record => ({ kind: 'profile', record })) };
+}
+
+test('signPayload is the HMAC-SHA256 of "<timestamp>.<body>"', () => {
+  assert.strictEqual(
+    signPayload('s3cret', '1700000000', '{"event":"scrape.result"}'),
+    'e2594c983743a43692b026c629ea564db6a675f7e3d58bb956ae918a6450f2df'
+  );
+  assert.notStrictEqual(signPayload('other', '1700000000', '{"event":"scrape.result"}'), signPayload('s3cret', '1700000000', '{"event":"scrape.result"}'));
+});
+
+test('csv sink writes the header once, escapes cells and exports parsed counts', async (t) => {
+  const file = path.join(tempDir(t), 'profiles.csv');
+  const sink = createSink(`csv:${file}`);
+  await sink.write(batch([profile]));
+  await sink.write(batch([{ ...profile, username: 'second' }], '2026-01-02T00:00:00.000Z'));
+  await sink.close();
+
+  const text = fs.readFileSync(file, 'utf8');
+  assert.ok(text.startsWith('scrapedAt,username,displayName,stats.followers.count,stats.following.count,stats.likes.count,videoCount,'));
+  assert.strictEqual(text.match(/^scrapedAt,/gm).length, 1);
+  assert.ok(text.includes('2026-01-01T00:00:00.000Z,example.creator,"Example, ""The"" Creator",1200000,87,34500000,120,true,'));
+  assert.ok(text.includes('"line one\nline two"'));
+  assert.ok(text.includes('2026-01-02T00:00:00.000Z,second,'));
+});
+
+test('csv sink refuses a file created with other columns', async (t) => {
+  const file = path.join(tempDir(t), 'profiles.csv');
+  fs.writeFileSync(file, 'scrapedAt,username\n');
+  const sink = createSink(`csv:${file}`);
+  await assert.rejects(sink.write(batch([profile])), /different columns/);
+});
+
+test('jsonl sink appends one line per record with kind and scrapedAt', async (t) => {
+  const file = path.join(tempDir(t), '{kind}.jsonl');
+  const sink = createSink(`jsonl:${file}`);
+  assert.deepStrictEqual(await sink.write(batch([profile])), { written: 1 });
+  await sink.write(batch([{ username: 'second' }], '2026-01-02T00:00:00.000Z'));
+  await sink.close();
+
+  const lines = fs.readFileSync(file.replace('{kind}', 'profile'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.strictEqual(lines.length, 2);
+  assert.deepStrictEqual(lines[0], { kind: 'profile', scrapedAt: '2026-01-01T00:00:00.000Z', ...profile });
+  assert.deepStrictEqual(lines[1], { kind: 'profile', scrapedAt: '2026-01-02T00:00:00.000Z', username: 'second' });
+});
+
+test('enqueue returns the queued sink names and close waits for the delivery', async (t) => {
+  const file = path.join(tempDir(t), 'archive.jsonl');
+  const registry = new SinkRegistry({ archive: `jsonl:${file}` }, { logger: silentLogger });
+  assert.deepStrictEqual(registry.enqueue([], { type: 'profile', envelope: { success: true, user: profile } }), []);
+  assert.deepStrictEqual(registry.enqueue('archive', { type: 'profile', envelope: { success: true, user: profile } }), ['archive']);
+  await registry.close();
+  assert.strictEqual(fs.readFileSync(file, 'utf8').trim().split('\n').length, 1);
+});
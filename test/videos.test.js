@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { normalizeVideoItem, normalizeVideoDetail, parseSince } = require('../lib/videos');
+
+// App API (aweme) shape: snake_case, ms durations, covers as { url_list }
+const awemeItem = {
+  aweme_id: '7300000000000000009',
+  desc: 'bún chả #hanoi',
+  create_time: 1700000000,
+  author: { uid: '42', unique_id: 'street.food', nickname: 'Street Food' },
+  video: {
+    duration: 15000,
+    cover: { url_list: ['https://c/a.jpg', 'https://c/b.jpg'] },
+    origin_cover: { url_list: ['https://c/origin.jpg'] },
+    dynamic_cover: { url_list: ['https://c/dynamic.webp'] }
+  },
+  statistics: { play_count: 1000, digg_count: 100, comment_count: 10, share_count: 1 },
+  is_top: 1
+};
+
+test('normalizes an aweme item with URL-list covers', () => {
+  const video = normalizeVideoItem(awemeItem);
+  assert.strictEqual(video.cover, 'https://c/a.jpg');
+  assert.strictEqual(video.url, 'https://www.tiktok.com/@street.food/video/7300000000000000009');
+  assert.strictEqual(video.duration, 15);
+  assert.strictEqual(video.pinned, true);
+  assert.deepStrictEqual(video.stats, { views: 1000, likes: 100, comments: 10, shares: 1 });
+  assert.deepStrictEqual(video.hashtags, ['hanoi']);
+
+  const detail = normalizeVideoDetail(awemeItem);
+  assert.deepStrictEqual(detail.covers, {
+    cover: 'https://c/a.jpg',
+    originCover: 'https://c/origin.jpg',
+    dynamicCover: 'https://c/dynamic.webp'
+  });
+});
+
+test('keeps web item covers, falling back to originCover', () => {
+  const item = { id: '7300000000000000001', author: { uniqueId: 'a' }, video: { cover: 'https://c/web.jpg' } };
+  assert.strictEqual(normalizeVideoItem(item).cover, 'https://c/web.jpg');
+  const noCover = { ...item, video: { cover: '', originCover: 'https://c/origin.jpg' } };
+  assert.strictEqual(normalizeVideoItem(noCover).cover, 'https://c/origin.jpg');
+});
+
+test('parseSince takes ISO dates and unix seconds or milliseconds', () => {
+  assert.strictEqual(parseSince('2024-01-01T00:00:00Z'), 1704067200);
+  assert.strictEqual(parseSince('1704067200'), 1704067200);
+  assert.strictEqual(parseSince('1704067200000'), 1704067200);
+  assert.strictEqual(parseSince('not a date'), null);
+});
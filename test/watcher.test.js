@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parseInterval, parseTimeParam, diffSnapshots } = require('../lib/watcher');
+const { createWatchStore, MemoryWatchStore } = require('../lib/watch-store');
+
+const snapshot = {
+  username: 'example.creator',
+  scrapedAt: '2026-01-01T00:00:00.000Z',
+  followers: 1000,
+  following: 10,
+  likes: 5000,
+  videoCount: 20,
+  displayName: 'Example',
+  bio: 'old bio',
+  avatarId: 'abc123',
+  verified: false,
+  privateAccount: false
+};
+
+test('parseInterval takes ms numbers and unit suffixes', () => {
+  assert.strictEqual(parseInterval(5000), 5000);
+  assert.strictEqual(parseInterval('250'), 250);
+  assert.strictEqual(parseInterval('90s'), 90 * 1000);
+  assert.strictEqual(parseInterval('15m'), 15 * 60 * 1000);
+  assert.strictEqual(parseInterval(' 6H '), 6 * 60 * 60 * 1000);
+  assert.strictEqual(parseInterval('1.5d'), 36 * 60 * 60 * 1000);
+  for (const invalid of [0, -1, Infinity, '0s', '-5m', '6 hours', 'soon', '', null, undefined]) {
+    assert.strictEqual(parseInterval(invalid), null, `${invalid} should be invalid`);
+  }
+});
+
+test('parseTimeParam reads durations as "that long ago"', () => {
+  const now = Date.parse('2026-01-08T00:00:00.000Z');
+  assert.strictEqual(parseTimeParam('7d', now), '2026-01-01T00:00:00.000Z');
+  assert.strictEqual(parseTimeParam('1704067200', now), '2024-01-01T00:00:00.000Z');
+  assert.strictEqual(parseTimeParam('yesterday', now), null);
+});
+
+test('diffSnapshots returns count deltas and changed fields', () => {
+  const current = {
+    ...snapshot,
+    scrapedAt: '2026-01-02T00:00:00.000Z',
+    followers: 1500,
+    likes: 4900,
+    videoCount: 22,
+    bio: 'new bio'
+  };
+  const delta = diffSnapshots(snapshot, current);
+  assert.strictEqual(delta.since, snapshot.scrapedAt);
+  assert.strictEqual(delta.elapsedMs, 24 * 60 * 60 * 1000);
+  assert.strictEqual(delta.followers, 500);
+  assert.strictEqual(delta.following, 0);
+  assert.strictEqual(delta.likes, -100);
+  assert.strictEqual(delta.newVideos, 2);
+  assert.deepStrictEqual(delta.changed, { bio: { from: 'old bio', to: 'new bio' } });
+  assert.strictEqual(diffSnapshots(null, current), null);
+});
+
+test('diffSnapshots leaves unknown counts and unread fields out', () => {
+  const current = { ...snapshot, scrapedAt: '2026-01-02T00:00:00.000Z', followers: null, videoCount: 18, bio: null, verified: null };
+  const delta = diffSnapshots(snapshot, current);
+  assert.strictEqual(delta.followers, null);
+  assert.strictEqual(delta.videoCount, -2);
+  assert.strictEqual(delta.newVideos, 0);
+  assert.deepStrictEqual(delta.changed, {});
+});
+
+test('diffSnapshots counts new videos by id when both snapshots track them', () => {
+  const previous = { ...snapshot, videoIds: ['3', '2', '1'] };
+  const byId = diffSnapshots(previous, { ...snapshot, videoCount: 21, videoIds: ['5', '4', '3'] });
+  assert.deepStrictEqual(byId.newVideoIds, ['5', '4']);
+  assert.strictEqual(byId.newVideos, 2);
+  // More uploads than tracked ids: the count growth wins
+  const burst = diffSnapshots(previous, { ...snapshot, videoCount: 30, videoIds: ['9', '8', '7'] });
+  assert.strictEqual(burst.newVideos, 10);
+});
+
+test('the watch store stays in memory unless WATCH_STORE=file', () => {
+  assert.ok(createWatchStore({}) instanceof MemoryWatchStore);
+  assert.throws(() => createWatchStore({ WATCH_STORE: 'redis' }), /Unknown watch store "redis"/);
+});
@@ -1,31 +1,16 @@
-// index.js
+// HTTP API on top of the scraper library (index.js): routes validate input, answer through the
+// response cache and hand long scrapes to the job runner; all scraping goes through one client
 const express = require('express');
 const cors = require('cors');
-
-// Simple logging for data scraping
-const log = {
-  scrape: (msg, data = '') => console.log(`[SCRAPE] ${new Date().toLocaleTimeString()} - ${msg}`, data),
-  error: (msg, data = '') => console.error(`[ERROR] ${new Date().toLocaleTimeString()} - ${msg}`, data),
-  success: (msg, data = '') => console.log(`[SUCCESS] ${new Date().toLocaleTimeString()} - ${msg}`, data)
-};
-
-// Force use puppeteer for Windows compatibility
-let puppeteer, chromium;
-try {
-  puppeteer = require('puppeteer');
-  chromium = null;
-  console.log('✅ Using puppeteer (Windows compatible)');
-} catch (err) {
-  console.log('⚠️ puppeteer not available, trying puppeteer-core');
-  try {
-    puppeteer = require('puppeteer-core');
-    chromium = require('@sparticuz/chromium');
-    console.log('✅ Using puppeteer-core with chromium');
-  } catch (err2) {
-    console.error('❌ Neither puppeteer nor puppeteer-core available');
-    throw err2;
-  }
-}
+const { createClient, SEARCH_TYPES, parseUsernameList } = require('./index');
+const { JobManager } = require('./lib/jobs');
+const { ResponseCache, createCacheStore, ttlsFromEnv, cacheKey, cacheControlHeader } = require('./lib/cache');
+const { httpStatusFor } = require('./lib/errors');
+const { createJobStore } = require('./lib/job-store');
+const { createSinkRegistry, parseSinkNames } = require('./lib/sinks');
+const { createWatchStore } = require('./lib/watch-store');
+const { createWatchScheduler, parseTimeParam } = require('./lib/watcher');
+const { createEventBus, EVENT_TYPES } = require('./lib/events');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -33,623 +18,641 @@ const PORT = process.env.PORT || 3000;
 app.use(cors());
 app.use(express.json());
 
-// Global browser instance (reuse to save startup time)
-let globalBrowser = null;
+// asyncRoute: Express 4 does not catch rejected handlers, so async routes pass their errors to
+// next() and the error handler below answers with JSON instead of leaving the request hanging
+function asyncRoute(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
 
-// Semaphore to limit concurrent pages (max N pages simultaneously)
-class Semaphore {
-  constructor(maxConcurrent = 5) {
-    this.maxConcurrent = maxConcurrent;
-    this.currentConcurrent = 0;
-    this.queue = [];
-  }
+// Browser pool, page semaphore, proxies, device profiles, sessions and selectors of the
+// process-wide runtime, configured from the environment (see README)
+const client = createClient();
+const { runtime } = client;
+const log = runtime.log;
 
-  async acquire() {
-    return new Promise((resolve) => {
-      if (this.currentConcurrent < this.maxConcurrent) {
-        this.currentConcurrent++;
-        resolve();
-      } else {
-        this.queue.push(resolve);
-      }
-    });
-  }
+const MAX_BATCH_SIZE = parseInt(process.env.MAX_BATCH_SIZE) || 500;
 
-  release() {
-    this.currentConcurrent--;
-    if (this.queue.length > 0) {
-      const next = this.queue.shift();
-      this.currentConcurrent++;
-      next();
-    }
+// `since` of video listings and the event log: date, unix time or a duration such as 7d (like /history)
+const SINCE_ERROR = 'since must be a date, unix time or a duration like 7d';
+
+// Export sinks (SINKS / SINKS_FILE): requests and jobs pick them by name through `sink`
+const sinkRegistry = createSinkRegistry();
+
+// Unknown sink names of a request / job spec, [] when all are configured
+function unknownSinks(names) {
+  return parseSinkNames(names).filter(name => !sinkRegistry.has(name));
+}
+
+// withSinks: job runner that also writes a successful (or cancelled, partial) result to
+// `params.sink` or the default sinks. Delivery is queued, so the job finishes without waiting on
+// webhook retries; the job result says `sinks: 'queued'`
+function withSinks(type, runner) {
+  return async (params, job) => {
+    const result = await runner(params, job);
+    if (!result || !result.success) return result;
+    const sinks = sinkRegistry.enqueue(params.sink, { type, params, envelope: result });
+    return sinks.length ? { ...result, sinks: 'queued' } : result;
+  };
+}
+
+// Background jobs run the same client calls as the synchronous routes; every scrape still
+// goes through the runtime's page semaphore, so queued jobs simply wait for a free page slot
+const jobManager = new JobManager({
+  store: createJobStore(),
+  ttl: parseInt(process.env.JOB_TTL_MS) || 60 * 60 * 1000,
+  runners: {
+    search: withSinks('search', (params, job) => client.search(params.query, parseInt(params.maxResults) || 5, {
+      cursor: params.cursor,
+      timeBudget: params.timeBudget,
+      type: params.type || 'user',
+      profile: params.profile,
+      session: params.session,
+      onProgress: job.reportProgress,
+      shouldStop: job.isCancelled
+    })),
+    profile: withSinks('profile', (params, job) => {
+      const usernames = parseUsernameList(params.usernames || params.username);
+      if (usernames.length === 1) return client.profile(usernames[0], { profile: params.profile, session: params.session });
+      // Cancelled jobs skip the profiles still waiting for a page slot
+      return client.profiles(usernames, {
+        profile: params.profile,
+        session: params.session,
+        onProgress: job.reportProgress,
+        shouldStop: job.isCancelled
+      });
+    }),
+    followers: withSinks('followers', (params, job) => client.followers(params.username, {
+      limit: params.limit,
+      cursor: params.cursor,
+      timeBudget: params.timeBudget,
+      profile: params.profile,
+      session: params.session,
+      onProgress: job.reportProgress,
+      shouldStop: job.isCancelled
+    })),
+    following: withSinks('following', (params, job) => client.following(params.username, {
+      limit: params.limit,
+      cursor: params.cursor,
+      timeBudget: params.timeBudget,
+      profile: params.profile,
+      session: params.session,
+      onProgress: job.reportProgress,
+      shouldStop: job.isCancelled
+    })),
+    videos: withSinks('videos', (params, job) => client.videos(params.username, {
+      limit: params.limit,
+      since: parseTimeParam(params.since) || undefined,
+      timeBudget: params.timeBudget,
+      profile: params.profile,
+      session: params.session,
+      onProgress: job.reportProgress,
+      shouldStop: job.isCancelled
+    }))
   }
+});
 
-  getStats() {
-    return {
-      maxConcurrent: this.maxConcurrent,
-      currentConcurrent: this.currentConcurrent,
-      queueLength: this.queue.length
-    };
+// Reject specs that could never run before they take a job slot
+function validateJobSpec({ type, params = {} }) {
+  if (!jobManager.types.includes(type)) return `Unknown job type "${type}" (expected one of: ${jobManager.types.join(', ')})`;
+  if (params.profile && !runtime.deviceProfiles.has(params.profile)) return `Unknown device profile "${params.profile}"`;
+  if (params.session && !runtime.sessionStore.has(params.session)) return `Unknown session "${params.session}"`;
+  if (unknownSinks(params.sink).length) return `Unknown sink "${unknownSinks(params.sink)[0]}"`;
+  if (type === 'search') {
+    if (!params.query) return 'Query parameter is required';
+    if (params.type && !SEARCH_TYPES.includes(params.type)) return `Unknown search type "${params.type}"`;
   }
+  if (type === 'profile') {
+    let count;
+    try {
+      count = parseUsernameList(params.usernames || params.username).length;
+    } catch (err) {
+      return `Invalid usernames: ${err.message}`;
+    }
+    if (count === 0) return 'Username parameter is required';
+    if (count > MAX_BATCH_SIZE) return `At most ${MAX_BATCH_SIZE} usernames per batch`;
+  }
+  if (['videos', 'followers', 'following'].includes(type) && !params.username) return 'Username parameter is required';
+  if (type === 'videos' && params.since && !parseTimeParam(params.since)) return SINCE_ERROR;
+  return null;
 }
 
-// Global semaphore instance
-const pageSemaphore = new Semaphore(parseInt(process.env.MAX_CONCURRENT_PAGES) || 5);
+// Change events of watched accounts: event log (EVENT_LOG), SSE subscribers, signed webhooks
+const eventBus = createEventBus();
 
-class TikTokUserScraper {
-  constructor() {
-    this.browser = null;
+// Watch list: profiles re-scraped on their own interval, snapshots kept in WATCH_STORE. Fresh
+// snapshots are checked against the watch's event rules and go to its sinks (or the default ones)
+const watcher = createWatchScheduler(client, createWatchStore(), process.env, {
+  onSnapshot: async (watch, snapshot, result) => {
+    eventBus.process(watch, snapshot);
+    sinkRegistry.enqueue(watch.sink, { type: 'profile', params: { username: watch.username }, envelope: result });
   }
+});
 
-  // Helper method to wait for any of multiple selectors
-  async waitForAnySelector(page, selectors, timeout = 15000) {
-    const promises = selectors.map(selector => 
-      page.waitForSelector(selector, { timeout: timeout / selectors.length }).catch(() => null)
-    );
-    
-    const results = await Promise.allSettled(promises);
-    const success = results.some(result => result.status === 'fulfilled' && result.value !== null);
-    
-    return success;
+// Event log query from `after` (sequence number), `since` (date, unix time or "7d"), `username`
+// and `type` (comma lists) and `limit`; { error } when a value is invalid
+function parseEventQuery(query) {
+  const types = String(query.type || '').split(',').map(type => type.trim()).filter(Boolean);
+  const unknown = types.find(type => !EVENT_TYPES.includes(type));
+  if (unknown) return { error: `Unknown event type "${unknown}" (expected one of: ${EVENT_TYPES.join(', ')})` };
+  const since = parseTimeParam(query.since);
+  if (query.since && !since) return { error: SINCE_ERROR };
+  let usernames;
+  try {
+    usernames = parseUsernameList(query.username || []);
+  } catch (err) {
+    return { error: `Invalid username: ${err.message}` };
   }
+  return {
+    after: parseInt(query.after) || 0,
+    since,
+    usernames,
+    types,
+    limit: parseInt(query.limit) || undefined
+  };
+}
 
-  // Helper method to check if elements exist
-  async checkElementsExist(page, selectors) {
-    return await page.evaluate((selectors) => {
-      return selectors.some(selector => document.querySelector(selector) !== null);
-    }, selectors);
-  }
+setInterval(() => jobManager.prune().catch(err => log.error('Job prune failed:', err.message)), 5 * 60 * 1000).unref();
 
-  async ensureBrowser() {
-    if (globalBrowser) {
-      this.browser = globalBrowser;
-      return;
-    }
+// Response cache: per-type TTLs (CACHE_TTL_<TYPE>), optional stale-while-revalidate window
+const responseCache = new ResponseCache({
+  store: createCacheStore(),
+  ttls: ttlsFromEnv(),
+  staleWhileRevalidate: parseInt(process.env.CACHE_STALE_WHILE_REVALIDATE) || 0
+});
 
-    let launchOptions;
-
-    if (chromium) {
-      // Production mode: use sparticuz chromium (works well on Render)
-      launchOptions = {
-        headless: chromium.headless,
-        args: chromium.args.concat([
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-gpu',
-        ]),
-        ignoreHTTPSErrors: true,
-      };  
+// deliverToSinks: queue a successful result for the request's sinks and return the response's
+// `sinks` field ('queued', or undefined when nothing was queued). Sinks named in the request always
+// receive it; the default sinks only get fresh scrapes, so cache hits are not exported twice
+function deliverToSinks(req, type, params, value, fresh = true) {
+  if (!value || !value.success) return undefined;
+  if (req.sinks.length === 0 && !fresh) return undefined;
+  return sinkRegistry.enqueue(req.sinks, { type, params, envelope: value }).length ? 'queued' : undefined;
+}
 
-    try {
-      // executablePath may throw if not available — chromium handles it in many envs
-      launchOptions.executablePath = await chromium.executablePath();
-    } catch (err) {
-      // Fallback: leave executablePath undefined and let puppeteer-core try default
-      console.warn('⚠️ chromium.executablePath() failed, falling back to default executablePath:', err.message);
-      }
-    } else {
-      // Development mode: use regular puppeteer
-      launchOptions = {
-        headless: true,
-        executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || undefined,
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-gpu',
-          '--disable-web-security',
-          '--disable-features=VizDisplayCompositor'
-        ],
-        ignoreHTTPSErrors: true,
-      };
-    }
+// sendCached: answer a scrape route through the cache; `fresh=1` (query or body) forces a new scrape.
+// GET and POST variants of a route share entries because the key is built from the data type
+async function sendCached(req, res, type, params, fetcher) {
+  const fresh = ['1', 'true'].includes(String(req.query.fresh || (req.body && req.body.fresh)));
+  // Logged-in scrapes can see more than anonymous ones, so they never share entries
+  const session = req.scrapeOptions && req.scrapeOptions.session;
+  const result = await responseCache.wrap(type, cacheKey(type, { ...params, session }), fetcher, { fresh });
+  res.status(httpStatusFor(result.value));
+  res.set('X-Cache', result.status);
+  res.set('Cache-Control', cacheControlHeader(result, responseCache.staleWhileRevalidate));
+  if (result.status === 'HIT' || result.status === 'STALE') res.set('Age', String(result.age));
+  const sinks = deliverToSinks(req, type, params, result.value, result.status === 'MISS' || result.status === 'BYPASS');
+  res.json(sinks ? { ...result.value, sinks } : result.value);
+}
 
-    console.log('🚀 Launching browser...');
-    this.browser = await puppeteer.launch(launchOptions);
-    globalBrowser = this.browser;
-    console.log('✅ Browser launched and saved to globalBrowser');
+// `profile` and `session` (query or body) pick the device profile and logged-in session of the
+// scrape, `sink` (comma list or array) the export sinks; unknown names are rejected up front
+app.use('/api', (req, res, next) => {
+  const param = name => req.query[name] || (req.body && typeof req.body[name] === 'string' ? req.body[name] : undefined);
+  const profile = param('profile');
+  const session = param('session');
+  if (profile && !runtime.deviceProfiles.has(profile)) {
+    return res.status(400).json({ success: false, error: `Unknown device profile "${profile}" (available: ${runtime.deviceProfiles.names().join(', ')})` });
   }
+  if (session && !runtime.sessionStore.has(session)) {
+    return res.status(400).json({ success: false, error: `Unknown session "${session}" (available: ${runtime.sessionStore.names().join(', ') || 'none'})` });
+  }
+  const sinks = parseSinkNames(req.query.sink || (req.body && req.body.sink));
+  const unknown = sinks.filter(name => !sinkRegistry.has(name));
+  if (unknown.length) {
+    return res.status(400).json({ success: false, error: `Unknown sink "${unknown[0]}" (available: ${sinkRegistry.names().join(', ') || 'none'})` });
+  }
+  req.scrapeOptions = { profile, session };
+  req.sinks = sinks;
+  next();
+});
 
-  // scrapeUserProfile: scrape specific user profile by username
-  async scrapeUserProfile(username) {
-    if (!username) throw new Error('Username parameter is required');
-
-    log.scrape(`Starting user profile scrape for: ${username}`);
-    
-    // Acquire semaphore before creating page
-    await pageSemaphore.acquire();
+// Routes
+app.get('/api/scrape', asyncRoute(async (req, res) => {
+  const { query, maxResults = 5, cursor, timeBudget, type = 'user' } = req.query;
+  if (!query) return res.status(400).json({ success: false, error: 'Query parameter is required' });
+  if (!SEARCH_TYPES.includes(type)) return res.status(400).json({ success: false, error: `Unknown search type "${type}"` });
+  await sendCached(req, res, 'search', { query, maxResults: parseInt(maxResults) || 5, cursor, timeBudget, type },
+    () => client.search(query, parseInt(maxResults) || 5, { cursor, timeBudget, type, ...req.scrapeOptions }));
+}));
 
-    await this.ensureBrowser();
-    const page = await this.browser.newPage();
-    
-    try {
-      // Set viewport & UA
-      await page.setViewport({ width: 1200, height: 800 });
-      await page.setUserAgent(
-        'Mozilla/5.0 (Linux; Android 14; Pixel 7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/141.0.7390.78 Mobile Safari/537.36'
-      );
-
-      const url = `https://www.tiktok.com/@${username}`;
-      log.scrape(`Navigating to: ${url}`);
-
-      await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
-
-      // Wait for profile content — use multiple selectors
-      const profileSelectors = [
-        '[data-e2e="user-title"]',                           // User title
-        '.user-title',                                       // Generic user title
-        'h1', 'h2',                                         // Headers
-        'img[src*="tiktokcdn.com"]',                        // TikTok images
-        '[data-e2e="user-avatar"] img',                     // User avatar
-        '.css-1iaxnh7-5e6d46e3--PTitle.e11zs9t55'         // TikTok username class
-      ];
-
-      const hasContent = await this.waitForAnySelector(page, profileSelectors, 20000);
-      
-      if (hasContent) {
-        log.success('Profile loaded successfully');
-      } else {
-        log.error('Profile may be private or not found');
-      }
-
-      // Double-check if we have profile content before extracting data
-      const hasProfileContent = await this.checkElementsExist(page, [
-        '[data-e2e="user-title"]', '.user-title', 'h1', 'h2',
-        'img[src*="tiktokcdn.com"]', '[data-e2e="user-avatar"] img'
-      ]);
-
-      if (!hasProfileContent) {
-        log.error('No profile content found - profile may be private or not exist');
-        return null;
-      }
-
-      log.scrape(`Found profile content, proceeding with extraction...`);
-
-      // Extract user profile information
-      log.scrape('Extracting user profile data...');
-      const userInfo = await page.evaluate(() => {
-        const result = {
-          username: '',
-          displayName: '',
-          bio: '',
-          avatar: '',
-          followers: '',
-          following: '',
-          likes: '',
-          verified: false,
-          videos: []
-        };
-
-        // Get username from URL or title
-        const url = window.location.href;
-        const usernameMatch = url.match(/\/@([^\/\?]+)/);
-        if (usernameMatch) {
-          result.username = usernameMatch[1];
-        }
-
-        // Get display name - using specific TikTok CSS classes
-        const nameSelectors = [
-          '.css-1iaxnh7-5e6d46e3--PTitle.e11zs9t55', // TikTok username class
-          '[data-e2e="user-title"]',
-          '.user-title',
-          'h1',
-          'h2',
-          '[class*="username"]',
-          '[class*="displayName"]'
-        ];
-        
-        for (const selector of nameSelectors) {
-          const el = document.querySelector(selector);
-          if (el && el.textContent.trim()) {
-            result.displayName = el.textContent.trim();
-            break;
-          }
-        }
-
-        // Get bio/description - using specific TikTok CSS classes
-        const bioSelectors = [
-          '[data-e2e="search-user-nickname"]', // TikTok user nickname class
-          '.css-1cjzxd7-5e6d46e3--PUserSubTitle.e11zs9t57', // TikTok user subtitle class
-          '[data-e2e="user-bio"]',
-          '.user-bio',
-          '[class*="bio"]',
-          '[class*="description"]',
-          'p'
-        ];
-        
-        for (const selector of bioSelectors) {
-          const el = document.querySelector(selector);
-          if (el && el.textContent.trim() && el.textContent.trim() !== result.displayName) {
-            result.bio = el.textContent.trim();
-            break;
-          }
-        }
-
-        // Get avatar - using specific TikTok CSS classes
-        const avatarSelectors = [
-          '.css-g3le1f-5e6d46e3--ImgAvatar.e1iqrkv71 img', // TikTok avatar class
-          '[data-e2e="user-avatar"] img',
-          '.user-avatar img',
-          'img'
-        ];
-        
-        for (const selector of avatarSelectors) {
-          const avatarEl = document.querySelector(selector);
-          if (avatarEl) {
-            result.avatar = avatarEl.src || avatarEl.getAttribute('src') || '';
-            if (result.avatar) break;
-          }
-        }
-
-        // Get follower count
-        const followerSelectors = [
-          '[data-e2e="followers-count"]',
-          '.followers-count',
-          '[class*="follower"]',
-          'strong'
-        ];
-        
-        for (const selector of followerSelectors) {
-          const el = document.querySelector(selector);
-          if (el && el.textContent.includes('Followers')) {
-            result.followers = el.textContent.trim();
-            break;
-          }
-        }
-
-        // Get following count
-        const followingSelectors = [
-          '[data-e2e="following-count"]',
-          '.following-count',
-          '[class*="following"]'
-        ];
-        
-        for (const selector of followingSelectors) {
-          const el = document.querySelector(selector);
-          if (el && el.textContent.includes('Following')) {
-            result.following = el.textContent.trim();
-            break;
-          }
-        }
-
-        // Get likes count
-        const likesSelectors = [
-          '[data-e2e="likes-count"]',
-          '.likes-count',
-          '[class*="likes"]'
-        ];
-        
-        for (const selector of likesSelectors) {
-          const el = document.querySelector(selector);
-          if (el && el.textContent.includes('Likes')) {
-            result.likes = el.textContent.trim();
-            break;
-          }
-        }
-
-        // Check if verified
-        const verifiedEl = document.querySelector('[data-e2e="verified-icon"], .verified-icon, [class*="verified"]');
-        result.verified = !!verifiedEl;
-
-        // Get recent videos (basic info)
-        const videoElements = document.querySelectorAll('[data-e2e="video-item"], .video-item, video');
-        result.videos = Array.from(videoElements).slice(0, 5).map((video, index) => ({
-          index: index + 1,
-          src: video.src || video.querySelector('source')?.src || '',
-          thumbnail: video.poster || video.querySelector('img')?.src || ''
-        }));
-
-        return result;
-      });
-      
-      log.success(`Profile data extracted: ${userInfo.username} - ${userInfo.displayName}`);
-      return userInfo;
-    } catch (err) {
-      log.error('scrapeUserProfile error:', err.message);
-      return null;
-    } finally {
-      try {
-        await page.close();
-      } catch (e) {
-        // ignore
-      } finally {
-        // Always release semaphore
-        pageSemaphore.release();
-      }
-    }
-  }
+app.post('/api/scrape', asyncRoute(async (req, res) => {
+  const { query, maxResults = 5, cursor, timeBudget, type = 'user' } = req.body;
+  if (!query) return res.status(400).json({ success: false, error: 'Query parameter is required' });
+  if (!SEARCH_TYPES.includes(type)) return res.status(400).json({ success: false, error: `Unknown search type "${type}"` });
+  await sendCached(req, res, 'search', { query, maxResults: parseInt(maxResults) || 5, cursor, timeBudget, type },
+    () => client.search(query, parseInt(maxResults) || 5, { cursor, timeBudget, type, ...req.scrapeOptions }));
+}));
 
-  // scrapeUsers: create a fresh page per request, close page after done
-  async scrapeUsers(query, maxResults = 10) {
-    if (!query) throw new Error('Query parameter is required');
+// User Profile Routes
+app.get('/api/user/:username', asyncRoute(async (req, res) => {
+  const { username } = req.params;
+  if (!username) return res.status(400).json({ success: false, error: 'Username parameter is required' });
+  await sendCached(req, res, 'profile', { username }, () => client.profile(username, req.scrapeOptions));
+}));
 
-    log.scrape(`Starting user search for: "${query}", maxResults: ${maxResults}`);
-    
-    // Acquire semaphore before creating page
-    await pageSemaphore.acquire();
+app.post('/api/user', asyncRoute(async (req, res) => {
+  const { username } = req.body;
+  if (!username) return res.status(400).json({ success: false, error: 'Username parameter is required' });
+  await sendCached(req, res, 'profile', { username }, () => client.profile(username, req.scrapeOptions));
+}));
+
+// Batch Profile Route: { "usernames": [...] } (array or newline/comma separated text).
+// `?stream=1` answers with NDJSON, one line per username as it finishes, then a summary line
+app.post('/api/users/batch', asyncRoute(async (req, res) => {
+  const { usernames: input, stream } = req.body || {};
+  let usernames;
+  try {
+    usernames = parseUsernameList(input);
+  } catch (err) {
+    return res.status(400).json({ success: false, error: `Invalid usernames: ${err.message}` });
+  }
+  if (usernames.length === 0) return res.status(400).json({ success: false, error: 'usernames must contain at least one username' });
+  if (usernames.length > MAX_BATCH_SIZE) {
+    return res.status(400).json({ success: false, error: `At most ${MAX_BATCH_SIZE} usernames per batch (got ${usernames.length})` });
+  }
 
-    await this.ensureBrowser();
-    const page = await this.browser.newPage();
-    
-    try {
-      // Set viewport & UA
-      await page.setViewport({ width: 1200, height: 800 });
-      await page.setUserAgent(
-        'Mozilla/5.0 (Linux; Android 14; Pixel 7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/141.0.7390.78 Mobile Safari/537.36'
-      );
-
-      const url = `https://www.tiktok.com/search/user?q=${encodeURIComponent(query)}`;
-      log.scrape(`Navigating to: ${url}`);
-
-      await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
-
-      // Wait for probable content — use multiple selectors
-      const searchSelectors = [
-        'a[href*="/@"]',                                    // User profile links
-        '.css-1iaxnh7-5e6d46e3--PTitle.e11zs9t55',        // TikTok username class
-        '[data-e2e="user-title"]',                          // User title
-        '.user-title',                                      // Generic user title
-        'img[src*="tiktokcdn.com"]'                        // TikTok images
-      ];
-
-      const hasContent = await this.waitForAnySelector(page, searchSelectors, 15000);
-      
-      if (hasContent) {
-        log.success('Search results loaded successfully');
-      } else {
-        log.error('Content may load slowly or use different selectors - continuing anyway');
-      }
-
-      // Double-check if we have any user links before extracting data
-      const hasUserLinks = await this.checkElementsExist(page, ['a[href*="/@"]']);
-
-      if (!hasUserLinks) {
-        log.error('No user links found on page - may need different selectors');
-        return [];
-      }
-
-      log.scrape(`Found user links on page, proceeding with extraction...`);
-
-      // Evaluate page to extract users with improved logic
-      log.scrape('Extracting search results data...');
-      const users = await page.evaluate((max) => {
-        const results = [];
-        
-        // Extract usernames from links (most reliable method)
-        const links = Array.from(document.querySelectorAll('a[href*="/@"]'));
-        
-        links.forEach(link => {
-          const href = link.getAttribute('href');
-          const usernameMatch = href.match(/\/@([^\/\?]+)/);
-          if (usernameMatch) {
-            const username = usernameMatch[1];
-            
-            // Find image in the link or nearby
-            let img = '';
-            const imgEl = link.querySelector('img');
-            if (imgEl) {
-              img = imgEl.src || imgEl.getAttribute('src') || '';
-            }
-            
-            // Find name/display name - look in parent container for nickname
-            let name = username;
-            
-            // Look for nickname in the link itself first
-            const nicknameEl = link.querySelector('[data-e2e="search-user-nickname"]');
-            if (nicknameEl) {
-              const text = nicknameEl.textContent.trim();
-              if (text && text !== username) {
-                name = text;
-              }
-            } else {
-              // Look in the parent container
-              const parent = link.closest('div, section, article');
-              if (parent) {
-                const parentNicknameEl = parent.querySelector('[data-e2e="search-user-nickname"]');
-                if (parentNicknameEl) {
-                  const text = parentNicknameEl.textContent.trim();
-                  if (text && text !== username) {
-                    name = text;
-                  }
-                } else {
-                  // Fallback to other selectors in parent
-                  const nameSelectors = [
-                    '.css-1cjzxd7-5e6d46e3--PUserSubTitle.e11zs9t57',
-                    'p', 'span', 'div'
-                  ];
-                  
-                  for (const selector of nameSelectors) {
-                    const nameEl = parent.querySelector(selector);
-                    if (nameEl) {
-                      const text = nameEl.textContent.trim();
-                      if (text && text !== username && !text.includes('Break reminders') && text.length < 50) {
-                        name = text;
-                        break;
-                      }
-                    }
-                  }
-                }
-              }
-            }
-            
-            results.push({
-              username: username,
-              img: img,
-              name: name
-            });
-          }
-        });
-        
-        // Remove duplicates based on username
-        const uniqueResults = [];
-        const seenUsernames = new Set();
-        
-        for (const user of results) {
-          if (user.username && !seenUsernames.has(user.username)) {
-            seenUsernames.add(user.username);
-            uniqueResults.push(user);
-            if (uniqueResults.length >= max) break;
-          }
-        }
-        
-        return uniqueResults;
-      }, maxResults);
-
-      log.success(`Found ${users.length} users: ${users.map(u => u.username).join(', ')}`);
-      return users.slice(0, maxResults);
-    } catch (err) {
-      log.error('scrapeUsers error:', err.message);
-      return [];
-    } finally {
-      try {
-        await page.close();
-      } catch (e) {
-        // ignore
-      } finally {
-        // Always release semaphore
-        pageSemaphore.release();
-      }
-    }
+  const streaming = ['1', 'true'].includes(String(req.query.stream || stream));
+  if (!streaming) {
+    const result = await client.profiles(usernames, req.scrapeOptions);
+    const sinks = deliverToSinks(req, 'profile', { usernames }, result);
+    return res.json(sinks ? { ...result, sinks } : result);
   }
 
-  static async closeGlobalBrowser() {
-    if (globalBrowser) {
-      try {
-        await globalBrowser.close();
-      } catch (e) {
-        console.warn('Error closing globalBrowser:', e.message);
-      } finally {
-        globalBrowser = null;
-      }
+  // Stop starting new profiles once the client hangs up
+  let closed = false;
+  res.on('close', () => { closed = true; });
+  res.status(200).set('Content-Type', 'application/x-ndjson');
+  res.flushHeaders();
+  const result = await client.profiles(usernames, {
+    ...req.scrapeOptions,
+    shouldStop: () => closed,
+    onResult: (item) => {
+      if (!closed) res.write(JSON.stringify(item) + '\n');
     }
+  });
+  const sinks = deliverToSinks(req, 'profile', { usernames }, result);
+  if (!closed) {
+    res.end(JSON.stringify({ done: true, message: result.message, duration: result.duration, summary: result.summary, ...(sinks ? { sinks } : {}) }) + '\n');
   }
-}
+}));
+
+// User Video Routes
+app.get('/api/user/:username/videos', asyncRoute(async (req, res) => {
+  const { username } = req.params;
+  const { limit, since, timeBudget } = req.query;
+  if (!username) return res.status(400).json({ success: false, error: 'Username parameter is required' });
+  const sinceTime = parseTimeParam(since);
+  if (since && !sinceTime) return res.status(400).json({ success: false, error: SINCE_ERROR });
+  // Cached under the `since` as given, so "7d" keeps hitting the cache while it is fresh
+  await sendCached(req, res, 'videos', { username, limit, since, timeBudget },
+    () => client.videos(username, { limit, since: sinceTime || undefined, timeBudget, ...req.scrapeOptions }));
+}));
+
+app.post('/api/user/videos', asyncRoute(async (req, res) => {
+  const { username, limit, since, timeBudget } = req.body;
+  if (!username) return res.status(400).json({ success: false, error: 'Username parameter is required' });
+  const sinceTime = parseTimeParam(since);
+  if (since && !sinceTime) return res.status(400).json({ success: false, error: SINCE_ERROR });
+  await sendCached(req, res, 'videos', { username, limit, since, timeBudget },
+    () => client.videos(username, { limit, since: sinceTime || undefined, timeBudget, ...req.scrapeOptions }));
+}));
+
+// Follower / following Routes (lists are only shown to logged-in browsers: pass `session`)
+app.get('/api/user/:username/followers', asyncRoute(async (req, res) => {
+  const { username } = req.params;
+  const { limit, cursor, timeBudget } = req.query;
+  if (!username) return res.status(400).json({ success: false, error: 'Username parameter is required' });
+  await sendCached(req, res, 'followers', { username, limit, cursor, timeBudget },
+    () => client.followers(username, { limit, cursor, timeBudget, ...req.scrapeOptions }));
+}));
 
-// Wrapper functions
-async function scrapeUsersWrapper(query, maxResults) {
-  const startTime = Date.now();
-  const scraper = new TikTokUserScraper();
+app.get('/api/user/:username/following', asyncRoute(async (req, res) => {
+  const { username } = req.params;
+  const { limit, cursor, timeBudget } = req.query;
+  if (!username) return res.status(400).json({ success: false, error: 'Username parameter is required' });
+  await sendCached(req, res, 'following', { username, limit, cursor, timeBudget },
+    () => client.following(username, { limit, cursor, timeBudget, ...req.scrapeOptions }));
+}));
+
+// Video Routes (`url` query/body field accepts full or share URLs)
+app.get('/api/video/:id', asyncRoute(async (req, res) => {
+  const { id } = req.params;
+  if (!id) return res.status(400).json({ success: false, error: 'Video id parameter is required' });
+  await sendCached(req, res, 'video', { input: id }, () => client.video(id, req.scrapeOptions));
+}));
+
+app.get('/api/video', asyncRoute(async (req, res) => {
+  const { url, id } = req.query;
+  if (!url && !id) return res.status(400).json({ success: false, error: 'Video url or id parameter is required' });
+  await sendCached(req, res, 'video', { input: url || id }, () => client.video(url || id, req.scrapeOptions));
+}));
+
+app.post('/api/video', asyncRoute(async (req, res) => {
+  const { url, id } = req.body;
+  if (!url && !id) return res.status(400).json({ success: false, error: 'Video url or id parameter is required' });
+  await sendCached(req, res, 'video', { input: url || id }, () => client.video(url || id, req.scrapeOptions));
+}));
+
+// Comment Routes
+app.get('/api/video/:id/comments', asyncRoute(async (req, res) => {
+  const { id } = req.params;
+  const { maxComments, cursor, replies, maxReplies, timeBudget } = req.query;
+  if (!id) return res.status(400).json({ success: false, error: 'Video id parameter is required' });
+  await sendCached(req, res, 'comments', { input: id, maxComments, cursor, replies, maxReplies, timeBudget },
+    () => client.comments(id, { maxComments, cursor, replies, maxReplies, timeBudget, ...req.scrapeOptions }));
+}));
+
+app.post('/api/video/comments', asyncRoute(async (req, res) => {
+  const { url, id, maxComments, cursor, replies, maxReplies, timeBudget } = req.body;
+  if (!url && !id) return res.status(400).json({ success: false, error: 'Video url or id parameter is required' });
+  await sendCached(req, res, 'comments', { input: url || id, maxComments, cursor, replies, maxReplies, timeBudget },
+    () => client.comments(url || id, { maxComments, cursor, replies, maxReplies, timeBudget, ...req.scrapeOptions }));
+}));
+
+// Hashtag & Music Routes
+app.get('/api/hashtag/:tag', asyncRoute(async (req, res) => {
+  const { tag } = req.params;
+  const { limit, cursor, timeBudget } = req.query;
+  if (!tag) return res.status(400).json({ success: false, error: 'Hashtag parameter is required' });
+  await sendCached(req, res, 'hashtag', { tag, limit, cursor, timeBudget },
+    () => client.hashtag(tag, { limit, cursor, timeBudget, ...req.scrapeOptions }));
+}));
+
+app.get('/api/music/:id', asyncRoute(async (req, res) => {
+  const { id } = req.params;
+  const { limit, cursor, timeBudget } = req.query;
+  if (!id) return res.status(400).json({ success: false, error: 'Music id parameter is required' });
+  await sendCached(req, res, 'music', { id, limit, cursor, timeBudget },
+    () => client.music(id, { limit, cursor, timeBudget, ...req.scrapeOptions }));
+}));
+
+// Job Routes: queue a scrape, then poll it instead of holding the connection open
+app.post('/api/jobs', asyncRoute(async (req, res) => {
+  const { type, params = {} } = req.body || {};
+  if (!params || typeof params !== 'object') return res.status(400).json({ success: false, error: 'params must be an object' });
+  const error = validateJobSpec({ type, params });
+  if (error) return res.status(400).json({ success: false, error });
+  let job;
   try {
-    const users = await scraper.scrapeUsers(query, maxResults);
-    const endTime = Date.now();
-    const duration = ((endTime - startTime) / 1000).toFixed(2);
-    
-    log.success(`Scrape completed in ${duration}s - Found ${users.length} users`);
-    
-    return {
-      success: true,
-      message: `Found ${users.length} users in ${duration}s`,
-      duration: `${duration}s`,
-      data: users
-    };
+    job = await jobManager.create({ type, params });
   } catch (err) {
-    const endTime = Date.now();
-    const duration = ((endTime - startTime) / 1000).toFixed(2);
-    
-    log.error(`Scrape failed after ${duration}s: ${err.message}`);
-    
-    return { 
-      success: false, 
-      message: `Error: ${err.message}`,
-      duration: `${duration}s`,
-      data: [] 
-    };
+    return res.status(500).json({ success: false, error: `Could not queue job: ${err.message}` });
+  }
+  res.status(202).json({ success: true, message: `Job ${job.id} queued`, job });
+}));
+
+app.get('/api/jobs', asyncRoute(async (req, res) => {
+  const jobs = await jobManager.list({ status: req.query.status });
+  // Listing stays light: poll /api/jobs/:id for results
+  res.json({ success: true, data: jobs.map(({ result, ...job }) => job) });
+}));
+
+app.get('/api/jobs/:id', asyncRoute(async (req, res) => {
+  const job = await jobManager.get(req.params.id);
+  if (!job) return res.status(404).json({ success: false, error: 'Job not found' });
+  res.json({ success: true, job });
+}));
+
+app.post('/api/jobs/:id/cancel', asyncRoute(async (req, res) => {
+  const job = await jobManager.cancel(req.params.id);
+  if (!job) return res.status(404).json({ success: false, error: 'Job not found' });
+  res.json({ success: true, message: `Job ${job.id} ${job.status === 'cancelled' ? 'cancelled' : 'cancelling'}`, job });
+}));
+
+app.delete('/api/jobs/:id', asyncRoute(async (req, res) => {
+  const job = await jobManager.cancel(req.params.id);
+  if (!job) return res.status(404).json({ success: false, error: 'Job not found' });
+  res.json({ success: true, message: `Job ${job.id} ${job.status === 'cancelled' ? 'cancelled' : 'cancelling'}`, job });
+}));
+
+// Watch Routes: CRUD of the watch list, run-now, and the snapshot history of a username
+app.get('/api/watch', asyncRoute(async (req, res) => {
+  res.json({ success: true, data: await watcher.list(), stats: await watcher.getStats() });
+}));
+
+// { "username": "..." } or { "usernames": [...] } plus interval ("6h", ms), enabled, videos,
+// profile, session, sink; existing watches get the new settings
+app.post('/api/watch', asyncRoute(async (req, res) => {
+  const body = req.body || {};
+  let usernames;
+  try {
+    usernames = parseUsernameList(body.usernames || body.username);
+  } catch (err) {
+    return res.status(400).json({ success: false, error: `Invalid usernames: ${err.message}` });
+  }
+  if (usernames.length === 0) return res.status(400).json({ success: false, error: 'Username parameter is required' });
+  if (usernames.length > MAX_BATCH_SIZE) {
+    return res.status(400).json({ success: false, error: `At most ${MAX_BATCH_SIZE} usernames per request (got ${usernames.length})` });
+  }
+  try {
+    watcher.normalizeSettings(body);
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
   }
-}
 
-async function scrapeUserProfileWrapper(username) {
-  const startTime = Date.now();
-  const scraper = new TikTokUserScraper();
+  const results = [];
+  for (const username of usernames) results.push(await watcher.add(username, body));
+  const created = results.filter(result => result.created).length;
+  res.status(created ? 201 : 200).json({
+    success: true,
+    message: `${created} watch(es) created, ${results.length - created} updated`,
+    data: results.map(result => result.watch)
+  });
+}));
+
+app.get('/api/watch/:username', asyncRoute(async (req, res) => {
+  const watch = await watcher.get(req.params.username);
+  if (!watch) return res.status(404).json({ success: false, error: 'Watch not found' });
+  res.json({ success: true, watch, latest: await watcher.store.latestSnapshot(watch.username) });
+}));
+
+app.patch('/api/watch/:username', asyncRoute(async (req, res) => {
+  let watch;
   try {
-    const userInfo = await scraper.scrapeUserProfile(username);
-    const endTime = Date.now();
-    const duration = ((endTime - startTime) / 1000).toFixed(2);
-    
-    if (userInfo) {
-      log.success(`Profile scrape completed in ${duration}s - ${userInfo.username}`);
-      
-      return {
-        success: true,
-        message: `Found user profile in ${duration}s`,
-        duration: `${duration}s`,
-        user: userInfo
-      };
-    } else {
-      log.error(`Profile not found after ${duration}s`);
-      
-      return {
-        success: false,
-        message: `User not found or profile is private (${duration}s)`,
-        duration: `${duration}s`,
-        user: null
-      };
-    }
+    watch = await watcher.update(req.params.username, req.body || {});
   } catch (err) {
-    const endTime = Date.now();
-    const duration = ((endTime - startTime) / 1000).toFixed(2);
-    
-    log.error(`Profile scrape failed after ${duration}s: ${err.message}`);
-    
-    return { 
-      success: false, 
-      message: `Error: ${err.message} (${duration}s)`,
-      duration: `${duration}s`,
-      user: null 
-    };
+    return res.status(400).json({ success: false, error: err.message });
   }
-}
+  if (!watch) return res.status(404).json({ success: false, error: 'Watch not found' });
+  res.json({ success: true, watch });
+}));
+
+// `?history=1` also deletes the stored snapshots
+app.delete('/api/watch/:username', asyncRoute(async (req, res) => {
+  const history = ['1', 'true'].includes(String(req.query.history));
+  const deleted = await watcher.remove(req.params.username, { history });
+  if (!deleted) return res.status(404).json({ success: false, error: 'Watch not found' });
+  res.json({ success: true, message: `Stopped watching @${req.params.username}${history ? ' and deleted its history' : ''}` });
+}));
+
+// Run a watch now instead of waiting for its next turn; answers with the new snapshot
+app.post('/api/watch/:username/run', asyncRoute(async (req, res) => {
+  let outcome;
+  try {
+    outcome = await watcher.run(req.params.username);
+  } catch (err) {
+    return res.status(500).json({ success: false, error: `Watch run failed: ${err.message}` });
+  }
+  if (!outcome || !outcome.watch) return res.status(404).json({ success: false, error: 'Watch not found' });
+  const { watch, snapshot, result } = outcome;
+  if (!snapshot) return res.status(httpStatusFor(result)).json({ ...result, watch });
+  res.json({ success: true, message: result.message, duration: result.duration, watch, snapshot });
+}));
+
+// Snapshot history of a username (oldest first, each with its delta) and the growth over the range;
+// `since` / `until` take a date, unix time or "7d", `limit` keeps the newest n snapshots
+app.get('/api/user/:username/history', asyncRoute(async (req, res) => {
+  const { since, until, limit } = req.query;
+  const range = { since: parseTimeParam(since), until: parseTimeParam(until), limit: parseInt(limit) || undefined };
+  if ((since && !range.since) || (until && !range.until)) {
+    return res.status(400).json({ success: false, error: 'since / until must be a date, unix time or a duration like 7d' });
+  }
+  const username = parseUsernameList([req.params.username])[0];
+  const { snapshots, summary } = await watcher.history(username, range);
+  const watch = await watcher.get(username);
+  if (snapshots.length === 0 && !watch) {
+    return res.status(404).json({ success: false, error: `No history for @${username} (add it to the watch list first)` });
+  }
+  res.json({ success: true, username, watched: !!watch, summary, data: snapshots });
+}));
+
+// Event Routes: live stream (Server-Sent Events), the event log and webhook replays.
+// The stream replays logged events after `Last-Event-ID` (sent by EventSource on reconnect) or
+// `?after=<seq>` first, then stays open; `username` / `type` filter both parts
+app.get('/api/events', (req, res) => {
+  const query = parseEventQuery({ ...req.query, after: req.get('Last-Event-ID') || req.query.after });
+  if (query.error) return res.status(400).json({ success: false, error: query.error });
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  const send = event => res.write(`id: ${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+
+  if (query.after || query.since) eventBus.log.list(query).forEach(send);
+  const unsubscribe = eventBus.subscribe(send, { usernames: query.usernames, types: query.types });
+  // Comment lines keep proxies (Render, nginx) from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
 
-// Routes
-app.get('/api/scrape', async (req, res) => {
-  const { query, maxResults = 5 } = req.query;
-  if (!query) return res.status(400).json({ success: false, error: 'Query parameter is required' });
-  const result = await scrapeUsersWrapper(query, parseInt(maxResults) || 5);
-  res.json(result);
+app.get('/api/events/log', (req, res) => {
+  const query = parseEventQuery(req.query);
+  if (query.error) return res.status(400).json({ success: false, error: query.error });
+  const data = eventBus.log.list({ ...query, limit: query.limit || 100 });
+  res.json({ success: true, lastSeq: eventBus.log.lastSeq, data });
 });
 
-app.post('/api/scrape', async (req, res) => {
-  const { query, maxResults = 5 } = req.body;
-  if (!query) return res.status(400).json({ success: false, error: 'Query parameter is required' });
-  const result = await scrapeUsersWrapper(query, parseInt(maxResults) || 5);
-  res.json(result);
+// Re-send logged events (same query as the log) to every webhook or to `webhook` (name); events
+// keep their id, which is the delivery id, so receivers can skip the ones they already have
+app.post('/api/events/replay', (req, res) => {
+  const body = req.body || {};
+  const query = parseEventQuery(body);
+  if (query.error) return res.status(400).json({ success: false, error: query.error });
+  if (!query.after && !query.since) return res.status(400).json({ success: false, error: 'after or since is required' });
+  const names = body.webhook ? [].concat(body.webhook) : null;
+  const unknown = (names || []).find(name => !eventBus.webhooks.has(name));
+  if (unknown) return res.status(400).json({ success: false, error: `Unknown event webhook "${unknown}"` });
+  if (eventBus.webhooks.size === 0) return res.status(400).json({ success: false, error: 'No event webhooks configured (EVENT_WEBHOOKS)' });
+
+  const { events } = eventBus.replay(query, names);
+  res.status(202).json({ success: true, message: `Replaying ${events.length} event(s)`, count: events.length });
 });
 
-// User Profile Routes
-app.get('/api/user/:username', async (req, res) => {
-  const { username } = req.params;
-  if (!username) return res.status(400).json({ success: false, error: 'Username parameter is required' });
-  const result = await scrapeUserProfileWrapper(username);
-  res.json(result);
+// Configured event webhooks (never their secrets) with delivery counts
+app.get('/api/events/webhooks', (req, res) => {
+  res.json({ success: true, data: eventBus.describeWebhooks() });
 });
 
-app.post('/api/user', async (req, res) => {
-  const { username } = req.body;
-  if (!username) return res.status(400).json({ success: false, error: 'Username parameter is required' });
-  const result = await scrapeUserProfileWrapper(username);
-  res.json(result);
+// Cache admin: stats and a full flush
+app.get('/api/cache', asyncRoute(async (req, res) => {
+  res.json({ success: true, data: await responseCache.getStats() });
+}));
+
+app.delete('/api/cache', asyncRoute(async (req, res) => {
+  await responseCache.clear();
+  res.json({ success: true, message: 'Cache cleared' });
+}));
+
+// Sessions: status of the imported cookie sets (never their values), reload after adding files
+app.get('/api/sessions', (req, res) => {
+  res.json({ success: true, data: runtime.sessionStore.describe() });
+});
+
+app.post('/api/sessions/reload', (req, res) => {
+  runtime.sessionStore.load();
+  res.json({ success: true, data: runtime.sessionStore.describe() });
+});
+
+// Device profiles available to `profile` and the rotation in use
+app.get('/api/profiles', (req, res) => {
+  res.json({ success: true, data: runtime.deviceProfiles.describe() });
+});
+
+// Selector registry: inspect loaded sets, force a reload after editing a config file
+app.get('/api/selectors', (req, res) => {
+  res.json({ success: true, data: runtime.selectorRegistry.describe() });
+});
+
+app.post('/api/selectors/reload', (req, res) => {
+  runtime.selectorRegistry.reload();
+  res.json({ success: true, data: runtime.selectorRegistry.describe() });
+});
+
+// Export sinks configured for `sink` (paths and URLs, never webhook secrets)
+app.get('/api/sinks', (req, res) => {
+  res.json({ success: true, data: sinkRegistry.describe() });
 });
 
-app.get('/health', (req, res) => {
+app.get('/health', asyncRoute(async (req, res) => {
+  const { proxyStats, sessions, ...runtimeStats } = runtime.getStats();
   res.json({
     status: 'OK',
     timestamp: new Date().toISOString(),
-    browserStatus: globalBrowser ? 'Active' : 'Not Initialized',
-    semaphoreStats: pageSemaphore.getStats()
+    ...runtimeStats,
+    selectorSets: runtime.selectorRegistry.getSets().map(set => `${set.name}@${set.version}`),
+    jobStats: await jobManager.getStats(),
+    watchStats: await watcher.getStats(),
+    eventStats: eventBus.getStats(),
+    cacheStats: await responseCache.getStats(),
+    proxyStats,
+    sessions
   });
+}));
+
+// Errors of async routes and of body parsing (invalid JSON is a 400)
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  const status = err.status || err.statusCode || 500;
+  if (status >= 500) log.error(`❌ ${req.method} ${req.path} failed: ${err.message}`);
+  res.status(status).json({ success: false, error: status >= 500 ? `Internal error: ${err.message}` : err.message });
 });
 
 process.on('SIGINT', async () => {
   console.log('🔄 Graceful shutdown');
-  await TikTokUserScraper.closeGlobalBrowser();
+  watcher.stop();
+  await eventBus.close();
+  await sinkRegistry.close();
+  await client.close();
   process.exit(0);
 });
 process.on('SIGTERM', async () => {
   console.log('🔄 Graceful shutdown');
-  await TikTokUserScraper.closeGlobalBrowser();
+  watcher.stop();
+  await eventBus.close();
+  await sinkRegistry.close();
+  await client.close();
   process.exit(0);
 });
 
 app.listen(PORT, () => {
   console.log(`🚀 Server listening on ${PORT}`);
+  if (runtime.browserPool.warm) runtime.warmUp();
+  if (process.env.WATCH_SCHEDULER !== 'false') watcher.start();
 });
@@ -1,280 +1,413 @@
 #!/usr/bin/env node
 
 /**
- * TikTok User Scraper - Standalone CLI Tool
- * 
- * This is a standalone version of the TikTok scraper that can be used
- * independently of the web server. It includes semaphore-controlled
- * concurrent page management.
- * 
+ * TikTok User Scraper - Command-line Tool
+ *
+ * Command-line front end of the scraper library (index.js): same scraper
+ * core, browser pool, device profiles and sessions as the web server,
+ * without Express. Pages are limited by the runtime's semaphore.
+ *
+ * Data goes to stdout (or --output) as json, jsonl, csv or a table; logs
+ * always go to stderr, so the tool fits shell pipelines and cron jobs.
+ *
  * Usage:
- *   node tiktok-user-scraper.js "search query" [maxResults]
- *   npm run scraper "search query" [maxResults]
+ *   node tiktok-user-scraper.js search "query" [--limit 20] [--type user|video|live|top]
+ *   node tiktok-user-scraper.js profile <username...>
+ *   node tiktok-user-scraper.js videos <username> [--limit 50] [--since 7d]
+ *   node tiktok-user-scraper.js comments <video url|id> [--limit 100] [--replies]
+ *   node tiktok-user-scraper.js batch usernames.txt [--output profiles.csv]
+ *   node tiktok-user-scraper.js videos <username> --sink data/videos.jsonl --sink sqlite:data/tiktok.db
+ *   npm run scraper -- search "query" --format jsonl --quiet
  */
 
-const puppeteer = require('puppeteer-core');
-const chromium = require('@sparticuz/chromium');
+const fs = require('fs');
+const {
+  createClient,
+  createProfileSelector,
+  createSessionStore,
+  TikTokUserScraper,
+  Semaphore,
+  SEARCH_TYPES,
+  parseUsernameList
+} = require('./index');
+const { OUTPUT_FORMATS, parseFields, formatRecords, formatForFile } = require('./lib/output');
+const { createSinkRegistry, parseSinkNames } = require('./lib/sinks');
+const { parseTimeParam } = require('./lib/watcher');
+
+const COMMANDS = ['search', 'profile', 'videos', 'comments', 'batch'];
+
+// Flags that take a value (also as --flag=value); everything else starting with "-" is a switch
+const VALUE_FLAGS = ['type', 'limit', 'cursor', 'since', 'max-replies', 'time-budget', 'format', 'output', 'fields', 'profile', 'session', 'batch', 'sink'];
+// Value flags that may be given more than once (collected into a list)
+const REPEATABLE_FLAGS = ['sink'];
+const SWITCHES = { quiet: 'quiet', q: 'quiet', replies: 'replies', help: 'help', h: 'help' };
+
+// csv / table columns per command when --fields is not given
+const DEFAULT_FIELDS = {
+  search: {
+    user: ['username', 'name', 'img'],
+    video: ['id', 'author', 'caption', 'stats.views', 'url'],
+    live: ['username', 'title', 'viewers', 'url'],
+    top: ['type', 'username', 'id', 'caption', 'url']
+  },
+  profile: ['username', 'displayName', 'followers', 'following', 'likes', 'verified', 'bio'],
+  videos: ['id', 'createdAt', 'stats.views', 'stats.likes', 'stats.comments', 'caption', 'url'],
+  comments: ['id', 'username', 'likes', 'replyCount', 'timestamp', 'text'],
+  batch: ['username', 'success', 'code', 'user.displayName', 'user.followers', 'user.following', 'user.likes', 'message']
+};
+
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+class UsageError extends Error {}
+
+function printUsage() {
+  process.stderr.write(`
+Usage: node tiktok-user-scraper.js <command> [arguments] [options]
+
+Commands:
+  search <query> [limit]        Search users (or --type ${SEARCH_TYPES.join('|')})
+  profile <username...>         Profile of one or more users
+  videos <username>             Videos of a user
+  comments <video url|id>       Comments of a video
+  batch <file>                  Profiles of every username in a file, with per-user status
+
+Options:
+  --limit <n>                   Max results / videos / comments (search default: 10)
+  --type <type>                 Search type: ${SEARCH_TYPES.join(', ')} (default: user)
+  --cursor <n>                  Skip results already fetched (search, comments)
+  --since <date|7d>             Only videos newer than this (videos)
+  --replies                     Expand comment replies (comments)
+  --max-replies <n>             Replies per comment (comments)
+  --time-budget <ms>            Stop scrolling after this long
+  --format <fmt>                ${OUTPUT_FORMATS.join(' | ')} (default: table on a terminal, else json;
+                                with --output, taken from the file extension)
+  --output <file>               Write the data to a file instead of stdout
+  --fields <a,b.c>              Columns / keys to keep, dot paths allowed (e.g. stats.views)
+  --profile <name>              Device profile
+  --session <name>              Logged-in session
+  --sink <name|spec>            Also export the records: a sink from SINKS, or data/out.jsonl,
+                                data/{kind}.csv, sqlite:data/tiktok.db, https://... (repeatable)
+  -q, --quiet                   Only errors on stderr
+  -h, --help                    Show this help
 
-// Semaphore to limit concurrent pages (max N pages simultaneously)
-class Semaphore {
-  constructor(maxConcurrent = 3) {
-    this.maxConcurrent = maxConcurrent;
-    this.currentConcurrent = 0;
-    this.queue = [];
-  }
+Examples:
+  node tiktok-user-scraper.js search "cooking" --limit 20 --type video --format csv
+  node tiktok-user-scraper.js profile tiktok khaby.lame --fields username,followers
+  node tiktok-user-scraper.js videos tiktok --since 7d --format jsonl --quiet | jq .url
+  node tiktok-user-scraper.js comments https://www.tiktok.com/@user/video/123 --replies
+  node tiktok-user-scraper.js batch usernames.txt --output profiles.csv
+  node tiktok-user-scraper.js videos tiktok --quiet --sink sqlite:data/tiktok.db > /dev/null
+  node tiktok-user-scraper.js "dance" 15        (same as: search "dance" --limit 15)
 
-  async acquire() {
-    return new Promise((resolve) => {
-      if (this.currentConcurrent < this.maxConcurrent) {
-        this.currentConcurrent++;
-        resolve();
-      } else {
-        this.queue.push(resolve);
-      }
-    });
-  }
+Batch file: one username per line (or comma separated, or a JSON array); "@", profile URLs and # comments are fine.
+
+Exit codes: 0 = ok, 1 = scrape failed (batch: at least one username failed), 2 = usage error.
+
+Environment Variables:
+  MAX_CONCURRENT_PAGES - Maximum concurrent pages (default: 3)
+  HEADLESS - Run in headless mode (default: true)
+  TIMEOUT - Page timeout in ms (default: 30000)
+  DEVICE_PROFILE - Fixed device profile, or "rotate" (default: rotate)
+  DEVICE_PROFILE_ROTATION - Comma-separated profiles to rotate through
+  DEVICE_PROFILES_FILE - JSON file with extra device profiles
+  SESSION_DIR / SESSION_COOKIES - Logged-in sessions (see README)
+  SINKS / SINKS_FILE / SINK_DEFAULT - Named export sinks (see README)
+  SINK_WEBHOOK_SECRET - HMAC secret of webhook sinks
+`);
+}
 
-  release() {
-    this.currentConcurrent--;
-    if (this.queue.length > 0) {
-      const next = this.queue.shift();
-      this.currentConcurrent++;
-      next();
+// parseArgs: argv -> { command, args, options }. Without a known command the old
+// `"query" [maxResults]` and `--batch <file>` forms still work
+function parseArgs(rawArgs) {
+  const options = { quiet: false, replies: false, help: false };
+  const positional = [];
+  for (let i = 0; i < rawArgs.length; i++) {
+    const arg = rawArgs[i];
+    const match = arg.match(/^--?([a-z-]+)(?:=(.*))?$/);
+    if (!match) {
+      positional.push(arg);
+    } else if (VALUE_FLAGS.includes(match[1])) {
+      const value = match[2] !== undefined ? match[2] : rawArgs[++i];
+      if (value === undefined) throw new UsageError(`--${match[1]} needs a value`);
+      options[match[1]] = REPEATABLE_FLAGS.includes(match[1]) ? [...(options[match[1]] || []), value] : value;
+    } else if (SWITCHES[match[1]]) {
+      options[SWITCHES[match[1]]] = true;
+    } else {
+      throw new UsageError(`Unknown option ${arg}`);
     }
   }
 
-  getStats() {
-    return {
-      maxConcurrent: this.maxConcurrent,
-      currentConcurrent: this.currentConcurrent,
-      queueLength: this.queue.length
-    };
-  }
+  if (options.batch) return { command: 'batch', args: [options.batch, ...positional], options };
+  if (COMMANDS.includes(positional[0])) return { command: positional[0], args: positional.slice(1), options };
+  return { command: positional.length ? 'search' : null, args: positional, options };
 }
 
-class TikTokUserScraper {
-  constructor(options = {}) {
-    this.browser = null;
-    this.semaphore = new Semaphore(options.maxConcurrentPages || 3);
-    this.options = {
-      headless: options.headless !== false,
-      timeout: options.timeout || 30000,
-      userAgent: options.userAgent || 'Mozilla/5.0 (Linux; Android 14; Pixel 7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/141.0.7390.78 Mobile Safari/537.36',
-      ...options
-    };
-  }
+// Logs on stderr (stdout carries only data); quiet keeps errors
+function createCliLogger(quiet) {
+  const error = (...args) => console.error(...args);
+  return {
+    log: quiet ? () => {} : error,
+    warn: quiet ? () => {} : error,
+    error
+  };
+}
 
-  async ensureBrowser() {
-    if (this.browser) {
-      return;
-    }
+// Client on its own runtime: CLI concurrency, headless mode and page timeout come from the environment,
+// everything else (proxies, device profiles, sessions, selectors) is configured like the server
+function createCliClient(options, logger) {
+  return createClient({
+    maxConcurrentPages: parseInt(process.env.MAX_CONCURRENT_PAGES) || 3,
+    headless: process.env.HEADLESS !== 'false',
+    timeout: parseInt(process.env.TIMEOUT) || 30000,
+    logger,
+    profile: options.profile,
+    session: options.session
+  });
+}
 
-    // Launch browser using sparticuz chromium (works well on Render)
-    const launchOptions = {
-      headless: chromium.headless,
-      args: chromium.args.concat([
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-gpu',
-      ]),
-      ignoreHTTPSErrors: true,
-    };
+// Sinks of --sink: names from SINKS / SINKS_FILE, anything else is read as a sink spec.
+// Resolves to { registry, names }; without --sink the names are SINK_DEFAULT's (possibly none)
+function createCliSinks(options, logger) {
+  try {
+    const registry = createSinkRegistry(process.env, { logger });
+    const names = parseSinkNames(options.sink);
+    for (const name of names) {
+      if (!registry.has(name)) registry.add(name, name);
+    }
+    return { registry, names };
+  } catch (err) {
+    throw new UsageError(`Invalid sink: ${err.message}`);
+  }
+}
 
-    try {
-      // executablePath may throw if not available — chromium handles it in many envs
-      launchOptions.executablePath = await chromium.executablePath();
-    } catch (err) {
-      // Fallback: leave executablePath undefined and let puppeteer-core try default
-      console.warn('⚠️ chromium.executablePath() failed, falling back to default executablePath:', err.message);
+function validateOptions(options) {
+  if (options.profile && !createProfileSelector().has(options.profile)) {
+    throw new UsageError(`Unknown device profile "${options.profile}". Use one of: ${createProfileSelector().names().join(', ')}`);
+  }
+  if (options.session) {
+    const sessions = createSessionStore(process.env, { logger: createCliLogger(true) });
+    if (!sessions.has(options.session)) {
+      throw new UsageError(`Unknown session "${options.session}". Use one of: ${sessions.names().join(', ') || 'none'}`);
     }
+  }
+  if (options.type && !SEARCH_TYPES.includes(options.type)) {
+    throw new UsageError(`Unknown search type "${options.type}". Use one of: ${SEARCH_TYPES.join(', ')}`);
+  }
+  if (options.format && !OUTPUT_FORMATS.includes(options.format)) {
+    throw new UsageError(`Unknown format "${options.format}". Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+}
+
+// Pagination details of a list envelope, for the log
+function describePage(result) {
+  const parts = [`stopReason: ${result.stopReason || 'n/a'}`];
+  if (result.hasMore) parts.push(result.cursor !== undefined && result.cursor !== null ? `more available (--cursor ${result.cursor})` : 'more available');
+  return parts.join(', ');
+}
 
-    console.log('🚀 Launching chromium with options (trimmed)...');
-    this.browser = await puppeteer.launch(launchOptions);
-    console.log('✅ Chromium launched');
+// Run one command; resolves to { records, defaultFields, failed, delivery } where delivery is the
+// { type, params, envelope } handed to the sinks, or to { failure } when the scrape failed
+async function runCommand(client, command, args, options, note) {
+  const limit = options.limit !== undefined ? parseInt(options.limit) : undefined;
+  if (options.limit !== undefined && !(limit > 0)) throw new UsageError('--limit must be a positive number');
+  const common = { timeBudget: options['time-budget'] };
+
+  if (command === 'search') {
+    const query = args[0];
+    if (!query) throw new UsageError('search needs a query');
+    const type = options.type || 'user';
+    const maxResults = limit || parseInt(args[1]) || 10;
+    note(`🔍 Searching for: "${query}" (${type}), max ${maxResults}`);
+    const result = await client.search(query, maxResults, { ...common, type, cursor: options.cursor });
+    if (!result.success) return { failure: result };
+    note(`📈 ${result.message} - ${describePage(result)}`);
+    return {
+      records: result.data,
+      defaultFields: DEFAULT_FIELDS.search[type],
+      delivery: { type: 'search', params: { query, maxResults, type, cursor: options.cursor }, envelope: result }
+    };
   }
 
-  async scrapeUsers(query, maxResults = 10) {
-    if (!query) throw new Error('Query parameter is required');
-
-    // Acquire semaphore before creating page
-    await this.semaphore.acquire();
-    console.log(`🔒 Semaphore acquired. Stats:`, this.semaphore.getStats());
-
-    await this.ensureBrowser();
-    const page = await this.browser.newPage();
-    
-    try {
-      // Set viewport & UA
-      await page.setViewport({ width: 1200, height: 800 });
-      await page.setUserAgent(this.options.userAgent);
-
-      const url = `https://www.tiktok.com/search/user?q=${encodeURIComponent(query)}`;
-      console.log(`🎯 Navigating to ${url}`);
-
-      await page.goto(url, { waitUntil: 'domcontentloaded', timeout: this.options.timeout });
-
-      // Wait for probable content — use conservative wait
-      try {
-        await page.waitForSelector('[data-e2e="user-title"], .user-title, .tiktok-1f3v0n', { timeout: 6000 });
-      } catch (e) {
-        console.log('⚠️ Nội dung có thể tải chậm hoặc selector khác — sẽ cố gắng scrape anyway');
-      }
-
-      // Evaluate page to extract users — avoid console.log inside evaluate
-      const users = await page.evaluate((max) => {
-        const results = [];
-        // Candidate selectors (primary + fallback) - using specific TikTok CSS classes
-        const usernameSel = '[data-e2e="user-title"], .user-title, h3, h4';
-        const imgSel = '[data-e2e="user-avatar"] img, .user-avatar img, img';
-        const nameSel = '[data-e2e="search-user-nickname"], .css-1cjzxd7-5e6d46e3--PUserSubTitle.e11zs9t57, [data-e2e="user-subtitle"], .user-subtitle, .user-name, p';
-
-        const usernames = Array.from(document.querySelectorAll(usernameSel));
-        const images = Array.from(document.querySelectorAll(imgSel));
-        const names = Array.from(document.querySelectorAll(nameSel));
-
-        const limit = Math.min(max, Math.max(usernames.length, images.length, names.length));
-
-        for (let i = 0, found = 0; found < max && i < limit; i++) {
-          const uEl = usernames[i] || usernames[i] /* fallback */;
-          const imgEl = images[i] || images[i];
-          const nameEl = names[i] || names[i];
-
-          const username = uEl ? uEl.textContent?.trim() : null;
-          let img = null;
-          if (imgEl) {
-            img = imgEl.src || imgEl.getAttribute && imgEl.getAttribute('src');
-          }
-          const name = nameEl ? nameEl.textContent?.trim() : (username || '');
-
-          if (username || img) {
-            results.push({ username: username || '', img: img || '', name });
-            found++;
-          }
-        }
-
-        return results;
-      }, maxResults);
-
-      return users.slice(0, maxResults);
-    } catch (err) {
-      console.error('❌ scrapeUsers error:', err.message);
-      return [];
-    } finally {
-      try {
-        await page.close();
-      } catch (e) {
-        // ignore
-      } finally {
-        // Always release semaphore
-        this.semaphore.release();
-        console.log(`🔓 Semaphore released. Stats:`, this.semaphore.getStats());
-      }
+  if (command === 'profile') {
+    const usernames = parseUsernameList(args);
+    if (usernames.length === 0) throw new UsageError('profile needs at least one username');
+    if (usernames.length === 1) {
+      note(`👤 Profile: @${usernames[0]}`);
+      const result = await client.profile(usernames[0]);
+      if (!result.success) return { failure: result };
+      return {
+        records: [result.user],
+        defaultFields: DEFAULT_FIELDS.profile,
+        delivery: { type: 'profile', params: { username: usernames[0] }, envelope: result }
+      };
     }
+    const batch = await runProfiles(client, usernames, note);
+    return {
+      records: batch.data.filter(item => item.success).map(item => item.user),
+      defaultFields: DEFAULT_FIELDS.profile,
+      failed: batch.summary.failed > 0,
+      delivery: { type: 'profile', params: { usernames }, envelope: batch }
+    };
   }
 
-  async close() {
-    if (this.browser) {
-      try {
-        await this.browser.close();
-        console.log('🔒 Browser closed');
-      } catch (e) {
-        console.warn('Error closing browser:', e.message);
-      } finally {
-        this.browser = null;
-      }
-    }
+  if (command === 'videos') {
+    const username = parseUsernameList(args[0] ? [args[0]] : [])[0];
+    if (!username) throw new UsageError('videos needs a username');
+    // "7d" style durations are resolved here; the scraper itself takes dates and unix times
+    const since = options.since !== undefined ? parseTimeParam(options.since) : undefined;
+    if (options.since !== undefined && !since) throw new UsageError('--since must be a date, unix time or a duration like 7d');
+    note(`🎬 Videos of @${username}`);
+    const result = await client.videos(username, { ...common, limit, since });
+    if (!result.success) return { failure: result };
+    note(`📈 ${result.message} - ${describePage(result)}`);
+    return {
+      records: result.data,
+      defaultFields: DEFAULT_FIELDS.videos,
+      delivery: { type: 'videos', params: { username, limit, since }, envelope: result }
+    };
   }
 
-  getStats() {
+  if (command === 'comments') {
+    const input = args[0];
+    if (!input) throw new UsageError('comments needs a video url or id');
+    note(`💬 Comments of ${input}`);
+    const result = await client.comments(input, {
+      ...common,
+      maxComments: limit,
+      cursor: options.cursor,
+      replies: options.replies,
+      maxReplies: options['max-replies']
+    });
+    if (!result.success) return { failure: result };
+    note(`📈 ${result.message} - ${describePage(result)}`);
     return {
-      browserStatus: this.browser ? 'Active' : 'Not Initialized',
-      semaphoreStats: this.semaphore.getStats()
+      records: result.data,
+      defaultFields: DEFAULT_FIELDS.comments,
+      delivery: { type: 'comments', params: { input, maxComments: limit, cursor: options.cursor }, envelope: result }
     };
   }
+
+  // batch
+  const file = args[0];
+  if (!file) throw new UsageError('batch needs a usernames file');
+  let usernames;
+  try {
+    usernames = parseUsernameList(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new UsageError(`Cannot read batch file ${file}: ${err.message}`);
+  }
+  if (usernames.length === 0) throw new UsageError(`No usernames found in ${file}`);
+  note(`📋 Batch: ${usernames.length} usernames from ${file}`);
+  const batch = await runProfiles(client, usernames, note);
+  return {
+    records: batch.data,
+    defaultFields: DEFAULT_FIELDS.batch,
+    failed: batch.summary.failed > 0,
+    delivery: { type: 'profile', params: { usernames }, envelope: batch }
+  };
+}
+
+// Profiles of several usernames, one line of status per username on stderr
+async function runProfiles(client, usernames, note) {
+  let done = 0;
+  const batch = await client.profiles(usernames, {
+    onResult: (result) => {
+      const status = result.success
+        ? `✅ @${result.username} - ${result.user.displayName || ''} (${result.user.stats.followers.text || 'n/a'} followers)`
+        : `❌ @${result.username} - [${result.code}] ${result.message}`;
+      note(`[${++done}/${usernames.length}] ${status}`);
+    }
+  });
+  note(`✅ ${batch.summary.succeeded} succeeded, ${batch.summary.failed} failed in ${batch.duration}`);
+  return batch;
 }
 
 // CLI Interface
 async function main() {
-  const args = process.argv.slice(2);
-  
-  if (args.length === 0) {
-    console.log(`
-Usage: node tiktok-user-scraper.js "search query" [maxResults]
-
-Examples:
-  node tiktok-user-scraper.js "dance"
-  node tiktok-user-scraper.js "cooking" 20
-  npm run scraper "music" 15
+  let parsed;
+  try {
+    parsed = parseArgs(process.argv.slice(2));
+    validateOptions(parsed.options);
+  } catch (err) {
+    if (!(err instanceof UsageError)) throw err;
+    console.error(`❌ ${err.message}`);
+    return EXIT_USAGE;
+  }
+  const { command, args, options } = parsed;
 
-Environment Variables:
-  MAX_CONCURRENT_PAGES - Maximum concurrent pages (default: 3)
-  HEADLESS - Run in headless mode (default: true)
-  TIMEOUT - Page timeout in ms (default: 30000)
-    `);
-    process.exit(1);
+  if (!command || options.help) {
+    printUsage();
+    return options.help ? 0 : EXIT_USAGE;
   }
 
-  const query = args[0];
-  const maxResults = parseInt(args[1]) || 10;
-  const maxConcurrentPages = parseInt(process.env.MAX_CONCURRENT_PAGES) || 3;
-  const headless = process.env.HEADLESS !== 'false';
-  const timeout = parseInt(process.env.TIMEOUT) || 30000;
-
-  console.log(`🔍 Searching for: "${query}"`);
-  console.log(`📊 Max results: ${maxResults}`);
-  console.log(`🔒 Max concurrent pages: ${maxConcurrentPages}`);
-  console.log(`👻 Headless mode: ${headless}`);
-  console.log(`⏱️ Timeout: ${timeout}ms`);
-  console.log('');
-
-  const scraper = new TikTokUserScraper({
-    maxConcurrentPages,
-    headless,
-    timeout
-  });
+  const logger = createCliLogger(options.quiet);
+  const note = msg => logger.log(msg);
+  const format = options.format || formatForFile(options.output) || (!options.output && process.stdout.isTTY ? 'table' : 'json');
+  const fields = parseFields(options.fields);
+  let sinks;
+  try {
+    sinks = createCliSinks(options, logger);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    return EXIT_USAGE;
+  }
 
+  const client = createCliClient(options, logger);
   try {
     const startTime = Date.now();
-    const users = await scraper.scrapeUsers(query, maxResults);
-    const endTime = Date.now();
-
-    console.log(`\n✅ Scraping completed in ${endTime - startTime}ms`);
-    console.log(`📈 Found ${users.length} users:`);
-    console.log('');
-
-    users.forEach((user, index) => {
-      console.log(`${index + 1}. @${user.username}`);
-      console.log(`   Name: ${user.name}`);
-      console.log(`   Avatar: ${user.img}`);
-      console.log('');
-    });
+    const outcome = await runCommand(client, command, args, options, note);
+    if (outcome.failure) {
+      logger.error(`❌ ${outcome.failure.message} [${outcome.failure.code}]`);
+      return EXIT_FAILED;
+    }
 
-    console.log(`📊 Final stats:`, scraper.getStats());
+    const text = formatRecords(outcome.records, format, { fields, defaultFields: outcome.defaultFields });
+    if (options.output) {
+      fs.writeFileSync(options.output, text);
+      note(`💾 ${outcome.records.length} record(s) written to ${options.output} (${format})`);
+    } else {
+      process.stdout.write(text);
+    }
 
-  } catch (error) {
-    console.error('❌ Error:', error.message);
-    process.exit(1);
+    // A sink that could not be written fails the run, so cron jobs notice lost exports
+    const report = await sinks.registry.deliver(sinks.names, outcome.delivery);
+    for (const entry of report) {
+      if (entry.success) note(`📤 Sink ${entry.sink}: ${entry.written} record(s)`);
+    }
+    const sinkFailed = report.some(entry => !entry.success);
+    note(`⏱️ Done in ${Date.now() - startTime}ms`);
+    return outcome.failed || sinkFailed ? EXIT_FAILED : 0;
+  } catch (err) {
+    if (!(err instanceof UsageError)) throw err;
+    logger.error(`❌ ${err.message}`);
+    return EXIT_USAGE;
   } finally {
-    await scraper.close();
+    await sinks.registry.close();
+    await client.close();
   }
 }
 
 // Handle graceful shutdown
 process.on('SIGINT', async () => {
-  console.log('\n🔄 Graceful shutdown');
-  process.exit(0);
+  console.error('\n🔄 Graceful shutdown');
+  process.exit(130);
 });
 
 process.on('SIGTERM', async () => {
-  console.log('\n🔄 Graceful shutdown');
-  process.exit(0);
+  console.error('\n🔄 Graceful shutdown');
+  process.exit(143);
 });
 
-// Export for use as module
-module.exports = { TikTokUserScraper, Semaphore };
+// Kept for scripts that required the CLI file; new code should require the package (index.js)
+module.exports = { TikTokUserScraper, Semaphore, parseArgs };
 
 // Run CLI if this file is executed directly
 if (require.main === module) {
-  main().catch(console.error);
+  main()
+    .then((code) => { process.exitCode = code; })
+    .catch((err) => {
+      console.error('❌ Error:', err.message);
+      process.exitCode = EXIT_FAILED;
+    });
 }